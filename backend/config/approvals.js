@@ -0,0 +1,32 @@
+// Uniswap's Permit2, deployed at the same address on every supported chain
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// Allowances at or above 2^128 are treated as unlimited; approvals of type(uint256).max,
+// Permit2's type(uint160).max and similar "infinite" amounts all clear it
+const UNLIMITED_ALLOWANCE = 1n << 128n;
+
+// Routers and spenders a wallet commonly approves for swaps. chains: null means every supported chain.
+const KNOWN_SPENDERS = [
+    { name: '1inch AggregationRouterV6', address: '0x111111125421cA6dc452d289314280a0f8842A65', chains: null },
+    { name: '1inch AggregationRouterV5', address: '0x1111111254EEB25477B68fb85Ed929f73A960582', chains: null },
+    { name: '1inch AggregationRouterV4', address: '0x1111111254fb6c44bAC0beD2854e76F90643097d', chains: [1, 10, 56, 137, 42161] },
+    { name: 'Permit2', address: PERMIT2_ADDRESS, chains: null },
+    { name: '0x Exchange Proxy', address: '0xDef1C0ded9bec7F1a1670819833240f027b25EfF', chains: [1, 56, 137, 8453, 42161] },
+    { name: 'ParaSwap TokenTransferProxy', address: '0x216B4B4Ba9F3e719726886d34a177484278Bfcae', chains: [1, 10, 56, 137, 42161] },
+    { name: 'ParaSwap AugustusV6.2', address: '0x6A000F20005980200259B80c5102003040001068', chains: null },
+    { name: 'Uniswap SwapRouter02', address: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', chains: [1, 10, 137, 42161] },
+    { name: 'Uniswap SwapRouter02', address: '0x2626664c2603336E57B271c5C0b26F421741e481', chains: [8453] },
+    { name: 'CoW Protocol GPv2VaultRelayer', address: '0xC92E8bdf79f0507f65a392b0ab4667716BFE0110', chains: [1, 8453, 42161] },
+    { name: 'OpenOcean Exchange', address: '0x6352a56caadC4F1E25CD6c75970Fa768A3304e64', chains: null }
+];
+
+function getKnownSpenders(chainId) {
+    return KNOWN_SPENDERS.filter(spender => spender.chains === null || spender.chains.includes(Number(chainId)));
+}
+
+module.exports = {
+    PERMIT2_ADDRESS,
+    UNLIMITED_ALLOWANCE,
+    KNOWN_SPENDERS,
+    getKnownSpenders
+};
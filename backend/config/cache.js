@@ -0,0 +1,33 @@
+const path = require('path');
+
+// TTL per cache namespace in milliseconds; null never expires (content addressed by codehash)
+const CACHE_TTLS = {
+    quote: 15 * 1000,
+    swap: 15 * 1000,
+    approveSpender: 24 * 60 * 60 * 1000,
+    approveTransaction: 15 * 1000,
+    tokenList: 60 * 60 * 1000,
+    tokenMetadata: 10 * 60 * 1000,
+    codehash: 24 * 60 * 60 * 1000,
+    bytecode: null,
+    sourceCode: null,
+    // Unverified contracts may be verified later
+    unverifiedSource: 60 * 60 * 1000,
+    securityReport: 60 * 60 * 1000,
+    // A pool's factory is set at deployment
+    poolFactory: null,
+    // Roughly one block
+    gasFees: 12 * 1000,
+    usdPrice: 60 * 1000
+};
+
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '../../.cache');
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 5000;
+
+module.exports = {
+    CACHE_TTLS,
+    CACHE_BACKEND,
+    CACHE_DIR,
+    CACHE_MAX_ENTRIES
+};
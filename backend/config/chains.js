@@ -0,0 +1,184 @@
+const { getApiKeys } = require('./http');
+
+// Chain registry used by every service that needs per-chain endpoints or addresses
+const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const ONEINCH_ROUTER_V5 = '0x1111111254EEB25477B68fb85Ed929f73A960582';
+const ONEINCH_ROUTER_V6 = '0x111111125421cA6dc452d289314280a0f8842A65';
+const BALANCER_VAULT = '0xBA12222222228d8Ba445958a75a0704d566BF2C8';
+
+const chains = {
+    1: {
+        chainId: 1,
+        name: 'Ethereum',
+        explorer: {
+            apiUrl: 'https://api.etherscan.io/api',
+            apiKeyEnv: 'ETHERSCAN_API_KEY'
+        },
+        rpcUrlEnv: 'MAINNET_RPC_URL',
+        routerAddress: ONEINCH_ROUTER_V6,
+        legacyRouterAddress: ONEINCH_ROUTER_V5,
+        nativeToken: { symbol: 'ETH', name: 'Ether', decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+        wrappedNativeToken: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+        gasModel: { type: 'eip1559', l1DataFee: false },
+        mempool: 'public', // 'sequencer': rollups order transactions without a public mempool
+        dex: {
+            uniswapV2Factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+            sushiswapFactory: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
+            uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+            uniswapV3Quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            balancerVault: BALANCER_VAULT
+        }
+    },
+    10: {
+        chainId: 10,
+        name: 'Optimism',
+        explorer: {
+            apiUrl: 'https://api-optimistic.etherscan.io/api',
+            apiKeyEnv: 'OPTIMISM_ETHERSCAN_API_KEY'
+        },
+        rpcUrlEnv: 'OPTIMISM_RPC_URL',
+        routerAddress: ONEINCH_ROUTER_V6,
+        legacyRouterAddress: ONEINCH_ROUTER_V5,
+        nativeToken: { symbol: 'ETH', name: 'Ether', decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+        wrappedNativeToken: '0x4200000000000000000000000000000000000006',
+        gasModel: { type: 'op-stack', l1DataFee: true },
+        mempool: 'sequencer',
+        dex: {
+            uniswapV2Factory: '0x0c3c1c532F1e39EdF36BE9Fe0bE1410313E074Bf',
+            sushiswapFactory: null,
+            uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+            uniswapV3Quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            balancerVault: BALANCER_VAULT
+        }
+    },
+    56: {
+        chainId: 56,
+        name: 'BNB Chain',
+        explorer: {
+            apiUrl: 'https://api.bscscan.com/api',
+            apiKeyEnv: 'BSCSCAN_API_KEY'
+        },
+        rpcUrlEnv: 'BSC_RPC_URL',
+        routerAddress: ONEINCH_ROUTER_V6,
+        legacyRouterAddress: ONEINCH_ROUTER_V5,
+        nativeToken: { symbol: 'BNB', name: 'BNB', decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+        wrappedNativeToken: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+        gasModel: { type: 'legacy', l1DataFee: false },
+        mempool: 'public',
+        dex: {
+            uniswapV2Factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+            sushiswapFactory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+            uniswapV3Factory: '0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7',
+            uniswapV3Quoter: '0x78D78E420Da98ad378D7799bE8f4AF69033EB077',
+            balancerVault: null
+        }
+    },
+    137: {
+        chainId: 137,
+        name: 'Polygon',
+        explorer: {
+            apiUrl: 'https://api.polygonscan.com/api',
+            apiKeyEnv: 'POLYGONSCAN_API_KEY'
+        },
+        rpcUrlEnv: 'POLYGON_RPC_URL',
+        routerAddress: ONEINCH_ROUTER_V6,
+        legacyRouterAddress: ONEINCH_ROUTER_V5,
+        nativeToken: { symbol: 'POL', name: 'Polygon Ecosystem Token', decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+        wrappedNativeToken: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+        gasModel: { type: 'eip1559', l1DataFee: false },
+        mempool: 'public',
+        dex: {
+            uniswapV2Factory: '0x9e5A52f57b3038F1B8EeE45F28b3C1967e22799C',
+            sushiswapFactory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+            uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+            uniswapV3Quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            balancerVault: BALANCER_VAULT
+        }
+    },
+    8453: {
+        chainId: 8453,
+        name: 'Base',
+        explorer: {
+            apiUrl: 'https://api.basescan.org/api',
+            apiKeyEnv: 'BASESCAN_API_KEY'
+        },
+        rpcUrlEnv: 'BASE_RPC_URL',
+        routerAddress: ONEINCH_ROUTER_V6,
+        legacyRouterAddress: ONEINCH_ROUTER_V5,
+        nativeToken: { symbol: 'ETH', name: 'Ether', decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+        wrappedNativeToken: '0x4200000000000000000000000000000000000006',
+        gasModel: { type: 'op-stack', l1DataFee: true },
+        mempool: 'sequencer',
+        dex: {
+            uniswapV2Factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+            sushiswapFactory: null,
+            uniswapV3Factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+            uniswapV3Quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+            balancerVault: BALANCER_VAULT
+        }
+    },
+    42161: {
+        chainId: 42161,
+        name: 'Arbitrum One',
+        explorer: {
+            apiUrl: 'https://api.arbiscan.io/api',
+            apiKeyEnv: 'ARBISCAN_API_KEY'
+        },
+        rpcUrlEnv: 'ARBITRUM_RPC_URL',
+        routerAddress: ONEINCH_ROUTER_V6,
+        legacyRouterAddress: ONEINCH_ROUTER_V5,
+        nativeToken: { symbol: 'ETH', name: 'Ether', decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+        wrappedNativeToken: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+        gasModel: { type: 'arbitrum', l1DataFee: true },
+        mempool: 'sequencer',
+        dex: {
+            uniswapV2Factory: '0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9',
+            sushiswapFactory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+            uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+            uniswapV3Quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            balancerVault: BALANCER_VAULT
+        }
+    }
+};
+
+const DEFAULT_CHAIN_ID = 1;
+
+function isSupportedChain(chainId) {
+    return Object.prototype.hasOwnProperty.call(chains, Number(chainId));
+}
+
+function getChain(chainId = DEFAULT_CHAIN_ID) {
+    const id = Number(chainId);
+    if (!isSupportedChain(id)) {
+        throw new Error(`Unsupported chainId: ${chainId}`);
+    }
+    return chains[id];
+}
+
+// Explorer API keys for the chain, falling back to the mainnet Etherscan keys
+// (Etherscan V2 keys are accepted across their family of explorers)
+function getExplorerApiKeys(chainId) {
+    const chain = getChain(chainId);
+    return getApiKeys(chain.explorer.apiKeyEnv, getApiKeys('ETHERSCAN_API_KEY'));
+}
+
+function getRpcUrl(chainId) {
+    const chain = getChain(chainId);
+    return process.env[chain.rpcUrlEnv] || null;
+}
+
+function getSupportedChainIds() {
+    return Object.keys(chains).map(Number);
+}
+
+module.exports = {
+    NATIVE_TOKEN_ADDRESS,
+    DEFAULT_CHAIN_ID,
+    chains,
+    getChain,
+    isSupportedChain,
+    getExplorerApiKeys,
+    getRpcUrl,
+    getSupportedChainIds
+};
@@ -0,0 +1,22 @@
+// live: call the real APIs; fixture: replay recorded responses; mock: built-in sample data, never presented as real
+const DATA_SOURCES = ['live', 'fixture', 'mock'];
+const DEFAULT_DATA_SOURCE = process.env.DATA_SOURCE || 'live';
+
+function isDataSource(dataSource) {
+    return DATA_SOURCES.includes(dataSource);
+}
+
+function resolveDataSource(requested) {
+    const dataSource = requested ?? DEFAULT_DATA_SOURCE;
+    if (!isDataSource(dataSource)) {
+        throw new Error(`Unsupported dataSource: ${dataSource}`);
+    }
+    return dataSource;
+}
+
+module.exports = {
+    DATA_SOURCES,
+    DEFAULT_DATA_SOURCE,
+    isDataSource,
+    resolveDataSource
+};
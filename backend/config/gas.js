@@ -0,0 +1,46 @@
+const { parseUnits } = require('ethers');
+
+// Configured fee and price inputs for running offline. When set they replace the live lookups
+// (base fee and priority fee from the RPC node, USD prices from the 1inch spot price API).
+function parseGwei(name) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return null;
+    try {
+        return parseUnits(value, 'gwei');
+    } catch (error) {
+        console.error(`Invalid ${name}, using the RPC node:`, error.message);
+        return null;
+    }
+}
+
+function parseUsdPrices(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error('Invalid NATIVE_USD_PRICES, using the price API:', error.message);
+        return {};
+    }
+}
+
+const GAS_FEE_OVERRIDES = {
+    baseFee: parseGwei('GAS_BASE_FEE_GWEI'),
+    priorityFee: parseGwei('GAS_PRIORITY_FEE_GWEI')
+};
+
+// Native token price in USD by chainId, e.g. { "1": 3000, "56": 600 }
+const NATIVE_USD_PRICES = parseUsdPrices(process.env.NATIVE_USD_PRICES);
+
+// Oracles that price the L1 data a rollup transaction posts
+const L1_FEE_ORACLES = {
+    // OP Stack GasPriceOracle predeploy
+    'op-stack': '0x420000000000000000000000000000000000000F',
+    // Arbitrum NodeInterface (virtual contract, eth_call only)
+    arbitrum: '0x00000000000000000000000000000000000000C8'
+};
+
+module.exports = {
+    GAS_FEE_OVERRIDES,
+    NATIVE_USD_PRICES,
+    L1_FEE_ORACLES
+};
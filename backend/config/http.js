@@ -0,0 +1,51 @@
+// Token bucket per upstream host: rate is requests per second, burst is the bucket size.
+// Hosts not listed here are not throttled.
+const DEFAULT_RATE_LIMITS = {
+    'api.1inch.dev': { rate: 1, burst: 1 },
+    'api.etherscan.io': { rate: 5, burst: 5 },
+    'api-optimistic.etherscan.io': { rate: 5, burst: 5 },
+    'api.bscscan.com': { rate: 5, burst: 5 },
+    'api.polygonscan.com': { rate: 5, burst: 5 },
+    'api.basescan.org': { rate: 5, burst: 5 },
+    'api.arbiscan.io': { rate: 5, burst: 5 },
+    'api.0x.org': { rate: 10, burst: 10 },
+    'api.paraswap.io': { rate: 2, burst: 2 },
+    'open-api.openocean.finance': { rate: 2, burst: 2 },
+    'api.cow.fi': { rate: 5, burst: 5 },
+    'trade-api.gateway.uniswap.org': { rate: 3, burst: 3 }
+};
+
+function parseRateLimits(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error('Invalid HTTP_RATE_LIMITS, using defaults:', error.message);
+        return {};
+    }
+}
+
+const HOST_RATE_LIMITS = { ...DEFAULT_RATE_LIMITS, ...parseRateLimits(process.env.HTTP_RATE_LIMITS) };
+
+const HTTP_DEFAULTS = {
+    timeoutMs: Number(process.env.HTTP_TIMEOUT_MS) || 15000,
+    maxRetries: Number(process.env.HTTP_MAX_RETRIES ?? 3),
+    baseDelayMs: 500,
+    maxDelayMs: 10000,
+    // A longer Retry-After fails the request instead of holding it open
+    maxRetryAfterMs: 30000,
+    // How long a key that hit its quota is skipped when the upstream gives no Retry-After
+    keyCooldownMs: 60000
+};
+
+// API key env vars may hold several comma-separated keys, rotated on quota errors
+function getApiKeys(envName, fallback = []) {
+    const keys = (process.env[envName] || '').split(',').map(key => key.trim()).filter(Boolean);
+    return keys.length > 0 ? keys : fallback;
+}
+
+module.exports = {
+    HOST_RATE_LIMITS,
+    HTTP_DEFAULTS,
+    getApiKeys
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const { getAddress } = require('ethers');
+const { chains } = require('./chains');
+const { PERMIT2_ADDRESS } = require('./approvals');
+
+// Contracts a 1inch route is expected to touch. kind 'router' entries are the only valid tx targets;
+// the rest label executors, pools and infrastructure in the route. chains: null means every supported chain.
+const STATIC_CONTRACTS = [
+    { name: '1inch AggregationRouterV4', address: '0x1111111254fb6c44bAC0beD2854e76F90643097d', kind: 'router', chains: [1, 10, 56, 137, 42161] },
+    { name: 'Permit2', address: PERMIT2_ADDRESS, kind: 'approval', chains: null },
+    { name: '1inch AggregationExecutor (V5)', address: '0x1136B25047E142Fa3018184793aEc68fBB173cE4', kind: 'executor', chains: [1] },
+    { name: '1inch AggregationExecutor (V6)', address: '0x5141B82f5fFDa4c6fE1E372978F1C5427640a190', kind: 'executor', chains: [1] },
+    { name: 'Uniswap V3 USDC/WETH 0.05%', address: '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640', kind: 'pool', chains: [1] },
+    { name: 'Uniswap V3 WETH/USDT 0.05%', address: '0x11b815efB8f581194ae79006d24E0d814B7697F6', kind: 'pool', chains: [1] },
+    { name: 'Uniswap V3 WBTC/WETH 0.3%', address: '0xCBCdF9626bC03E24f779434178A73a0B4bad62eD', kind: 'pool', chains: [1] },
+    { name: 'Uniswap V3 DAI/USDC 0.01%', address: '0x5777d92f208679DB4b9778590Fa3CAB3aC9e2168', kind: 'pool', chains: [1] },
+    { name: 'Uniswap V2 USDC/WETH', address: '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc', kind: 'pool', chains: [1] },
+    { name: 'Uniswap V2 WETH/USDT', address: '0x0d4a11d5EEaaC28EC3F61d100daF4d40471f1852', kind: 'pool', chains: [1] },
+    { name: 'Curve 3pool', address: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7', kind: 'pool', chains: [1] },
+    { name: 'Curve tricrypto2', address: '0xD51a44d3FaE010294C616388b506AcdA1bfAAE46', kind: 'pool', chains: [1] }
+];
+
+// Names of the chain registry's DEX contracts
+const DEX_CONTRACTS = {
+    uniswapV2Factory: { name: 'Uniswap V2 Factory', kind: 'factory' },
+    sushiswapFactory: { name: 'SushiSwap Factory', kind: 'factory' },
+    uniswapV3Factory: { name: 'Uniswap V3 Factory', kind: 'factory' },
+    uniswapV3Quoter: { name: 'Uniswap V3 QuoterV2', kind: 'quoter' },
+    balancerVault: { name: 'Balancer Vault', kind: 'vault' }
+};
+
+// Routers, wrapped native token and DEX contracts already listed in config/chains.js
+function chainContracts(chain) {
+    const contracts = [
+        { name: '1inch AggregationRouterV6', address: chain.routerAddress, kind: 'router' },
+        { name: '1inch AggregationRouterV5', address: chain.legacyRouterAddress, kind: 'router' },
+        { name: `Wrapped ${chain.nativeToken.symbol}`, address: chain.wrappedNativeToken, kind: 'token' }
+    ];
+    for (const [key, contract] of Object.entries(DEX_CONTRACTS)) {
+        if (chain.dex[key]) contracts.push({ ...contract, address: chain.dex[key] });
+    }
+    return contracts;
+}
+
+// KNOWN_CONTRACTS_FILE holds operator entries, one per chain and address:
+// [{ "chainId": 1, "address": "0x...", "codehash": "0x...", "name": "...", "kind": "..." }]
+// An entry for a listed contract pins its codehash (and may rename it); others are added.
+// A file that does not exist yet (before the first npm run pin-codehashes) adds nothing.
+function loadOverrides(file) {
+    if (!file || !fs.existsSync(file)) return [];
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) {
+        throw new Error(`Invalid KNOWN_CONTRACTS_FILE ${file}: expected a list of contracts`);
+    }
+    return entries.map((entry, index) => {
+        if (!chains[entry.chainId]) throw new Error(`Invalid KNOWN_CONTRACTS_FILE ${file}: [${index}] has unsupported chainId ${entry.chainId}`);
+        if (entry.codehash !== undefined && !/^0x[0-9a-fA-F]{64}$/.test(entry.codehash)) {
+            throw new Error(`Invalid KNOWN_CONTRACTS_FILE ${file}: [${index}] codehash must be 32 bytes of hex`);
+        }
+        return { ...entry, chainId: Number(entry.chainId), address: getAddress(entry.address) };
+    });
+}
+
+function buildRegistry() {
+    const registry = new Map();
+    for (const chain of Object.values(chains)) {
+        const entries = [
+            ...chainContracts(chain),
+            ...STATIC_CONTRACTS.filter(contract => contract.chains === null || contract.chains.includes(chain.chainId))
+        ];
+        const byAddress = new Map();
+        for (const { name, address, kind } of entries) {
+            const checksummed = getAddress(address);
+            byAddress.set(checksummed.toLowerCase(), { name, address: checksummed, kind, codehash: null });
+        }
+        registry.set(chain.chainId, byAddress);
+    }
+
+    for (const { chainId, address, codehash, name, kind } of loadOverrides(process.env.KNOWN_CONTRACTS_FILE)) {
+        const byAddress = registry.get(chainId);
+        const listed = byAddress.get(address.toLowerCase());
+        byAddress.set(address.toLowerCase(), {
+            name: name || listed?.name || 'Operator-listed contract',
+            address,
+            kind: kind || listed?.kind || 'other',
+            codehash: codehash ? codehash.toLowerCase() : listed?.codehash ?? null
+        });
+    }
+    return registry;
+}
+
+const KNOWN_CONTRACTS = buildRegistry();
+
+function getKnownContracts(chainId) {
+    return Array.from(KNOWN_CONTRACTS.get(Number(chainId))?.values() || []);
+}
+
+function getKnownContract(chainId, address) {
+    if (!address) return null;
+    return KNOWN_CONTRACTS.get(Number(chainId))?.get(address.toLowerCase()) || null;
+}
+
+function getAllowedTargets(chainId) {
+    return getKnownContracts(chainId).filter(contract => contract.kind === 'router');
+}
+
+module.exports = {
+    KNOWN_CONTRACTS,
+    getKnownContracts,
+    getKnownContract,
+    getAllowedTargets
+};
@@ -0,0 +1,11 @@
+const path = require('path');
+
+// Policy files (.json, .yaml, .yml) are loaded from POLICY_DIR; the file name is the policy name
+const POLICY_DIR = process.env.POLICY_DIR || path.join(__dirname, '../policies');
+// Evaluated when a request does not select a policy
+const DEFAULT_POLICY = process.env.DEFAULT_POLICY || 'default';
+
+module.exports = {
+    POLICY_DIR,
+    DEFAULT_POLICY
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { keccak256 } = require('ethers');
+
+dotenv.config();
+
+const { getSupportedChainIds } = require('../config/chains');
+const { getKnownContracts } = require('../config/knownContracts');
+const { getContractBytecode } = require('../services/securityScanner');
+const { runWithContext } = require('../services/requestContext');
+
+// Registry kinds whose code is pinned: the tx targets, the executors they call and Permit2
+const PINNED_KINDS = ['router', 'executor', 'approval'];
+
+// Fetches the deployed code of every router, executor and Permit2 in the registry through the
+// chain's block explorer (as the scanner does) and writes their codehashes to KNOWN_CONTRACTS_FILE.
+// Other entries already in the file are kept. A listed contract without code is reported and left unpinned.
+async function pinCodehashes(file) {
+    const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    const entries = new Map(existing.map(entry => [`${entry.chainId}:${entry.address.toLowerCase()}`, entry]));
+    const problems = [];
+
+    for (const chainId of getSupportedChainIds()) {
+        for (const contract of getKnownContracts(chainId).filter(contract => PINNED_KINDS.includes(contract.kind))) {
+            let bytecode;
+            try {
+                bytecode = await getContractBytecode(contract.address, chainId);
+            } catch (error) {
+                console.error(`Bytecode lookup failed for ${contract.address} on chain ${chainId}:`, error.message);
+                bytecode = null;
+            }
+
+            if (typeof bytecode !== 'string') {
+                problems.push(`chain ${chainId}: could not fetch code for ${contract.name} ${contract.address}`);
+                continue;
+            }
+            if (!/^0x([0-9a-fA-F]{2})+$/.test(bytecode)) {
+                problems.push(`chain ${chainId}: no code at ${contract.name} ${contract.address}`);
+                continue;
+            }
+
+            const key = `${chainId}:${contract.address.toLowerCase()}`;
+            entries.set(key, { ...entries.get(key), chainId, address: contract.address, codehash: keccak256(bytecode) });
+            console.log(`📌 ${chainId} ${contract.name}: ${keccak256(bytecode)}`);
+        }
+    }
+
+    fs.writeFileSync(file, JSON.stringify(Array.from(entries.values()), null, 2) + '\n');
+    console.log(`✅ Wrote ${entries.size} entries to ${file}`);
+
+    for (const problem of problems) console.error(`⚠️ ${problem}`);
+    return problems;
+}
+
+const file = path.resolve(process.argv[2] || process.env.KNOWN_CONTRACTS_FILE || 'known-contracts.json');
+
+// Live lookups with the cache skipped, so a stale cached codehash is never pinned
+runWithContext({ dataSource: 'live', refresh: true }, () => pinCodehashes(file))
+    .then(problems => {
+        process.exitCode = problems.length > 0 ? 1 : 0;
+    })
+    .catch(error => {
+        console.error('Pinning codehashes failed:', error);
+        process.exitCode = 1;
+    });
@@ -1,193 +1,312 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { analyze1inchRoute } = require('./services/1inchAnalyzer');
-const { simulateSwap } = require('./services/simulationService');
-const { scanRouterSecurity } = require('./services/securityScanner');
+const { getTokenMetadata } = require('./services/tokenMetadata');
+const { compareRoutes } = require('./services/routeComparator');
+const { sweepTradeSizes } = require('./services/tradeSweep');
+const { runWithContext, getRequestContext } = require('./services/requestContext');
+const { getCacheStats } = require('./services/cache');
+const { UpstreamError, ValidationError, NotFoundError, errorBody } = require('./services/errors');
+const { validate, validateInput } = require('./services/validation');
+const { startAnalysis, cancelAnalysis } = require('./services/analysisPipeline');
+const { submitAnalysis, getAnalysis, listAnalyses } = require('./services/analysisJobs');
+const { startBatchAnalysis } = require('./services/batchAnalysis');
+const { loadPolicies, listPolicies } = require('./services/policyEngine');
+const { POLICY_DIR, DEFAULT_POLICY } = require('./config/policies');
+const { getKnownContracts } = require('./config/knownContracts');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SSE_KEEPALIVE_MS = 15000;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('frontend'));
 
+// Data source mode (live, fixture, mock) per request, falling back to DATA_SOURCE;
+// refresh (or Cache-Control: no-cache) bypasses cached quotes, sources and reports
+app.use('/api', (req, res, next) => {
+    let dataSource;
+    try {
+        ({ dataSource } = validateInput('dataSource', { dataSource: req.body?.dataSource ?? req.query.dataSource }));
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    const refresh = req.body?.refresh === true
+        || req.query.refresh === 'true'
+        || /no-cache/i.test(req.get('Cache-Control') || '');
+
+    req.dataSource = dataSource;
+    runWithContext({ dataSource, refresh }, next);
+});
+
+// Every error answers with { error: { code, category, message, details?, upstream? } } and the error's status;
+// upstream rate limits pass their Retry-After on
+function sendError(res, error, summary = null) {
+    if (error instanceof UpstreamError && error.retryAfterMs !== null) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(error.httpStatus || 500).json({ error: errorBody(error, summary) });
+}
+
 // Routes
 app.get('/', (req, res) => {
     res.sendFile(__dirname + '/../frontend/index.html');
 });
 
 // API Routes
-app.post('/api/analyze-route', async (req, res) => {
+app.post('/api/analyze-route', validate('analyzeRoute'), async (req, res) => {
     try {
-        const { fromToken, toToken, amount, fromAddress } = req.body;
-        
-        if (!fromToken || !toToken || !amount || !fromAddress) {
-            return res.status(400).json({ 
-                error: 'Missing required parameters: fromToken, toToken, amount, fromAddress' 
-            });
-        }
+        console.log('🔍 Starting route analysis...', { ...req.valid, dataSource: req.dataSource });
 
-        console.log('🔍 Starting route analysis...', { fromToken, toToken, amount, fromAddress });
-
-        // Get 1inch route analysis
-        const routeAnalysis = await analyze1inchRoute(fromToken, toToken, amount, fromAddress);
-        console.log('✅ 1inch route analysis completed');
-        
-        // Simulate the swap for slippage analysis
-        const simulationResults = await simulateSwap(routeAnalysis);
-        console.log('✅ Foundry simulation completed');
-        
-        // Scan router security
-        const securityAnalysis = await scanRouterSecurity(routeAnalysis.tx.to);
-        console.log('✅ Security analysis completed');
-        
-        const result = {
-            routeAnalysis,
-            simulationResults,
-            securityAnalysis,
-            timestamp: new Date().toISOString()
-        };
+        // A client that disconnects cancels the analysis
+        const analysis = startAnalysis(req.valid);
+        res.on('close', () => {
+            if (!res.writableFinished) analysis.cancel();
+        });
+
+        const result = await analysis.promise;
 
         console.log('🎉 Complete analysis finished');
         res.json(result);
     } catch (error) {
+        if (error.code === 'CANCELLED') return;
         console.error('Route analysis error:', error);
-        res.status(500).json({ 
-            error: 'Failed to analyze route',
-            details: error.message 
+        sendError(res, error, 'Failed to analyze route');
+    }
+});
+
+// Same analysis streamed as Server-Sent Events, one event per stage (GET for EventSource, POST for fetch).
+// Closing the stream or POST /api/analyze-route/:analysisId/cancel aborts upstream calls and forge.
+async function streamAnalysis(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const send = (type, data) => {
+        if (!res.writableEnded) {
+            res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+
+    console.log('📡 Streaming route analysis...', { ...req.valid, dataSource: req.dataSource });
+    const analysis = startAnalysis(req.valid, { onEvent: send });
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        if (!res.writableFinished) analysis.cancel();
+    });
+
+    try {
+        await analysis.promise;
+        console.log('🎉 Streamed analysis finished');
+    } catch (error) {
+        // Already sent as an analysis.failed or analysis.cancelled event
+        if (error.code !== 'CANCELLED') console.error('Streamed analysis error:', error);
+    }
+    clearInterval(keepAlive);
+    res.end();
+}
+
+app.get('/api/analyze-route/stream', validate('analyzeRoute'), streamAnalysis);
+app.post('/api/analyze-route/stream', validate('analyzeRoute'), streamAnalysis);
+
+app.post('/api/analyze-route/:analysisId/cancel', validate('analysisId'), (req, res) => {
+    const { analysisId } = req.valid;
+    if (!cancelAnalysis(analysisId)) {
+        return sendError(res, new NotFoundError(`No running analysis: ${analysisId}`));
+    }
+    res.status(202).json({ analysisId, cancelled: true });
+});
+
+// Analyze many swaps at once; items fail one by one, and a client that disconnects cancels the rest
+app.post('/api/analyze-batch', validate('analyzeBatch'), async (req, res) => {
+    try {
+        console.log('📦 Starting batch analysis...', { items: req.valid.items.length, dataSource: req.dataSource });
+
+        const batch = startBatchAnalysis(req.valid.items);
+        res.on('close', () => {
+            if (!res.writableFinished) batch.cancel();
         });
+
+        const result = await batch.promise;
+
+        console.log(`🎉 Batch analysis finished: ${result.succeeded}/${result.total} succeeded`);
+        res.json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+        if (error.code === 'CANCELLED') return;
+        console.error('Batch analysis error:', error);
+        sendError(res, error, 'Failed to analyze batch');
+    }
+});
+
+// Queued analyses; each job keeps its result on disk so a route can be audited later
+app.post('/api/analyses', validate('analyzeRoute'), async (req, res) => {
+    try {
+        const job = await submitAnalysis(req.valid);
+        res.status(202).location(`/api/analyses/${job.id}`).json(job);
+    } catch (error) {
+        console.error('Analysis submission error:', error);
+        sendError(res, error, 'Failed to queue analysis');
+    }
+});
+
+app.get('/api/analyses', validate('listAnalyses'), async (req, res) => {
+    try {
+        res.json(await listAnalyses(req.valid));
+    } catch (error) {
+        console.error('Analysis listing error:', error);
+        sendError(res, error, 'Failed to list analyses');
+    }
+});
+
+app.get('/api/analyses/:analysisId', validate('analysisId'), async (req, res) => {
+    try {
+        const job = await getAnalysis(req.valid.analysisId);
+        if (!job) {
+            return sendError(res, new NotFoundError(`Analysis not found: ${req.valid.analysisId}`));
+        }
+        res.json(job);
+    } catch (error) {
+        console.error('Analysis lookup error:', error);
+        sendError(res, error, 'Failed to get analysis');
     }
 });
 
-// Test endpoint for full pipeline (POST)
-app.post('/api/test-pipeline', async (req, res) => {
+// Test endpoint for the full pipeline on a fixed swap (POST, or GET for a browser). It runs the same
+// analysis as /api/analyze-route: chain selection, target verification, token risk and the default policy.
+const TEST_PIPELINE_SWAP = {
+    fromToken: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH
+    toToken: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',   // USDC
+    amount: '1000000000000000000', // 1 WETH
+    fromAddress: '0x28C6c06298d514Db089934071355E5743bf21d60' // Test address
+};
+
+async function testPipeline(req, res) {
     try {
         console.log('🧪 Testing full pipeline...');
-        
-        // Test data
-        const testData = {
-            fromToken: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH
-            toToken: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',   // USDC
-            amount: '1000000000000000000', // 1 WETH
-            fromAddress: '0x28C6c06298d514Db089934071355E5743bf21d60' // Test address
-        };
 
+        const testData = validateInput('analyzeRoute', TEST_PIPELINE_SWAP);
         console.log('📊 Test parameters:', testData);
 
-        // Step 1: 1inch Analysis
-        console.log('Step 1: Calling 1inch API...');
-        const routeAnalysis = await analyze1inchRoute(
-            testData.fromToken, 
-            testData.toToken, 
-            testData.amount, 
-            testData.fromAddress
-        );
-        console.log('✅ 1inch analysis complete');
-
-        // Step 2: Foundry Simulation
-        console.log('Step 2: Running Foundry simulation...');
-        const simulationResults = await simulateSwap(routeAnalysis);
-        console.log('✅ Foundry simulation complete');
-
-        // Step 3: Security Analysis
-        console.log('Step 3: Running security analysis...');
-        const securityAnalysis = await scanRouterSecurity(routeAnalysis.tx.to);
-        console.log('✅ Security analysis complete');
-
-        const result = {
-            success: true,
-            testData,
-            routeAnalysis,
-            simulationResults,
-            securityAnalysis,
-            timestamp: new Date().toISOString()
-        };
+        const analysis = startAnalysis(testData);
+        res.on('close', () => {
+            if (!res.writableFinished) analysis.cancel();
+        });
+
+        const result = await analysis.promise;
 
         console.log('🎉 Pipeline test completed successfully!');
-        res.json(result);
+        res.json({ success: true, testData, ...result });
     } catch (error) {
+        if (error.code === 'CANCELLED') return;
         console.error('Pipeline test failed:', error);
-        res.status(500).json({ 
-            error: 'Pipeline test failed',
-            details: error.message 
-        });
+        sendError(res, error, 'Pipeline test failed');
+    }
+}
+
+app.post('/api/test-pipeline', testPipeline);
+app.get('/api/test-pipeline', testPipeline);
+
+// Run every aggregator for the same swap and rank them by output net of gas
+app.post('/api/compare-routes', validate('compareRoutes'), async (req, res) => {
+    try {
+        if (req.dataSource === 'mock') {
+            const message = 'Route comparison has no mock data; use dataSource live or fixture';
+            return sendError(res, new ValidationError(message, [{ field: 'dataSource', code: 'UNSUPPORTED_DATA_SOURCE', message }]));
+        }
+
+        const comparison = await compareRoutes(req.valid);
+        console.log('🎉 Route comparison finished');
+
+        res.json({ ...comparison, timestamp: new Date().toISOString() });
+    } catch (error) {
+        console.error('Route comparison error:', error);
+        sendError(res, error, 'Failed to compare routes');
     }
 });
 
-// Test endpoint for full pipeline (GET - easier for testing)
-app.get('/api/test-pipeline', async (req, res) => {
+// Run the 1inch route at a series of trade sizes; a client that disconnects cancels the sizes still pending
+app.post('/api/sweep', validate('sweep'), async (req, res) => {
     try {
-        console.log('🧪 Testing full pipeline (GET)...');
-        
-        // Test data
-        const testData = {
-            fromToken: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH
-            toToken: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',   // USDC
-            amount: '1000000000000000000', // 1 WETH
-            fromAddress: '0x28C6c06298d514Db089934071355E5743bf21d60' // Test address
-        };
+        if (req.dataSource === 'mock') {
+            const message = 'Trade-size sweeps have no mock data; use dataSource live or fixture';
+            return sendError(res, new ValidationError(message, [{ field: 'dataSource', code: 'UNSUPPORTED_DATA_SOURCE', message }]));
+        }
 
-        console.log('📊 Test parameters:', testData);
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
 
-        // Step 1: 1inch Analysis
-        console.log('Step 1: Calling 1inch API...');
-        const routeAnalysis = await analyze1inchRoute(
-            testData.fromToken, 
-            testData.toToken, 
-            testData.amount, 
-            testData.fromAddress
-        );
-        console.log('✅ 1inch analysis complete');
-
-        // Step 2: Foundry Simulation
-        console.log('Step 2: Running Foundry simulation...');
-        const simulationResults = await simulateSwap(routeAnalysis);
-        console.log('✅ Foundry simulation complete');
-
-        // Step 3: Security Analysis
-        console.log('Step 3: Running security analysis...');
-        const securityAnalysis = await scanRouterSecurity(routeAnalysis.tx.to);
-        console.log('✅ Security analysis complete');
-
-        const result = {
-            success: true,
-            testData,
-            routeAnalysis,
-            simulationResults,
-            securityAnalysis,
-            timestamp: new Date().toISOString()
-        };
+        const sweep = await runWithContext({ ...getRequestContext(), signal: controller.signal }, () => sweepTradeSizes(req.valid));
+        console.log('🎉 Trade-size sweep finished');
 
-        console.log('🎉 Pipeline test completed successfully!');
-        res.json(result);
+        res.json({ ...sweep, timestamp: new Date().toISOString() });
     } catch (error) {
-        console.error('Pipeline test failed:', error);
-        res.status(500).json({ 
-            error: 'Pipeline test failed',
-            details: error.message 
-        });
+        if (error.code === 'CANCELLED') return;
+        console.error('Trade-size sweep error:', error);
+        sendError(res, error, 'Failed to sweep trade sizes');
     }
 });
 
-app.get('/api/token-info/:address', async (req, res) => {
+app.get('/api/token-info/:address', validate('tokenInfo'), async (req, res) => {
     try {
-        const { address } = req.params;
-        // Basic token info endpoint for frontend
-        res.json({ address, symbol: 'TOKEN', decimals: 18 });
+        const tokenInfo = await getTokenMetadata(req.valid.address, req.valid.chainId);
+        res.json(tokenInfo);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to get token info' });
+        if (!(error instanceof ValidationError)) console.error('Token info error:', error);
+        sendError(res, error, 'Failed to get token info');
     }
 });
 
+// Contracts the security scan trusts on a chain; kind 'router' entries are the allowed tx targets
+app.get('/api/known-contracts', validate('knownContracts'), (req, res) => {
+    res.json({ chainId: req.valid.chainId, contracts: getKnownContracts(req.valid.chainId) });
+});
+
+// Policies a request can select with policy, and their rules
+app.get('/api/policies', (req, res) => {
+    res.json({ defaultPolicy: DEFAULT_POLICY, policies: listPolicies() });
+});
+
 // Health check
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+app.get('/api/health', async (req, res) => {
+    res.json({
+        status: 'OK',
+        cache: await getCacheStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Unknown API routes, invalid input from validate() and malformed JSON bodies get the same error envelope
+app.use('/api', (req, res) => {
+    sendError(res, new NotFoundError(`No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
 });
 
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        error = new ValidationError('Request body is not valid JSON', [
+            { field: 'body', code: 'INVALID_JSON', message: error.message }
+        ]);
+    } else if (!(error instanceof ValidationError)) {
+        console.error('Unhandled error:', error);
+    }
+    sendError(res, error);
+});
+
+const policies = loadPolicies();
+console.log(`📜 Loaded ${policies.size} policies from ${POLICY_DIR}`);
+
 app.listen(PORT, () => {
     console.log(`🚀 1inch Aggregator Inspector running on port ${PORT}`);
     console.log(`📊 Visit http://localhost:${PORT} to analyze routes`);
@@ -1,12 +1,37 @@
-const axios = require('axios');
+const { getChain, DEFAULT_CHAIN_ID } = require('../config/chains');
+const { decodeSwapTx, verifyMinReturn, verifyPools } = require('./calldataDecoder');
+const { fetchWithFixtures } = require('./fixtureStore');
+const { getRequestContext, emitProgress } = require('./requestContext');
+const { withCache } = require('./cache');
+const { httpRequest } = require('./httpClient');
+const { getApiKeys } = require('../config/http');
+
+const DEFAULT_SLIPPAGE = 1;
+
+// Optional 1inch swap parameters a caller may set; null leaves the 1inch default in place.
+// The quote endpoint takes all of them except the ones only the swap endpoint knows.
+const SWAP_OPTIONS = [
+    'slippage',
+    'gasPrice',
+    'protocols',
+    'excludedProtocols',
+    'connectorTokens',
+    'complexityLevel',
+    'parts',
+    'mainRouteParts',
+    'fee',
+    'referrer',
+    'disableEstimate'
+];
+const SWAP_ONLY_OPTIONS = ['slippage', 'referrer', 'disableEstimate'];
 
 class OneInchAnalyzer {
     constructor() {
         this.baseUrl = 'https://api.1inch.dev';
-        this.apiKey = process.env.ONEINCH_API_KEY || 'demo'; // Use demo key for testing
+        this.apiKeys = getApiKeys('ONEINCH_API_KEY', ['demo']); // Use demo key for testing
     }
 
-    async getSwapQuote(fromToken, toToken, amount, fromAddress, chainId = 1) {
+    async getSwapQuote(fromToken, toToken, amount, fromAddress, chainId = 1, swapParams = {}) {
         try {
             const url = `${this.baseUrl}/swap/v6.0/${chainId}/quote`;
             const params = {
@@ -14,27 +39,21 @@ class OneInchAnalyzer {
                 dst: toToken,
                 amount: amount,
                 from: fromAddress,
+                ...this.toQueryParams(swapParams, 'quote'),
                 includeTokensInfo: true,
                 includeProtocols: true,
                 includeGas: true
             };
 
-            const response = await axios.get(url, {
-                params,
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Accept': 'application/json'
-                }
-            });
-
-            return response.data;
+            return await this.request('quote', url, params);
         } catch (error) {
-            console.error('1inch API error:', error.response?.data || error.message);
+            if (error.category) throw error;
+            console.error('1inch API error:', error.message);
             throw new Error(`Failed to get swap quote: ${error.message}`);
         }
     }
 
-    async getSwapTx(fromToken, toToken, amount, fromAddress, slippage = 1, chainId = 1) {
+    async getSwapTx(fromToken, toToken, amount, fromAddress, slippage = 1, chainId = 1, swapParams = {}) {
         try {
             const url = `${this.baseUrl}/swap/v6.0/${chainId}/swap`;
             const params = {
@@ -42,29 +61,102 @@ class OneInchAnalyzer {
                 dst: toToken,
                 amount: amount,
                 from: fromAddress,
+                ...this.toQueryParams(swapParams, 'swap'),
                 slippage: slippage,
                 includeTokensInfo: true,
                 includeProtocols: true,
                 includeGas: true
             };
 
-            const response = await axios.get(url, {
-                params,
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Accept': 'application/json'
-                }
-            });
-
-            return response.data;
+            return await this.request('swap', url, params);
         } catch (error) {
-            console.error('1inch swap API error:', error.response?.data || error.message);
+            if (error.category) throw error;
+            console.error('1inch swap API error:', error.message);
             throw new Error(`Failed to get swap transaction: ${error.message}`);
         }
     }
 
+    async getTokenList(chainId = 1) {
+        try {
+            const url = `${this.baseUrl}/swap/v6.0/${chainId}/tokens`;
+            const data = await this.request('tokens', url, {});
+
+            const tokens = {};
+            for (const [address, token] of Object.entries(data.tokens || {})) {
+                tokens[address.toLowerCase()] = token;
+            }
+
+            return tokens;
+        } catch (error) {
+            console.error('1inch tokens API error:', error.message);
+            return {};
+        }
+    }
+
+    // The address 1inch expects fromToken to be approved to (the router)
+    async getApproveSpender(chainId = 1) {
+        const url = `${this.baseUrl}/swap/v6.0/${chainId}/approve/spender`;
+        const data = await this.request('approveSpender', url, {});
+        return data.address;
+    }
+
+    // approve() calldata for the router; without an amount 1inch builds an unlimited approval
+    async getApproveTransaction(tokenAddress, amount, chainId = 1) {
+        const url = `${this.baseUrl}/swap/v6.0/${chainId}/approve/transaction`;
+        return this.request('approveTransaction', url, { tokenAddress, amount });
+    }
+
+    // Every option with its effective value, as echoed in the route analysis
+    resolveSwapParams(options = {}) {
+        const swapParams = {};
+        for (const name of SWAP_OPTIONS) {
+            swapParams[name] = options[name] ?? null;
+        }
+        swapParams.slippage = swapParams.slippage ?? DEFAULT_SLIPPAGE;
+        return swapParams;
+    }
+
+    // Lists are sent comma-separated, as the 1inch API expects
+    toQueryParams(swapParams, operation) {
+        const params = {};
+        for (const [name, value] of Object.entries(swapParams)) {
+            if (value === null || value === undefined) continue;
+            if (operation === 'quote' && SWAP_ONLY_OPTIONS.includes(name)) continue;
+            params[name] = Array.isArray(value) ? value.join(',') : value;
+        }
+        return params;
+    }
+
+    // Responses are cached, recorded and replayed by URL and query parameters; the API key stays out of both
+    async request(operation, url, params) {
+        const namespace = operation === 'tokens' ? 'tokenList' : operation;
+        return withCache(namespace, JSON.stringify({ url, params }), () => fetchWithFixtures('1inch', operation, { url, params }, async () => {
+            const response = await httpRequest({
+                method: 'GET',
+                url,
+                params,
+                headers: { 'Accept': 'application/json' }
+            }, {
+                service: '1inch',
+                operation,
+                keys: this.apiKeys,
+                applyKey: (config, key) => ({ ...config, headers: { ...config.headers, 'Authorization': `Bearer ${key}` } })
+            });
+            return response.data;
+        }));
+    }
+
+    // 1inch v6 returns protocols as route parts -> hops -> pool fills
+    isRouteTree(protocols) {
+        return Array.isArray(protocols) && protocols.length > 0 && Array.isArray(protocols[0]);
+    }
+
     parseProtocols(protocols) {
         if (!protocols) return [];
+
+        if (this.isRouteTree(protocols)) {
+            return this.flattenRouteTree(this.buildRouteTree(protocols));
+        }
         
         const parsed = [];
         let currentIndex = 0;
@@ -86,54 +178,231 @@ class OneInchAnalyzer {
         return parsed;
     }
 
-    calculateRouteBreakdown(swapData) {
-        const protocols = this.parseProtocols(swapData.protocols);
-        const totalPercent = protocols.reduce((sum, p) => sum + p.percent, 0);
+    buildRouteTree(protocols, tokens = {}, fromToken = null, toToken = null) {
+        if (!protocols || protocols.length === 0) return [];
+
+        // Legacy "DEX-percent" strings describe a single direct hop split across DEXes
+        if (!this.isRouteTree(protocols)) {
+            const fills = this.parseProtocols(protocols).map(p => ({ dex: p.dex, part: p.percent }));
+            return [{
+                routeIndex: 0,
+                part: 100,
+                hops: [this.buildHop(0, fromToken, toToken, fills, tokens)]
+            }];
+        }
+
+        return protocols.map((route, routeIndex) => ({
+            routeIndex,
+            // The API does not report how the input is split between parallel route parts
+            part: protocols.length === 1 ? 100 : null,
+            hops: route.map((hop, hopIndex) => {
+                const first = hop[0] || {};
+                const fills = hop.map(fill => ({ dex: fill.name, part: fill.part }));
+                return this.buildHop(hopIndex, first.fromTokenAddress, first.toTokenAddress, fills, tokens);
+            })
+        }));
+    }
+
+    buildHop(hopIndex, fromTokenAddress, toTokenAddress, fills, tokens) {
+        return {
+            hopIndex,
+            fromTokenAddress: fromTokenAddress || null,
+            toTokenAddress: toTokenAddress || null,
+            fromToken: this.resolveToken(fromTokenAddress, tokens),
+            toToken: this.resolveToken(toTokenAddress, tokens),
+            fills,
+            totalPart: fills.reduce((sum, fill) => sum + fill.part, 0)
+        };
+    }
+
+    resolveToken(address, tokens) {
+        if (!address) return null;
+
+        const token = tokens[address.toLowerCase()];
+        if (!token) {
+            return { address, symbol: null, decimals: null };
+        }
+
+        return {
+            address: token.address || address,
+            symbol: token.symbol,
+            decimals: token.decimals
+        };
+    }
+
+    flattenRouteTree(routes) {
+        const flat = [];
+        let currentIndex = 0;
+
+        for (const route of routes) {
+            for (const hop of route.hops) {
+                for (const fill of hop.fills) {
+                    flat.push({
+                        dex: fill.dex,
+                        percent: fill.part,
+                        index: currentIndex++,
+                        route: route.routeIndex,
+                        hop: hop.hopIndex
+                    });
+                }
+            }
+        }
+
+        return flat;
+    }
+
+    // One entry per hop across all route parts, with the DEX fills that execute it
+    listHops(routes) {
+        const hops = [];
+
+        for (const route of routes) {
+            for (const hop of route.hops) {
+                hops.push({
+                    route: route.routeIndex,
+                    hop: hop.hopIndex,
+                    fromToken: hop.fromToken,
+                    toToken: hop.toToken,
+                    dexes: hop.fills.map(fill => fill.dex),
+                    fills: hop.fills
+                });
+            }
+        }
+
+        return hops;
+    }
+
+    describePath(route) {
+        if (route.hops.length === 0) return [];
+
+        const label = token => token ? (token.symbol || token.address) : '?';
+        return [label(route.hops[0].fromToken), ...route.hops.map(hop => label(hop.toToken))];
+    }
+
+    calculateRouteBreakdown(swapData, tokens = {}) {
+        const fromToken = swapData.srcToken || swapData.fromToken;
+        const toToken = swapData.dstToken || swapData.toToken;
+        const knownTokens = { ...tokens };
+        for (const token of [fromToken, toToken]) {
+            if (token?.address) knownTokens[token.address.toLowerCase()] = token;
+        }
+
+        const routes = this.buildRouteTree(
+            swapData.protocols,
+            knownTokens,
+            fromToken?.address,
+            toToken?.address
+        );
+        const protocols = this.flattenRouteTree(routes);
+        // Fill parts are relative to their hop, so measure coverage on each route's first hop
+        const totalPercent = routes.length === 0 ? 0 : routes.reduce((sum, route) => sum + (route.hops[0]?.totalPart || 0), 0) / routes.length;
         
         return {
+            routes: routes.map(route => ({ ...route, path: this.describePath(route) })),
+            hops: this.listHops(routes),
             protocols: protocols,
             totalPercent: totalPercent,
-            routeCount: protocols.length,
-            estimatedGas: swapData.tx?.gas || 0,
-            estimatedGasCost: swapData.tx?.gasCost || '0'
+            routeCount: routes.length,
+            hopCount: routes.reduce((sum, route) => sum + route.hops.length, 0),
+            estimatedGas: swapData.tx?.gas || 0
         };
     }
 
-    async analyze1inchRoute(fromToken, toToken, amount, fromAddress) {
+    // options are the optional 1inch parameters in SWAP_OPTIONS; the quote and the swap use the same ones
+    // so the analyzed route is the one that would be executed
+    async analyze1inchRoute(fromToken, toToken, amount, fromAddress, chainId = DEFAULT_CHAIN_ID, options = {}) {
+        const chain = getChain(chainId);
+        const { dataSource } = getRequestContext();
+        const swapParams = this.resolveSwapParams(options);
+
+        // Sample data only when explicitly requested, never as a fallback for a failed API call
+        if (dataSource === 'mock') {
+            return this.getMockRouteAnalysis(fromToken, toToken, amount, fromAddress, chain.chainId, swapParams);
+        }
+
         try {
             // Get quote first
-            const quoteData = await this.getSwapQuote(fromToken, toToken, amount, fromAddress);
+            const quoteData = await this.getSwapQuote(fromToken, toToken, amount, fromAddress, chain.chainId, swapParams);
+            emitProgress('quote.ready', { chainId: chain.chainId, quote: quoteData });
             
             // Get swap transaction
-            const swapData = await this.getSwapTx(fromToken, toToken, amount, fromAddress);
+            const swapData = await this.getSwapTx(fromToken, toToken, amount, fromAddress, swapParams.slippage, chain.chainId, swapParams);
             
-            // Parse route breakdown
-            const routeBreakdown = this.calculateRouteBreakdown(swapData);
+            // Build the route tree, resolving intermediate tokens from the 1inch token list
+            const tokens = this.isRouteTree(swapData.protocols) ? await this.getTokenList(chain.chainId) : {};
+            const routeBreakdown = this.calculateRouteBreakdown(swapData, tokens);
+
+            // Decode router calldata and check it against the quote
+            const decodedTx = decodeSwapTx(swapData.tx, chain.chainId);
+            const calldataVerification = this.verifyCalldata(
+                decodedTx,
+                swapData.dstAmount || swapData.toAmount,
+                swapParams.slippage,
+                routeBreakdown
+            );
             
             return {
+                dataSource,
+                degraded: false,
+                chainId: chain.chainId,
+                chain: this.describeChain(chain),
+                fromAddress: fromAddress,
                 quote: quoteData,
                 tx: swapData.tx,
+                decodedTx: decodedTx,
+                calldataVerification: calldataVerification,
+                slippage: swapParams.slippage,
+                swapParams: swapParams,
                 routeBreakdown: routeBreakdown,
                 protocols: swapData.protocols,
-                fromToken: swapData.fromToken,
-                toToken: swapData.toToken,
-                amount: swapData.amount,
-                toAmount: swapData.toAmount,
+                fromToken: swapData.srcToken || swapData.fromToken,
+                toToken: swapData.dstToken || swapData.toToken,
+                amount: swapData.amount || amount,
+                toAmount: swapData.dstAmount || swapData.toAmount,
                 estimatedGas: swapData.tx?.gas || 0
             };
         } catch (error) {
+            // Typed errors (upstream, cancellation, missing fixture) reach the route handler as they are
+            if (error.category) throw error;
             console.error('Route analysis failed:', error);
-            console.log('🔄 Falling back to mock data for testing...');
-            
-            // Fallback to mock data for testing
-            return this.getMockRouteAnalysis(fromToken, toToken, amount, fromAddress);
+            throw new Error(`1inch route analysis failed (${dataSource}): ${error.message}`);
         }
     }
 
-    getMockRouteAnalysis(fromToken, toToken, amount, fromAddress) {
-        console.log('📋 Using mock route analysis for testing');
+    verifyCalldata(decodedTx, quotedToAmount, slippage, routeBreakdown) {
+        return {
+            minReturn: verifyMinReturn(decodedTx, quotedToAmount, slippage),
+            pools: verifyPools(decodedTx, routeBreakdown.protocols.map(p => p.dex))
+        };
+    }
+
+    describeChain(chain) {
+        return {
+            chainId: chain.chainId,
+            name: chain.name,
+            nativeToken: chain.nativeToken,
+            gasModel: chain.gasModel,
+            mempool: chain.mempool
+        };
+    }
+
+    getMockRouteAnalysis(fromToken, toToken, amount, fromAddress, chainId = DEFAULT_CHAIN_ID, swapParams = this.resolveSwapParams()) {
+        console.log('📋 Using mock route analysis (dataSource: mock)');
+        const chain = getChain(chainId);
+        const tx = {
+            to: chain.routerAddress, // 1inch router for the requested chain
+            data: '0x1234567890abcdef', // Mock transaction data
+            value: '0',
+            gas: '150000'
+        };
+        const decodedTx = decodeSwapTx(tx, chain.chainId);
         
         return {
+            dataSource: 'mock',
+            degraded: true,
+            notice: 'Sample route with placeholder calldata and amounts; not a real 1inch quote',
+            chainId: chain.chainId,
+            chain: this.describeChain(chain),
+            fromAddress: fromAddress,
             quote: {
                 fromToken: { symbol: 'WETH', address: fromToken },
                 toToken: { symbol: 'USDC', address: toToken },
@@ -141,25 +410,20 @@ class OneInchAnalyzer {
                 fromTokenAmount: amount,
                 protocols: ['UNISWAP_V3-60', 'SUSHISWAP-40']
             },
-            tx: {
-                to: '0x1111111254EEB25477B68fb85Ed929f73A960582', // 1inch V5 router
-                data: '0x1234567890abcdef', // Mock transaction data
-                value: '0',
-                gas: '150000'
-            },
-            routeBreakdown: {
-                protocols: [
-                    { dex: 'UNISWAP_V3', percent: 60, index: 0 },
-                    { dex: 'SUSHISWAP', percent: 40, index: 1 }
-                ],
-                totalPercent: 100,
-                routeCount: 2,
-                estimatedGas: 150000,
-                estimatedGasCost: '150000000000000000'
-            },
+            tx: tx,
+            decodedTx: decodedTx,
+            calldataVerification: this.verifyCalldata(decodedTx, '1500000000', swapParams.slippage, { protocols: [] }),
+            slippage: swapParams.slippage,
+            swapParams: swapParams,
+            routeBreakdown: this.calculateRouteBreakdown({
+                protocols: ['UNISWAP_V3-60', 'SUSHISWAP-40'],
+                fromToken: { symbol: 'WETH', address: fromToken },
+                toToken: { symbol: 'USDC', address: toToken },
+                tx: { gas: 150000 }
+            }),
             protocols: ['UNISWAP_V3-60', 'SUSHISWAP-40'],
-            fromToken: { symbol: 'WETH', address: fromToken },
-            toToken: { symbol: 'USDC', address: toToken },
+            fromToken: { symbol: 'WETH', decimals: 18, address: fromToken },
+            toToken: { symbol: 'USDC', decimals: 6, address: toToken },
             amount: amount,
             toAmount: '1500000000',
             estimatedGas: 150000
@@ -169,4 +433,12 @@ class OneInchAnalyzer {
 
 // Export singleton instance
 const analyzer = new OneInchAnalyzer();
-module.exports = { analyze1inchRoute: analyzer.analyze1inchRoute.bind(analyzer) }; 
\ No newline at end of file
+module.exports = {
+    analyze1inchRoute: analyzer.analyze1inchRoute.bind(analyzer),
+    getSwapQuote: analyzer.getSwapQuote.bind(analyzer),
+    getSwapTx: analyzer.getSwapTx.bind(analyzer),
+    calculateRouteBreakdown: analyzer.calculateRouteBreakdown.bind(analyzer),
+    resolveSwapParams: analyzer.resolveSwapParams.bind(analyzer),
+    getApproveSpender: analyzer.getApproveSpender.bind(analyzer),
+    getApproveTransaction: analyzer.getApproveTransaction.bind(analyzer)
+};
\ No newline at end of file
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { startAnalysis } = require('./analysisPipeline');
+const { runWithContext, getRequestContext } = require('./requestContext');
+const { errorBody } = require('./errors');
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Queued analyze-route runs, one JSON file per job so the result stays on record as it was
+// when the route was analyzed. Summaries (everything but the result) are indexed in memory.
+class AnalysisJobs {
+    constructor() {
+        this.dir = process.env.ANALYSES_DIR || path.join(__dirname, '../../.data/analyses');
+        this.concurrency = Number(process.env.ANALYSIS_CONCURRENCY) || 1;
+        this.index = new Map();
+        this.pending = new Map();
+        this.queue = [];
+        this.active = 0;
+        this.loaded = null;
+    }
+
+    // Runs with the submitting request's dataSource and refresh settings
+    async submit(params) {
+        await this.load();
+        const { dataSource, refresh } = getRequestContext();
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            stage: null,
+            dataSource,
+            refresh: Boolean(refresh),
+            params,
+            chainId: params.chainId,
+            router: null,
+            degraded: null,
+            verdict: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            result: null
+        };
+
+        await this.save(job);
+        this.pending.set(job.id, job);
+        this.queue.push(job);
+        this.drain();
+
+        console.log(`📥 Analysis ${job.id} queued (${this.queue.length} waiting)`);
+        return this.summarize(job);
+    }
+
+    async get(id) {
+        if (!JOB_ID_PATTERN.test(id)) return null;
+        if (this.pending.has(id)) return this.pending.get(id);
+
+        try {
+            return JSON.parse(await fs.readFile(this.jobPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            if (error instanceof SyntaxError) {
+                console.error(`Stored analysis ${id} is unreadable:`, error.message);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Newest first; tokens and router match case-insensitively, from/to bound createdAt
+    async list({ fromToken, toToken, router, chainId, status, verdict, from, to, limit = DEFAULT_LIST_LIMIT, offset = 0 } = {}) {
+        await this.load();
+        const matches = value => filter => !filter || (value && value.toLowerCase() === filter.toLowerCase());
+        const fromTime = from ? Date.parse(from) : null;
+        const toTime = to ? Date.parse(to) : null;
+
+        const jobs = Array.from(this.index.values())
+            .filter(job => matches(job.params.fromToken)(fromToken)
+                && matches(job.params.toToken)(toToken)
+                && matches(job.router)(router)
+                && (!chainId || job.chainId === Number(chainId))
+                && (!status || job.status === status)
+                && (!verdict || job.verdict === verdict)
+                && (fromTime === null || Date.parse(job.createdAt) >= fromTime)
+                && (toTime === null || Date.parse(job.createdAt) <= toTime))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const size = Math.min(Number(limit) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+        const start = Number(offset) || 0;
+        return {
+            total: jobs.length,
+            limit: size,
+            offset: start,
+            analyses: jobs.slice(start, start + size)
+        };
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+            this.execute(job)
+                .catch(error => console.error(`Analysis ${job.id} could not be saved:`, error))
+                .finally(() => {
+                    this.active--;
+                    this.pending.delete(job.id);
+                    this.drain();
+                });
+        }
+    }
+
+    async execute(job) {
+        await this.update(job, { status: 'running', startedAt: new Date().toISOString() });
+        console.log(`⚙️ Analysis ${job.id} running`);
+
+        try {
+            // The job id doubles as the analysis id, so POST /api/analyze-route/:id/cancel stops it
+            const analysis = runWithContext({ dataSource: job.dataSource, refresh: job.refresh }, () => startAnalysis(job.params, {
+                analysisId: job.id,
+                onEvent: type => { job.stage = type; }
+            }));
+            const result = await analysis.promise;
+
+            await this.update(job, {
+                status: 'completed',
+                finishedAt: new Date().toISOString(),
+                router: result.routeAnalysis?.tx?.to || null,
+                degraded: result.degraded,
+                verdict: result.policyVerdict?.verdict ?? null,
+                result
+            });
+            console.log(`✅ Analysis ${job.id} completed`);
+        } catch (error) {
+            await this.update(job, {
+                status: error.code === 'CANCELLED' ? 'cancelled' : 'failed',
+                finishedAt: new Date().toISOString(),
+                error: errorBody(error, 'Failed to analyze route')
+            });
+            console.error(`Analysis ${job.id} ${job.status}:`, error.message);
+        }
+    }
+
+    async update(job, changes) {
+        Object.assign(job, changes);
+        await this.save(job);
+    }
+
+    // Written to a temp file, flushed and renamed, so neither a reader nor a crash leaves half a job
+    async save(job) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const tempPath = `${this.jobPath(job.id)}.${process.pid}-${crypto.randomUUID()}.tmp`;
+        const file = await fs.open(tempPath, 'w');
+        try {
+            await file.writeFile(JSON.stringify(job, null, 2));
+            await file.sync();
+        } finally {
+            await file.close();
+        }
+        await fs.rename(tempPath, this.jobPath(job.id));
+        this.index.set(job.id, this.summarize(job));
+    }
+
+    // Jobs left queued or running by a previous process are failed rather than re-run:
+    // a later run would record a different route than the one submitted
+    load() {
+        if (!this.loaded) {
+            this.loaded = (async () => {
+                let files = [];
+                try {
+                    files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+
+                // One unreadable file (e.g. a disk that filled mid-write) is skipped, not fatal for every later request
+                for (const file of files) {
+                    try {
+                        const job = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                        if (job.status === 'queued' || job.status === 'running') {
+                            await this.update(job, {
+                                status: 'failed',
+                                finishedAt: new Date().toISOString(),
+                                error: { code: 'INTERRUPTED', category: 'internal', message: 'Interrupted by a server restart' }
+                            });
+                        } else {
+                            this.index.set(job.id, this.summarize(job));
+                        }
+                    } catch (error) {
+                        console.error(`Skipping stored analysis ${file}:`, error.message);
+                    }
+                }
+                console.log(`🗂️ Loaded ${this.index.size} stored analyses`);
+            })();
+        }
+        return this.loaded;
+    }
+
+    summarize(job) {
+        const { result, ...summary } = job;
+        return summary;
+    }
+
+    jobPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+}
+
+const analysisJobs = new AnalysisJobs();
+module.exports = {
+    submitAnalysis: analysisJobs.submit.bind(analysisJobs),
+    getAnalysis: analysisJobs.get.bind(analysisJobs),
+    listAnalyses: analysisJobs.list.bind(analysisJobs)
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { analyze1inchRoute } = require('./1inchAnalyzer');
+const { checkApprovals } = require('./approvalChecker');
+const { simulateSwap } = require('./simulationService');
+const { analyzeGasCost } = require('./gasCost');
+const { analyzeMev } = require('./mevAnalyzer');
+const { scanRouterSecurity } = require('./securityScanner');
+const { scanSwapTokens } = require('./tokenScanner');
+const { formatRouteAmounts } = require('./tokenMetadata');
+const { evaluatePolicy } = require('./policyEngine');
+const { runWithContext, getRequestContext, throwIfCancelled } = require('./requestContext');
+const { CancelledError, errorBody } = require('./errors');
+
+// Every section carries its own dataSource/degraded marker; the response is degraded if any section is
+function isDegraded(...sections) {
+    return sections.some(section => section && section.degraded);
+}
+
+// The analyze-route pipeline: 1inch route -> approvals -> simulation -> gas cost -> MEV exposure ->
+// router security scan -> token scan -> policy verdict.
+// Each run gets an AbortController in its request context, so cancelling aborts in-flight
+// upstream calls and the forge process; stage events go to the caller's onEvent.
+class AnalysisPipeline {
+    constructor() {
+        this.running = new Map();
+    }
+
+    start(params, { analysisId = crypto.randomUUID(), onEvent = () => {} } = {}) {
+        const controller = new AbortController();
+        const emit = (type, data = {}) => onEvent(type, { analysisId, ...data, timestamp: new Date().toISOString() });
+
+        this.running.set(analysisId, controller);
+        const context = { ...getRequestContext(), signal: controller.signal, onProgress: emit };
+
+        const promise = runWithContext(context, async () => {
+            try {
+                const result = await this.run(params, emit);
+                emit('analysis.completed', { result });
+                return result;
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    console.log(`🛑 Analysis ${analysisId} cancelled`);
+                    emit('analysis.cancelled', {});
+                    throw new CancelledError();
+                }
+                emit('analysis.failed', { error: errorBody(error, 'Failed to analyze route') });
+                throw error;
+            }
+        }).finally(() => this.running.delete(analysisId));
+
+        return { analysisId, promise, cancel: () => controller.abort() };
+    }
+
+    cancel(analysisId) {
+        const controller = this.running.get(analysisId);
+        if (!controller) return false;
+        controller.abort();
+        return true;
+    }
+
+    async run(params, emit) {
+        const { fromToken, toToken, amount, fromAddress, chainId, policy, ...swapOptions } = params;
+        const { dataSource } = getRequestContext();
+        emit('analysis.started', { dataSource, params });
+
+        // Get 1inch route analysis
+        const routeAnalysis = await analyze1inchRoute(fromToken, toToken, amount, fromAddress, chainId, swapOptions);
+
+        // Human-readable amounts from on-chain decimals
+        routeAnalysis.amounts = await formatRouteAmounts(routeAnalysis);
+        throwIfCancelled();
+        console.log('✅ 1inch route analysis completed');
+        emit('route.ready', { routeAnalysis });
+        emit('calldata.decoded', {
+            decodedTx: routeAnalysis.decodedTx || null,
+            calldataVerification: routeAnalysis.calldataVerification || null
+        });
+
+        // Balance and allowance of fromAddress, and the approval tx if one is needed
+        const approvalAnalysis = await this.stage('approval', 'approvalAnalysis', emit, () => checkApprovals(routeAnalysis));
+        console.log('✅ Approval check completed');
+
+        // Simulate the swap for slippage analysis
+        const simulationResults = await this.stage('simulation', 'simulationResults', emit, () => simulateSwap(routeAnalysis));
+        console.log('✅ Swap simulation completed');
+
+        // Price the simulated gas with current fees
+        const gasAnalysis = await this.stage('gas', 'gasAnalysis', emit, () => analyzeGasCost(routeAnalysis, simulationResults));
+        console.log('✅ Gas cost analysis completed');
+
+        // Estimate sandwich exposure within the calldata's minReturn
+        const mevAnalysis = await this.stage('mev', 'mevAnalysis', emit, () => analyzeMev(routeAnalysis, simulationResults, gasAnalysis));
+        console.log('✅ MEV analysis completed');
+
+        // Scan router security and check the route's addresses against the known-contract registry
+        const securityAnalysis = await this.stage('security', 'securityAnalysis', emit, () => scanRouterSecurity(routeAnalysis.tx.to, routeAnalysis.chainId, routeAnalysis));
+        console.log('✅ Security analysis completed');
+
+        // Scan both swap tokens for transfer, supply and upgrade risks
+        const tokenRisk = await this.stage('tokenRisk', 'tokenRisk', emit, () => scanSwapTokens(fromToken, toToken, routeAnalysis.chainId));
+        console.log('✅ Token risk analysis completed');
+
+        const sections = { routeAnalysis, approvalAnalysis, simulationResults, gasAnalysis, mevAnalysis, securityAnalysis, tokenRisk };
+
+        // Check the combined results against the selected policy
+        const policyVerdict = await this.stage('policy', 'policyVerdict', emit, () => evaluatePolicy(policy, { dataSource, ...sections }));
+        console.log(`✅ Policy ${policy}: ${policyVerdict.verdict}`);
+
+        return {
+            dataSource,
+            degraded: isDegraded(routeAnalysis.amounts, ...Object.values(sections), policyVerdict),
+            chainId: routeAnalysis.chainId,
+            ...sections,
+            policyVerdict,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Stages degrade instead of throwing, so a cancellation is only noticed once the stage returns
+    async stage(name, key, emit, fn) {
+        const section = await fn();
+        throwIfCancelled();
+
+        if (section?.error) {
+            emit('stage.error', { stage: name, error: section.error, errorCode: section.errorCode || null });
+        }
+        emit(`${name}.finished`, { [key]: section });
+        return section;
+    }
+}
+
+const analysisPipeline = new AnalysisPipeline();
+module.exports = {
+    startAnalysis: analysisPipeline.start.bind(analysisPipeline),
+    cancelAnalysis: analysisPipeline.cancel.bind(analysisPipeline),
+    isDegraded
+};
@@ -0,0 +1,275 @@
+const { Interface, formatUnits, getAddress } = require('ethers');
+const { getChain, NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+const { PERMIT2_ADDRESS, UNLIMITED_ALLOWANCE, getKnownSpenders } = require('../config/approvals');
+const { getApproveSpender, getApproveTransaction } = require('./1inchAnalyzer');
+const { rpcCall, resolveRpcUrl } = require('./rpcClient');
+const { getRequestContext } = require('./requestContext');
+const { errorBody } = require('./errors');
+
+const erc20 = new Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+]);
+const permit2 = new Interface([
+    'function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)'
+]);
+
+// Checks that fromAddress can actually send the swap: fromToken balance, the allowance to the router
+// (or to Permit2 and Permit2's allowance to the router when the calldata pulls through Permit2), and
+// the approval tx to send first. Existing unlimited approvals to known routers are listed as well.
+class ApprovalChecker {
+    async checkApprovals(routeAnalysis) {
+        const { dataSource } = getRequestContext();
+        const chainId = routeAnalysis.chainId;
+
+        if (dataSource === 'mock') {
+            return {
+                dataSource: 'mock',
+                degraded: true,
+                skipped: true,
+                reason: 'Approvals are not checked for mock route data',
+                chainId
+            };
+        }
+
+        try {
+            return await this.check(routeAnalysis, dataSource);
+        } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
+            console.error('Approval check failed:', error);
+            return {
+                dataSource,
+                degraded: true,
+                chainId,
+                error: error.message,
+                errorCode: error.category ? error.code : 'APPROVAL_CHECK_FAILED'
+            };
+        }
+    }
+
+    async check(routeAnalysis, dataSource) {
+        const chain = getChain(routeAnalysis.chainId);
+        const token = this.describeToken(routeAnalysis);
+        const owner = getAddress(routeAnalysis.fromAddress);
+        const router = routeAnalysis.tx?.to ? getAddress(routeAnalysis.tx.to) : chain.routerAddress;
+        const amount = BigInt(routeAnalysis.amount);
+        const ctx = { rpcUrl: resolveRpcUrl(chain.chainId), errors: [] };
+
+        console.log(`🔑 Checking ${token.symbol || token.address} balance and approvals for ${owner}...`);
+
+        const balance = await this.attempt(ctx, 'balance', () => (token.native
+            ? rpcCall(ctx.rpcUrl, 'eth_getBalance', [owner, 'latest']).then(BigInt)
+            : this.call(ctx, token.address, erc20, 'balanceOf', [owner])));
+
+        const result = {
+            dataSource,
+            degraded: false,
+            chainId: chain.chainId,
+            owner,
+            token,
+            amount: amount.toString(),
+            amountFormatted: this.format(amount, token),
+            balance: this.describeBalance(balance, amount, token),
+            spender: router,
+            apiSpender: null,
+            spenderMatches: null,
+            usesPermit2: false,
+            allowance: null,
+            permit2: null,
+            approvalNeeded: false,
+            approvalTx: null,
+            existingUnlimitedApprovals: [],
+            warnings: [],
+            errors: ctx.errors
+        };
+
+        // Native token swaps send value with the tx; there is nothing to approve
+        if (!token.native) {
+            await this.checkTokenApprovals(ctx, chain, result, routeAnalysis.decodedTx);
+        }
+
+        result.warnings.push(...this.collectWarnings(result, token));
+        result.degraded = ctx.errors.length > 0;
+        return result;
+    }
+
+    async checkTokenApprovals(ctx, chain, result, decodedTx) {
+        const { owner, token, spender } = result;
+        const amount = BigInt(result.amount);
+        result.usesPermit2 = this.usesPermit2(decodedTx);
+
+        const apiSpender = await this.attempt(ctx, 'approveSpender', () => getApproveSpender(chain.chainId));
+        result.apiSpender = apiSpender ? getAddress(apiSpender) : null;
+        result.spenderMatches = result.apiSpender ? result.apiSpender === spender : null;
+
+        const knownSpenders = getKnownSpenders(chain.chainId);
+        const allowances = await Promise.all(knownSpenders.map(known => this.attempt(
+            ctx,
+            `allowance:${known.name}`,
+            () => this.call(ctx, token.address, erc20, 'allowance', [owner, known.address])
+        )));
+        result.existingUnlimitedApprovals = knownSpenders
+            .map((known, index) => ({ name: known.name, spender: known.address, amount: allowances[index] }))
+            .filter(approval => approval.amount !== null && approval.amount >= UNLIMITED_ALLOWANCE)
+            .map(approval => ({ ...approval, amount: approval.amount.toString(), current: approval.spender === spender }));
+
+        // The router's own allowance may not be in the known list (e.g. an unexpected tx.to)
+        const known = knownSpenders.findIndex(entry => entry.address === spender);
+        const routerAllowance = known !== -1
+            ? allowances[known]
+            : await this.attempt(ctx, 'allowance', () => this.call(ctx, token.address, erc20, 'allowance', [owner, spender]));
+        result.allowance = this.describeAllowance(spender, routerAllowance, amount, token);
+
+        if (result.usesPermit2) {
+            const tokenAllowance = allowances[knownSpenders.findIndex(entry => entry.address === PERMIT2_ADDRESS)];
+            const permit = await this.attempt(ctx, 'permit2Allowance', () => this.callRaw(ctx, PERMIT2_ADDRESS, permit2, 'allowance', [owner, token.address, spender]));
+            const expiration = permit ? Number(permit.expiration) : null;
+            const expired = Boolean(expiration) && expiration * 1000 <= Date.now();
+
+            result.permit2 = {
+                address: PERMIT2_ADDRESS,
+                tokenAllowance: this.describeAllowance(PERMIT2_ADDRESS, tokenAllowance, amount, token),
+                routerAllowance: permit ? {
+                    ...this.describeAllowance(spender, expired ? 0n : BigInt(permit.amount), amount, token),
+                    expiration,
+                    expired
+                } : null
+            };
+            result.approvalNeeded = result.permit2.tokenAllowance.sufficient === false;
+        } else {
+            result.approvalNeeded = result.allowance.sufficient === false;
+        }
+
+        if (result.approvalNeeded) {
+            result.approvalTx = await this.buildApprovalTx(ctx, chain, result, amount);
+        }
+    }
+
+    // An exact-amount approval, never an unlimited one. Permit2 flows approve Permit2 itself,
+    // which the 1inch approve endpoint (router only) does not cover.
+    async buildApprovalTx(ctx, chain, result, amount) {
+        if (result.usesPermit2) {
+            return {
+                source: 'local',
+                to: result.token.address,
+                data: erc20.encodeFunctionData('approve', [PERMIT2_ADDRESS, amount]),
+                value: '0',
+                spender: PERMIT2_ADDRESS,
+                amount: amount.toString()
+            };
+        }
+
+        const tx = await this.attempt(ctx, 'approveTransaction', () => getApproveTransaction(result.token.address, amount.toString(), chain.chainId));
+        if (!tx) return null;
+        return {
+            source: '1inch',
+            to: getAddress(tx.to),
+            data: tx.data,
+            value: String(tx.value ?? '0'),
+            gasPrice: tx.gasPrice ?? null,
+            spender: result.apiSpender,
+            amount: amount.toString()
+        };
+    }
+
+    // V6 calldata marks the Permit2 transfer on the pools or in the order's taker traits
+    usesPermit2(decodedTx) {
+        if (!decodedTx?.decoded) return false;
+        return Boolean(decodedTx.flags?.usePermit2) || (decodedTx.pools || []).some(pool => pool.usePermit2);
+    }
+
+    describeToken(routeAnalysis) {
+        const meta = routeAnalysis.amounts?.fromToken || routeAnalysis.fromToken || {};
+        const address = routeAnalysis.fromToken?.address || routeAnalysis.decodedTx?.srcToken;
+        const native = address.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase();
+        return {
+            address: getAddress(address),
+            symbol: meta.symbol || null,
+            decimals: Number.isInteger(meta.decimals) ? meta.decimals : null,
+            native
+        };
+    }
+
+    describeBalance(balance, amount, token) {
+        if (balance === null) {
+            return { amount: null, formatted: null, sufficient: null, shortfall: null };
+        }
+        const shortfall = balance < amount ? amount - balance : 0n;
+        return {
+            amount: balance.toString(),
+            formatted: this.format(balance, token),
+            sufficient: shortfall === 0n,
+            shortfall: shortfall.toString()
+        };
+    }
+
+    describeAllowance(spender, allowance, amount, token) {
+        if (allowance === null || allowance === undefined) {
+            return { spender, amount: null, formatted: null, unlimited: null, sufficient: null };
+        }
+        return {
+            spender,
+            amount: allowance.toString(),
+            formatted: allowance >= UNLIMITED_ALLOWANCE ? 'unlimited' : this.format(allowance, token),
+            unlimited: allowance >= UNLIMITED_ALLOWANCE,
+            sufficient: allowance >= amount
+        };
+    }
+
+    collectWarnings(result, token) {
+        const warnings = [];
+        const label = token.symbol || token.address;
+
+        if (result.balance.sufficient === false) {
+            const shortfall = this.format(BigInt(result.balance.shortfall), token);
+            warnings.push(`Insufficient ${label} balance: ${shortfall} short of the swap amount`);
+        }
+        if (token.native && result.balance.sufficient) {
+            warnings.push(`Gas is paid in ${label} on top of the swap amount; the balance check does not include it`);
+        }
+        if (result.spenderMatches === false) {
+            warnings.push(`Transaction target ${result.spender} is not the 1inch approve spender ${result.apiSpender}`);
+        }
+        if (result.approvalNeeded) {
+            const spender = result.usesPermit2 ? 'Permit2' : 'the 1inch router';
+            warnings.push(`${label} must be approved to ${spender} before the swap`);
+        }
+        if (result.permit2?.routerAllowance?.expired) {
+            warnings.push('Permit2 allowance to the router has expired; the swap needs a fresh permit signature');
+        }
+        for (const approval of result.existingUnlimitedApprovals) {
+            warnings.push(`Unlimited ${label} approval to ${approval.name} (${approval.spender})`);
+        }
+        return warnings;
+    }
+
+    // Failed lookups leave their part null and are listed under errors
+    async attempt(ctx, lookup, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
+            console.error(`Approval ${lookup} lookup failed:`, error.message);
+            ctx.errors.push({ lookup, ...errorBody(error) });
+            return null;
+        }
+    }
+
+    async call(ctx, to, iface, fn, args) {
+        const [value] = await this.callRaw(ctx, to, iface, fn, args);
+        return BigInt(value);
+    }
+
+    async callRaw(ctx, to, iface, fn, args) {
+        const result = await rpcCall(ctx.rpcUrl, 'eth_call', [{ to, data: iface.encodeFunctionData(fn, args) }, 'latest']);
+        return iface.decodeFunctionResult(fn, result);
+    }
+
+    format(value, token) {
+        return token.decimals !== null ? formatUnits(value, token.decimals) : null;
+    }
+}
+
+const approvalChecker = new ApprovalChecker();
+module.exports = { checkApprovals: approvalChecker.checkApprovals.bind(approvalChecker) };
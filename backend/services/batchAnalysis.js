@@ -0,0 +1,87 @@
+const { startAnalysis, isDegraded } = require('./analysisPipeline');
+const { validateInput } = require('./validation');
+const { runWithContext, getRequestContext } = require('./requestContext');
+const { mapLimit } = require('./concurrency');
+const { CancelledError, errorBody } = require('./errors');
+
+// Runs the analyze-route pipeline for a list of swaps, this.concurrency at a time. The items share
+// one map of in-flight lookups (see withCache), so a router scan, token metadata, token scan or quote
+// that several items need is fetched once per batch. An invalid or failed item is reported in its
+// own entry; only a cancellation stops the batch.
+class BatchAnalysis {
+    constructor() {
+        this.concurrency = Number(process.env.BATCH_CONCURRENCY) || 2;
+    }
+
+    start(items) {
+        const controller = new AbortController();
+        const running = new Set();
+        const shared = new Map();
+
+        const promise = runWithContext({ ...getRequestContext(), shared }, () => this.run(items, controller.signal, running, shared));
+        const cancel = () => {
+            controller.abort();
+            for (const analysis of running) analysis.cancel();
+        };
+        return { promise, cancel };
+    }
+
+    async run(items, signal, running, shared) {
+        const { dataSource } = getRequestContext();
+        console.log(`📦 Analyzing a batch of ${items.length} swaps...`);
+
+        const results = await mapLimit(items, this.concurrency, (item, index) => this.runItem(item, index, signal, running));
+        const succeeded = results.filter(result => result.success);
+
+        return {
+            dataSource,
+            degraded: succeeded.length < results.length || isDegraded(...succeeded.map(result => result.result)),
+            total: results.length,
+            succeeded: succeeded.length,
+            failed: results.length - succeeded.length,
+            verdicts: {
+                pass: succeeded.filter(result => result.result.policyVerdict?.verdict === 'pass').length,
+                fail: succeeded.filter(result => result.result.policyVerdict?.verdict === 'fail').length
+            },
+            sharedWork: this.describeSharedWork(shared),
+            items: results
+        };
+    }
+
+    async runItem(item, index, signal, running) {
+        if (signal.aborted) throw new CancelledError();
+
+        let params;
+        try {
+            params = validateInput('analyzeRoute', item);
+        } catch (error) {
+            return { index, success: false, params: null, error: errorBody(error) };
+        }
+
+        const analysis = startAnalysis(params);
+        running.add(analysis);
+        try {
+            return { index, success: true, params, result: await analysis.promise };
+        } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
+            console.error(`Batch item ${index} failed:`, error.message);
+            return { index, success: false, params, error: errorBody(error, 'Failed to analyze route') };
+        } finally {
+            running.delete(analysis);
+        }
+    }
+
+    // Per namespace: distinct lookups fetched and how many item requests reused one
+    describeSharedWork(shared) {
+        const work = {};
+        for (const { namespace, reused } of shared.values()) {
+            work[namespace] = work[namespace] || { fetched: 0, reused: 0 };
+            work[namespace].fetched++;
+            work[namespace].reused += reused;
+        }
+        return work;
+    }
+}
+
+const batchAnalysis = new BatchAnalysis();
+module.exports = { startBatchAnalysis: batchAnalysis.start.bind(batchAnalysis) };
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { CACHE_TTLS, CACHE_BACKEND, CACHE_DIR, CACHE_MAX_ENTRIES } = require('../config/cache');
+const { getRequestContext } = require('./requestContext');
+
+class MemoryBackend {
+    constructor(maxEntries) {
+        this.name = 'memory';
+        this.entries = new Map();
+        this.maxEntries = maxEntries;
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, entry) {
+        // Map keeps insertion order, so the first key is the oldest entry
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+}
+
+// One JSON file per entry so the cache survives restarts
+class DiskBackend {
+    constructor(dir) {
+        this.name = 'disk';
+        this.dir = dir;
+    }
+
+    entryPath(key) {
+        const [namespace] = key.split(':');
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.dir, namespace, `${hash}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.readFile(this.entryPath(key), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        const entryPath = this.entryPath(key);
+        await fs.mkdir(path.dirname(entryPath), { recursive: true });
+        await fs.writeFile(entryPath, JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        await fs.rm(this.entryPath(key), { force: true });
+    }
+
+    async size() {
+        try {
+            const namespaces = await fs.readdir(this.dir);
+            const counts = await Promise.all(namespaces.map(namespace => fs.readdir(path.join(this.dir, namespace)).then(files => files.length)));
+            return counts.reduce((sum, count) => sum + count, 0);
+        } catch (error) {
+            return 0;
+        }
+    }
+}
+
+class Cache {
+    constructor() {
+        this.backend = CACHE_BACKEND === 'disk' ? new DiskBackend(CACHE_DIR) : new MemoryBackend(CACHE_MAX_ENTRIES);
+        this.stats = {};
+    }
+
+    // Only live data is cached; fixture and mock runs are deterministic already.
+    // A request with refresh set skips reads but still stores the fresh value.
+    wrap(namespace, key, fetch, options) {
+        return this.share(namespace, key, () => this.lookup(namespace, key, fetch, options));
+    }
+
+    // A batch puts one map in the request context so its items wait on a single in-flight fetch
+    // of each key, whatever the data source. Results, degraded ones included, live as long as the batch.
+    share(namespace, key, fetch) {
+        const { shared } = getRequestContext();
+        if (!shared) return fetch();
+
+        const sharedKey = `${namespace}:${key}`;
+        const entry = shared.get(sharedKey);
+        if (entry) {
+            entry.reused++;
+            return entry.promise;
+        }
+        const promise = fetch();
+        shared.set(sharedKey, { namespace, reused: 0, promise });
+        return promise;
+    }
+
+    async lookup(namespace, key, fetch, { ttlMs = CACHE_TTLS[namespace], shouldCache = () => true } = {}) {
+        const { dataSource, refresh, signal } = getRequestContext();
+        const stats = this.namespaceStats(namespace);
+
+        if (dataSource !== 'live') {
+            stats.bypassed++;
+            return fetch();
+        }
+
+        const cacheKey = `${namespace}:${key}`;
+        if (!refresh) {
+            const entry = await this.backend.get(cacheKey);
+            if (entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+                stats.hits++;
+                return entry.value;
+            }
+            if (entry) {
+                await this.backend.delete(cacheKey);
+            }
+        } else {
+            stats.refreshes++;
+        }
+
+        stats.misses++;
+        const value = await fetch();
+        // A cancelled request may have swallowed aborted calls into partial values
+        if (value !== undefined && !signal?.aborted && shouldCache(value)) {
+            await this.set(namespace, key, value, ttlMs);
+        }
+        return value;
+    }
+
+    async get(namespace, key) {
+        const { dataSource, refresh } = getRequestContext();
+        if (dataSource !== 'live' || refresh) return null;
+
+        const entry = await this.backend.get(`${namespace}:${key}`);
+        const stats = this.namespaceStats(namespace);
+        if (entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+            stats.hits++;
+            return entry.value;
+        }
+        stats.misses++;
+        return null;
+    }
+
+    async set(namespace, key, value, ttlMs = CACHE_TTLS[namespace]) {
+        if (getRequestContext().dataSource !== 'live') return;
+
+        this.namespaceStats(namespace).writes++;
+        await this.backend.set(`${namespace}:${key}`, {
+            value,
+            storedAt: Date.now(),
+            expiresAt: ttlMs === null || ttlMs === undefined ? null : Date.now() + ttlMs
+        });
+    }
+
+    namespaceStats(namespace) {
+        if (!this.stats[namespace]) {
+            this.stats[namespace] = { hits: 0, misses: 0, writes: 0, refreshes: 0, bypassed: 0 };
+        }
+        return this.stats[namespace];
+    }
+
+    async getStats() {
+        const totals = { hits: 0, misses: 0 };
+        for (const stats of Object.values(this.stats)) {
+            totals.hits += stats.hits;
+            totals.misses += stats.misses;
+        }
+
+        return {
+            backend: this.backend.name,
+            entries: await this.backend.size(),
+            hits: totals.hits,
+            misses: totals.misses,
+            hitRate: totals.hits + totals.misses > 0 ? totals.hits / (totals.hits + totals.misses) : null,
+            namespaces: this.stats
+        };
+    }
+}
+
+const cache = new Cache();
+module.exports = {
+    withCache: cache.wrap.bind(cache),
+    shareInBatch: cache.share.bind(cache),
+    getCached: cache.get.bind(cache),
+    setCached: cache.set.bind(cache),
+    getCacheStats: cache.getStats.bind(cache)
+};
@@ -0,0 +1,509 @@
+const { Interface, getAddress } = require('ethers');
+const { getChain, DEFAULT_CHAIN_ID, NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+
+const ADDRESS_MASK = (1n << 160n) - 1n;
+
+// AggregationRouterV5 entry points (0x1111111254EEB25477B68fb85Ed929f73A960582)
+const ROUTER_V5_ABI = [
+    'function swap(address executor, tuple(address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data) payable',
+    'function unoswap(address srcToken, uint256 amount, uint256 minReturn, uint256[] pools) payable',
+    'function unoswapTo(address recipient, address srcToken, uint256 amount, uint256 minReturn, uint256[] pools) payable',
+    'function unoswapToWithPermit(address recipient, address srcToken, uint256 amount, uint256 minReturn, uint256[] pools, bytes permit)',
+    'function uniswapV3Swap(uint256 amount, uint256 minReturn, uint256[] pools) payable',
+    'function uniswapV3SwapTo(address recipient, uint256 amount, uint256 minReturn, uint256[] pools) payable',
+    'function uniswapV3SwapToWithPermit(address recipient, address srcToken, uint256 amount, uint256 minReturn, uint256[] pools, bytes permit)',
+    'function clipperSwap(address clipperExchange, address srcToken, address dstToken, uint256 inputAmount, uint256 outputAmount, uint256 goodUntil, bytes32 r, bytes32 vs) payable',
+    'function clipperSwapTo(address clipperExchange, address recipient, address srcToken, address dstToken, uint256 inputAmount, uint256 outputAmount, uint256 goodUntil, bytes32 r, bytes32 vs) payable',
+    'function clipperSwapToWithPermit(address clipperExchange, address recipient, address srcToken, address dstToken, uint256 inputAmount, uint256 outputAmount, uint256 goodUntil, bytes32 r, bytes32 vs, bytes permit)',
+    'function fillOrder(tuple(uint256 salt, address makerAsset, address takerAsset, address maker, address receiver, address allowedSender, uint256 makingAmount, uint256 takingAmount, uint256 offsets, bytes interactions) order, bytes signature, bytes interaction, uint256 makingAmount, uint256 takingAmount, uint256 skipPermitAndThresholdAmount) payable',
+    'function fillOrderTo(tuple(uint256 salt, address makerAsset, address takerAsset, address maker, address receiver, address allowedSender, uint256 makingAmount, uint256 takingAmount, uint256 offsets, bytes interactions) order, bytes signature, bytes interaction, uint256 makingAmount, uint256 takingAmount, uint256 skipPermitAndThresholdAmount, address target) payable',
+    'function fillOrderRFQ(tuple(uint256 info, address makerAsset, address takerAsset, address maker, address allowedSender, uint256 makingAmount, uint256 takingAmount) order, bytes signature, uint256 flagsAndAmount) payable',
+    'function fillOrderRFQCompact(tuple(uint256 info, address makerAsset, address takerAsset, address maker, address allowedSender, uint256 makingAmount, uint256 takingAmount) order, bytes32 r, bytes32 vs, uint256 flagsAndAmount) payable',
+    'function fillOrderRFQTo(tuple(uint256 info, address makerAsset, address takerAsset, address maker, address allowedSender, uint256 makingAmount, uint256 takingAmount) order, bytes signature, uint256 flagsAndAmount, address target) payable'
+];
+
+// AggregationRouterV6 entry points (0x111111125421cA6dc452d289314280a0f8842A65).
+// V6 packs tokens, recipients and pools into uint256 "Address" words with flags in the high bits.
+const V6_ORDER = 'tuple(uint256 salt, uint256 maker, uint256 receiver, uint256 makerAsset, uint256 takerAsset, uint256 makingAmount, uint256 takingAmount, uint256 makerTraits) order';
+const ROUTER_V6_ABI = [
+    'function swap(address executor, tuple(address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes data) payable',
+    'function unoswap(uint256 token, uint256 amount, uint256 minReturn, uint256 dex)',
+    'function unoswap2(uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2)',
+    'function unoswap3(uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3)',
+    'function unoswapTo(uint256 to, uint256 token, uint256 amount, uint256 minReturn, uint256 dex)',
+    'function unoswapTo2(uint256 to, uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2)',
+    'function unoswapTo3(uint256 to, uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3)',
+    'function ethUnoswap(uint256 minReturn, uint256 dex) payable',
+    'function ethUnoswap2(uint256 minReturn, uint256 dex, uint256 dex2) payable',
+    'function ethUnoswap3(uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3) payable',
+    'function ethUnoswapTo(uint256 to, uint256 minReturn, uint256 dex) payable',
+    'function ethUnoswapTo2(uint256 to, uint256 minReturn, uint256 dex, uint256 dex2) payable',
+    'function ethUnoswapTo3(uint256 to, uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3) payable',
+    'function clipperSwap(address clipperExchange, uint256 srcToken, address dstToken, uint256 inputAmount, uint256 outputAmount, uint256 goodUntil, bytes32 r, bytes32 vs) payable',
+    'function clipperSwapTo(address clipperExchange, address recipient, uint256 srcToken, address dstToken, uint256 inputAmount, uint256 outputAmount, uint256 goodUntil, bytes32 r, bytes32 vs) payable',
+    `function fillOrder(${V6_ORDER}, bytes32 r, bytes32 vs, uint256 amount, uint256 takerTraits) payable`,
+    `function fillOrderArgs(${V6_ORDER}, bytes32 r, bytes32 vs, uint256 amount, uint256 takerTraits, bytes args) payable`,
+    `function fillContractOrder(${V6_ORDER}, bytes signature, uint256 amount, uint256 takerTraits)`,
+    `function fillContractOrderArgs(${V6_ORDER}, bytes signature, uint256 amount, uint256 takerTraits, bytes args)`
+];
+
+// Bit layouts taken from the router sources
+const SWAP_FLAGS = {
+    partialFill: 1n << 0n,
+    requiresExtraEth: 1n << 1n
+};
+
+const V5_UNOSWAP_REVERSE = 1n << 255n;
+const V5_UNOSWAP_WETH = 1n << 254n;
+const V5_UNOSWAP_NUMERATOR_OFFSET = 160n;
+const V5_UNISWAP_V3_ONE_FOR_ZERO = 1n << 255n;
+const V5_UNISWAP_V3_WETH_UNWRAP = 1n << 253n;
+
+const V6_PROTOCOL_OFFSET = 253n;
+const V6_PROTOCOLS = ['UniswapV2', 'UniswapV3', 'Curve'];
+const V6_WETH_UNWRAP = 1n << 252n;
+const V6_WETH_NOT_WRAP = 1n << 251n;
+const V6_USE_PERMIT2 = 1n << 250n;
+const V6_ZERO_FOR_ONE_OFFSET = 247n;
+const V6_UNISWAP_V2_FEE_OFFSET = 160n;
+
+const V5_SKIP_PERMIT = 1n << 255n;
+const V5_RFQ_MAKER_AMOUNT = 1n << 255n;
+const V5_RFQ_AMOUNT_MASK = (1n << 252n) - 1n;
+
+const V6_TAKER_MAKER_AMOUNT = 1n << 255n;
+const V6_TAKER_UNWRAP_WETH = 1n << 254n;
+const V6_TAKER_USE_PERMIT2 = 1n << 252n;
+const V6_TAKER_AMOUNT_MASK = (1n << 185n) - 1n;
+
+// Patterns matching 1inch protocol names against the pool families encoded in calldata
+const PROTOCOL_FAMILY_PATTERNS = {
+    UniswapV2: /V2|SUSHI|SHIBA|DEFISWAP|PANCAKE|QUICKSWAP|APESWAP|BISWAP|CAMELOT|AERODROME|VELODROME/,
+    UniswapV3: /V3|KYBERSWAP_ELASTIC|ALGEBRA|SOLIDLY_V3/,
+    Curve: /CURVE/,
+    Clipper: /CLIPPER/,
+    LimitOrder: /LIMIT_ORDER|PMM|RFQ/,
+    RFQ: /LIMIT_ORDER|PMM|RFQ/
+};
+
+const interfaces = {
+    V5: new Interface(ROUTER_V5_ABI),
+    V6: new Interface(ROUTER_V6_ABI)
+};
+
+class CalldataDecoder {
+    decodeSwapTx(tx, chainId = DEFAULT_CHAIN_ID) {
+        if (!tx || typeof tx.data !== 'string' || tx.data.length < 10) {
+            return this.failure('Transaction has no calldata');
+        }
+
+        const versions = this.candidateVersions(tx.to, chainId);
+
+        for (const version of versions) {
+            let parsed;
+            try {
+                parsed = interfaces[version].parseTransaction({ data: tx.data, value: tx.value || 0 });
+            } catch (error) {
+                parsed = null;
+            }
+            if (!parsed) continue;
+
+            try {
+                return this.normalize(version, parsed, tx);
+            } catch (error) {
+                return this.failure(`Failed to decode ${parsed.name} arguments: ${error.message}`, parsed.selector);
+            }
+        }
+
+        return this.failure('Unknown router function selector', tx.data.slice(0, 10));
+    }
+
+    candidateVersions(to, chainId) {
+        if (!to) return ['V6', 'V5'];
+
+        let chain;
+        try {
+            chain = getChain(chainId);
+        } catch (error) {
+            return ['V6', 'V5'];
+        }
+
+        const target = to.toLowerCase();
+        if (target === chain.routerAddress.toLowerCase()) return ['V6'];
+        if (target === chain.legacyRouterAddress.toLowerCase()) return ['V5'];
+        return ['V6', 'V5'];
+    }
+
+    normalize(version, parsed, tx) {
+        const handler = version === 'V6' ? this.normalizeV6 : this.normalizeV5;
+        const fields = handler.call(this, parsed.name, parsed.args, tx);
+
+        return {
+            decoded: true,
+            routerVersion: version,
+            function: parsed.name,
+            selector: parsed.selector,
+            signature: parsed.signature,
+            executor: null,
+            srcToken: null,
+            dstToken: null,
+            recipient: null,
+            amount: null,
+            minReturn: null,
+            flags: null,
+            pools: [],
+            ...fields,
+            value: (tx.value || '0').toString()
+        };
+    }
+
+    normalizeV5(name, args) {
+        switch (name) {
+            case 'swap':
+                return this.normalizeSwapDescription(args.executor, args.desc);
+            case 'unoswap':
+            case 'unoswapTo':
+            case 'unoswapToWithPermit':
+                return {
+                    srcToken: this.nativeIfZero(args.srcToken),
+                    recipient: args.recipient ? getAddress(args.recipient) : null,
+                    amount: args.amount.toString(),
+                    minReturn: args.minReturn.toString(),
+                    pools: args.pools.map(pool => this.decodeV5UnoswapPool(pool))
+                };
+            case 'uniswapV3Swap':
+            case 'uniswapV3SwapTo':
+            case 'uniswapV3SwapToWithPermit':
+                return {
+                    srcToken: args.srcToken ? this.nativeIfZero(args.srcToken) : null,
+                    recipient: args.recipient ? getAddress(args.recipient) : null,
+                    amount: args.amount.toString(),
+                    minReturn: args.minReturn.toString(),
+                    pools: args.pools.map(pool => this.decodeV5UniswapV3Pool(pool))
+                };
+            case 'clipperSwap':
+            case 'clipperSwapTo':
+            case 'clipperSwapToWithPermit':
+                return {
+                    executor: getAddress(args.clipperExchange),
+                    srcToken: this.nativeIfZero(args.srcToken),
+                    dstToken: this.nativeIfZero(args.dstToken),
+                    recipient: args.recipient ? getAddress(args.recipient) : null,
+                    amount: args.inputAmount.toString(),
+                    minReturn: args.outputAmount.toString(),
+                    goodUntil: args.goodUntil.toString(),
+                    pools: [{ address: getAddress(args.clipperExchange), protocol: 'Clipper' }]
+                };
+            case 'fillOrder':
+            case 'fillOrderTo':
+                return this.normalizeV5LimitOrder(args);
+            case 'fillOrderRFQ':
+            case 'fillOrderRFQCompact':
+            case 'fillOrderRFQTo':
+                return this.normalizeV5RfqOrder(args);
+            default:
+                return {};
+        }
+    }
+
+    normalizeV6(name, args, tx) {
+        if (name === 'swap') {
+            return this.normalizeSwapDescription(args.executor, args.desc);
+        }
+
+        if (name.startsWith('unoswap') || name.startsWith('ethUnoswap')) {
+            const isEth = name.startsWith('ethUnoswap');
+            const dexes = [args.dex, args.dex2, args.dex3].filter(dex => dex !== undefined);
+
+            return {
+                srcToken: isEth ? NATIVE_TOKEN_ADDRESS : this.unpackAddress(args.token),
+                recipient: args.to !== undefined ? this.unpackAddress(args.to) : null,
+                amount: isEth ? (tx.value || '0').toString() : args.amount.toString(),
+                minReturn: args.minReturn.toString(),
+                pools: dexes.map(dex => this.decodeV6Dex(dex))
+            };
+        }
+
+        if (name.startsWith('clipperSwap')) {
+            return {
+                executor: getAddress(args.clipperExchange),
+                srcToken: this.nativeIfZero(this.unpackAddress(args.srcToken)),
+                dstToken: this.nativeIfZero(args.dstToken),
+                recipient: args.recipient ? getAddress(args.recipient) : null,
+                amount: args.inputAmount.toString(),
+                minReturn: args.outputAmount.toString(),
+                goodUntil: args.goodUntil.toString(),
+                pools: [{ address: getAddress(args.clipperExchange), protocol: 'Clipper' }]
+            };
+        }
+
+        if (name.startsWith('fill')) {
+            return this.normalizeV6Order(args);
+        }
+
+        return {};
+    }
+
+    normalizeSwapDescription(executor, desc) {
+        const flags = BigInt(desc.flags);
+
+        return {
+            executor: getAddress(executor),
+            srcToken: getAddress(desc.srcToken),
+            dstToken: getAddress(desc.dstToken),
+            srcReceiver: getAddress(desc.srcReceiver),
+            recipient: getAddress(desc.dstReceiver),
+            amount: desc.amount.toString(),
+            minReturn: desc.minReturnAmount.toString(),
+            flags: {
+                raw: flags.toString(),
+                partialFill: (flags & SWAP_FLAGS.partialFill) !== 0n,
+                requiresExtraEth: (flags & SWAP_FLAGS.requiresExtraEth) !== 0n
+            },
+            // Generic swaps route through the executor, whose calldata is opaque to the router
+            poolsOpaque: true
+        };
+    }
+
+    normalizeV5LimitOrder(args) {
+        const { order } = args;
+        const raw = BigInt(args.skipPermitAndThresholdAmount);
+        const threshold = raw & ~V5_SKIP_PERMIT;
+        const makingAmount = BigInt(args.makingAmount);
+        const takingAmount = BigInt(args.takingAmount);
+
+        // With a taking amount the threshold is the minimum making amount received; with a making
+        // amount the taker receives exactly that and the threshold caps what it pays
+        const byTakingAmount = makingAmount === 0n;
+        const paid = byTakingAmount ? takingAmount : this.proportionalTaking(order, makingAmount);
+        const received = byTakingAmount ? (threshold > 0n ? threshold : this.proportionalMaking(order, takingAmount)) : makingAmount;
+
+        return {
+            executor: getAddress(order.maker),
+            srcToken: getAddress(order.takerAsset),
+            dstToken: getAddress(order.makerAsset),
+            recipient: args.target ? getAddress(args.target) : null,
+            amount: paid?.toString() ?? null,
+            minReturn: received?.toString() ?? null,
+            flags: {
+                raw: raw.toString(),
+                skipPermit: (raw & V5_SKIP_PERMIT) !== 0n,
+                threshold: threshold.toString()
+            },
+            order: {
+                maker: getAddress(order.maker),
+                makerAsset: getAddress(order.makerAsset),
+                takerAsset: getAddress(order.takerAsset),
+                makingAmount: order.makingAmount.toString(),
+                takingAmount: order.takingAmount.toString()
+            },
+            pools: [{ address: getAddress(order.maker), protocol: 'LimitOrder' }]
+        };
+    }
+
+    normalizeV5RfqOrder(args) {
+        const { order } = args;
+        const raw = BigInt(args.flagsAndAmount);
+        const makerAmount = (raw & V5_RFQ_MAKER_AMOUNT) !== 0n;
+        const amount = raw & V5_RFQ_AMOUNT_MASK;
+
+        // RFQ orders fill at the signed price: an amount of 0 fills the whole order, otherwise the
+        // other side is proportional to the given making or taking amount
+        let paid = BigInt(order.takingAmount);
+        let received = BigInt(order.makingAmount);
+        if (amount > 0n && makerAmount) {
+            paid = this.proportionalTaking(order, amount);
+            received = amount;
+        } else if (amount > 0n) {
+            paid = amount;
+            received = this.proportionalMaking(order, amount);
+        }
+
+        return {
+            executor: getAddress(order.maker),
+            srcToken: getAddress(order.takerAsset),
+            dstToken: getAddress(order.makerAsset),
+            recipient: args.target ? getAddress(args.target) : null,
+            amount: paid?.toString() ?? null,
+            minReturn: received?.toString() ?? null,
+            flags: {
+                raw: raw.toString(),
+                makerAmount
+            },
+            order: {
+                maker: getAddress(order.maker),
+                makerAsset: getAddress(order.makerAsset),
+                takerAsset: getAddress(order.takerAsset),
+                makingAmount: order.makingAmount.toString(),
+                takingAmount: order.takingAmount.toString()
+            },
+            pools: [{ address: getAddress(order.maker), protocol: 'RFQ' }]
+        };
+    }
+
+    normalizeV6Order(args) {
+        const { order } = args;
+        const traits = BigInt(args.takerTraits);
+        const makerAmount = (traits & V6_TAKER_MAKER_AMOUNT) !== 0n;
+        const threshold = traits & V6_TAKER_AMOUNT_MASK;
+        const maker = this.unpackAddress(order.maker);
+        const amount = BigInt(args.amount);
+
+        // When the taker specifies the taking amount, the threshold is the minimum making amount;
+        // when it specifies the making amount, it receives exactly that
+        const paid = makerAmount ? this.proportionalTaking(order, amount) : amount;
+        const received = makerAmount ? amount : (threshold > 0n ? threshold : this.proportionalMaking(order, amount));
+
+        return {
+            executor: maker,
+            srcToken: this.unpackAddress(order.takerAsset),
+            dstToken: this.unpackAddress(order.makerAsset),
+            recipient: BigInt(order.receiver) === 0n ? null : this.unpackAddress(order.receiver),
+            amount: paid?.toString() ?? null,
+            minReturn: received?.toString() ?? null,
+            flags: {
+                raw: traits.toString(),
+                makerAmount,
+                unwrapWeth: (traits & V6_TAKER_UNWRAP_WETH) !== 0n,
+                usePermit2: (traits & V6_TAKER_USE_PERMIT2) !== 0n,
+                threshold: threshold.toString()
+            },
+            order: {
+                maker,
+                makerAsset: this.unpackAddress(order.makerAsset),
+                takerAsset: this.unpackAddress(order.takerAsset),
+                makingAmount: order.makingAmount.toString(),
+                takingAmount: order.takingAmount.toString()
+            },
+            pools: [{ address: maker, protocol: 'LimitOrder' }]
+        };
+    }
+
+    // A partial fill is proportional to the signed amounts, as the order contracts compute it: the making
+    // amount rounds down and the taking amount up. Orders with custom amount getters may price differently.
+    proportionalMaking(order, takingAmount) {
+        const orderTaking = BigInt(order.takingAmount);
+        return orderTaking > 0n ? takingAmount * BigInt(order.makingAmount) / orderTaking : null;
+    }
+
+    proportionalTaking(order, makingAmount) {
+        const orderMaking = BigInt(order.makingAmount);
+        return orderMaking > 0n ? (makingAmount * BigInt(order.takingAmount) + orderMaking - 1n) / orderMaking : null;
+    }
+
+    decodeV5UnoswapPool(pool) {
+        const raw = BigInt(pool);
+        return {
+            address: this.unpackAddress(raw),
+            protocol: 'UniswapV2',
+            zeroForOne: (raw & V5_UNOSWAP_REVERSE) === 0n,
+            weth: (raw & V5_UNOSWAP_WETH) !== 0n,
+            feeNumerator: ((raw >> V5_UNOSWAP_NUMERATOR_OFFSET) & 0xffffffffn).toString(),
+            raw: raw.toString()
+        };
+    }
+
+    decodeV5UniswapV3Pool(pool) {
+        const raw = BigInt(pool);
+        return {
+            address: this.unpackAddress(raw),
+            protocol: 'UniswapV3',
+            zeroForOne: (raw & V5_UNISWAP_V3_ONE_FOR_ZERO) === 0n,
+            unwrapWeth: (raw & V5_UNISWAP_V3_WETH_UNWRAP) !== 0n,
+            raw: raw.toString()
+        };
+    }
+
+    decodeV6Dex(dex) {
+        const raw = BigInt(dex);
+        const protocolId = Number(raw >> V6_PROTOCOL_OFFSET);
+        const pool = {
+            address: this.unpackAddress(raw),
+            protocol: V6_PROTOCOLS[protocolId] || `Unknown(${protocolId})`,
+            unwrapWeth: (raw & V6_WETH_UNWRAP) !== 0n,
+            notWrapWeth: (raw & V6_WETH_NOT_WRAP) !== 0n,
+            usePermit2: (raw & V6_USE_PERMIT2) !== 0n,
+            raw: raw.toString()
+        };
+
+        if (pool.protocol === 'UniswapV2' || pool.protocol === 'UniswapV3') {
+            pool.zeroForOne = ((raw >> V6_ZERO_FOR_ONE_OFFSET) & 1n) === 1n;
+        }
+        if (pool.protocol === 'UniswapV2') {
+            pool.feeRaw = ((raw >> V6_UNISWAP_V2_FEE_OFFSET) & 0xffffffffn).toString();
+        }
+
+        return pool;
+    }
+
+    unpackAddress(value) {
+        return getAddress('0x' + (BigInt(value) & ADDRESS_MASK).toString(16).padStart(40, '0'));
+    }
+
+    nativeIfZero(address) {
+        return BigInt(address) === 0n ? NATIVE_TOKEN_ADDRESS : getAddress(address);
+    }
+
+    // Compare the decoded minReturn with the one implied by the quoted output and slippage (percent)
+    verifyMinReturn(decoded, quotedToAmount, slippage) {
+        if (!decoded || !decoded.decoded || decoded.minReturn === null || !quotedToAmount) {
+            return { checked: false, reason: 'minReturn or quoted amount unavailable' };
+        }
+
+        const quoted = BigInt(quotedToAmount);
+        const minReturn = BigInt(decoded.minReturn);
+        const slippageBps = BigInt(Math.round(Number(slippage) * 100));
+        const expectedMinReturn = quoted * (10000n - slippageBps) / 10000n;
+        const impliedSlippageBps = quoted > 0n ? Number((quoted - minReturn) * 10000n / quoted) : null;
+
+        return {
+            checked: true,
+            minReturn: minReturn.toString(),
+            expectedMinReturn: expectedMinReturn.toString(),
+            requestedSlippageBps: Number(slippageBps),
+            impliedSlippageBps,
+            // Allow one basis point for rounding in the API
+            matches: impliedSlippageBps !== null && Math.abs(impliedSlippageBps - Number(slippageBps)) <= 1
+        };
+    }
+
+    // Check that every pool family in the calldata is one of the DEXes the quote claimed
+    verifyPools(decoded, quotedDexNames = []) {
+        if (!decoded || !decoded.decoded) {
+            return { checked: false, reason: 'Calldata could not be decoded' };
+        }
+        if (decoded.poolsOpaque) {
+            return { checked: false, reason: 'Pools are encoded in executor calldata' };
+        }
+
+        const names = quotedDexNames.map(name => String(name).toUpperCase());
+        const pools = decoded.pools.map(pool => {
+            const pattern = PROTOCOL_FAMILY_PATTERNS[pool.protocol];
+            const matchedDex = pattern ? names.find(name => pattern.test(name)) || null : null;
+            return { address: pool.address, protocol: pool.protocol, matchedDex };
+        });
+
+        return {
+            checked: true,
+            pools,
+            quotedDexes: names,
+            unmatched: pools.filter(pool => !pool.matchedDex).map(pool => pool.address),
+            matches: pools.every(pool => pool.matchedDex !== null)
+        };
+    }
+
+    failure(error, selector = null) {
+        return {
+            decoded: false,
+            selector,
+            error
+        };
+    }
+}
+
+const calldataDecoder = new CalldataDecoder();
+module.exports = {
+    decodeSwapTx: calldataDecoder.decodeSwapTx.bind(calldataDecoder),
+    verifyMinReturn: calldataDecoder.verifyMinReturn.bind(calldataDecoder),
+    verifyPools: calldataDecoder.verifyPools.bind(calldataDecoder)
+};
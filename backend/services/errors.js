@@ -0,0 +1,151 @@
+// Every error a route can answer with has a machine-readable code, an HTTP status and a category:
+// 'client' (bad request), 'upstream' (1inch, explorers, aggregators, RPC nodes),
+// 'simulation' (the swap could not be simulated) or 'internal' (anything else).
+
+// Invalid or malformed request input; details has one entry per field: { field, code, message }
+class ValidationError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ValidationError';
+        this.code = 'INVALID_REQUEST';
+        this.category = 'client';
+        this.httpStatus = 400;
+        this.details = details;
+    }
+}
+
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+        this.code = 'NOT_FOUND';
+        this.category = 'client';
+        this.httpStatus = 404;
+    }
+}
+
+// dataSource 'fixture' was requested for a request that has no recording
+class FixtureMissingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FixtureMissingError';
+        this.code = 'FIXTURE_MISSING';
+        this.category = 'client';
+        this.httpStatus = 404;
+    }
+}
+
+class SimulationError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message, { cause });
+        this.name = 'SimulationError';
+        this.code = 'SIMULATION_FAILED';
+        this.category = 'simulation';
+        this.httpStatus = 502;
+    }
+}
+
+// httpStatus is what route handlers answer with; status is what the upstream returned
+class UpstreamError extends Error {
+    constructor(message, { service, operation = null, status = null, attempts = 1, retryAfterMs = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'UpstreamError';
+        this.code = 'UPSTREAM_ERROR';
+        this.category = 'upstream';
+        this.httpStatus = 502;
+        this.service = service;
+        this.operation = operation;
+        this.status = status;
+        this.attempts = attempts;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            service: this.service,
+            operation: this.operation,
+            status: this.status,
+            attempts: this.attempts,
+            retryAfterMs: this.retryAfterMs,
+            message: this.message
+        };
+    }
+}
+
+// 429s and quota errors that outlasted every retry and API key
+class UpstreamRateLimitError extends UpstreamError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UpstreamRateLimitError';
+        this.code = 'UPSTREAM_RATE_LIMITED';
+        this.httpStatus = 429;
+    }
+}
+
+class UpstreamTimeoutError extends UpstreamError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UpstreamTimeoutError';
+        this.code = 'UPSTREAM_TIMEOUT';
+        this.httpStatus = 504;
+    }
+}
+
+// Missing, invalid or revoked API keys
+class UpstreamAuthError extends UpstreamError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UpstreamAuthError';
+        this.code = 'UPSTREAM_AUTH';
+    }
+}
+
+// 5xx responses and network failures
+class UpstreamUnavailableError extends UpstreamError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UpstreamUnavailableError';
+        this.code = 'UPSTREAM_UNAVAILABLE';
+        this.httpStatus = 503;
+    }
+}
+
+// The caller disconnected or cancelled the analysis; in-flight upstream calls and forge are aborted
+class CancelledError extends Error {
+    constructor(message = 'Analysis cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+        this.code = 'CANCELLED';
+        this.category = 'client';
+        this.httpStatus = 499;
+    }
+}
+
+// The { code, category, message } object under "error" in every error response, SSE event and job.
+// summary prefixes messages that are not the client's fault with what was being attempted.
+function errorBody(error, summary = null) {
+    const category = error.category || 'internal';
+    const body = {
+        code: error.category ? error.code : 'INTERNAL_ERROR',
+        category,
+        message: summary && category !== 'client' ? `${summary}: ${error.message}` : error.message
+    };
+    if (error.details) body.details = error.details;
+    if (error instanceof UpstreamError) body.upstream = error.toJSON();
+    return body;
+}
+
+module.exports = {
+    errorBody,
+    ValidationError,
+    NotFoundError,
+    FixtureMissingError,
+    SimulationError,
+    CancelledError,
+    UpstreamError,
+    UpstreamRateLimitError,
+    UpstreamTimeoutError,
+    UpstreamAuthError,
+    UpstreamUnavailableError
+};
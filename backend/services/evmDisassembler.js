@@ -0,0 +1,142 @@
+// Opcode table up to Cancun; PUSH1..PUSH32, DUP and SWAP ranges are filled in below
+const OPCODES = {
+    0x00: 'STOP', 0x01: 'ADD', 0x02: 'MUL', 0x03: 'SUB', 0x04: 'DIV', 0x05: 'SDIV', 0x06: 'MOD', 0x07: 'SMOD',
+    0x08: 'ADDMOD', 0x09: 'MULMOD', 0x0a: 'EXP', 0x0b: 'SIGNEXTEND',
+    0x10: 'LT', 0x11: 'GT', 0x12: 'SLT', 0x13: 'SGT', 0x14: 'EQ', 0x15: 'ISZERO', 0x16: 'AND', 0x17: 'OR',
+    0x18: 'XOR', 0x19: 'NOT', 0x1a: 'BYTE', 0x1b: 'SHL', 0x1c: 'SHR', 0x1d: 'SAR',
+    0x20: 'KECCAK256',
+    0x30: 'ADDRESS', 0x31: 'BALANCE', 0x32: 'ORIGIN', 0x33: 'CALLER', 0x34: 'CALLVALUE', 0x35: 'CALLDATALOAD',
+    0x36: 'CALLDATASIZE', 0x37: 'CALLDATACOPY', 0x38: 'CODESIZE', 0x39: 'CODECOPY', 0x3a: 'GASPRICE',
+    0x3b: 'EXTCODESIZE', 0x3c: 'EXTCODECOPY', 0x3d: 'RETURNDATASIZE', 0x3e: 'RETURNDATACOPY', 0x3f: 'EXTCODEHASH',
+    0x40: 'BLOCKHASH', 0x41: 'COINBASE', 0x42: 'TIMESTAMP', 0x43: 'NUMBER', 0x44: 'PREVRANDAO', 0x45: 'GASLIMIT',
+    0x46: 'CHAINID', 0x47: 'SELFBALANCE', 0x48: 'BASEFEE', 0x49: 'BLOBHASH', 0x4a: 'BLOBBASEFEE',
+    0x50: 'POP', 0x51: 'MLOAD', 0x52: 'MSTORE', 0x53: 'MSTORE8', 0x54: 'SLOAD', 0x55: 'SSTORE', 0x56: 'JUMP',
+    0x57: 'JUMPI', 0x58: 'PC', 0x59: 'MSIZE', 0x5a: 'GAS', 0x5b: 'JUMPDEST', 0x5c: 'TLOAD', 0x5d: 'TSTORE',
+    0x5e: 'MCOPY', 0x5f: 'PUSH0',
+    0xa0: 'LOG0', 0xa1: 'LOG1', 0xa2: 'LOG2', 0xa3: 'LOG3', 0xa4: 'LOG4',
+    0xf0: 'CREATE', 0xf1: 'CALL', 0xf2: 'CALLCODE', 0xf3: 'RETURN', 0xf4: 'DELEGATECALL', 0xf5: 'CREATE2',
+    0xfa: 'STATICCALL', 0xfd: 'REVERT', 0xfe: 'INVALID', 0xff: 'SELFDESTRUCT'
+};
+
+for (let i = 1; i <= 32; i++) OPCODES[0x5f + i] = `PUSH${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x7f + i] = `DUP${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x8f + i] = `SWAP${i}`;
+
+const DANGEROUS_OPCODES = ['DELEGATECALL', 'CALLCODE', 'SELFDESTRUCT', 'CREATE', 'CREATE2'];
+
+// Solidity and Vyper append CBOR metadata whose final two bytes hold its length
+const METADATA_MARKERS = ['ipfs', 'bzzr0', 'bzzr1', 'solc', 'vyper'];
+
+class EvmDisassembler {
+    disassemble(bytecode) {
+        const bytes = this.toBytes(bytecode);
+        const metadataLength = this.metadataLength(bytes);
+        const codeLength = bytes.length - metadataLength;
+        const instructions = [];
+
+        let pc = 0;
+        while (pc < codeLength) {
+            const opcode = bytes[pc];
+            const name = OPCODES[opcode] || `UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}`;
+            const instruction = { pc, opcode, name };
+
+            // PUSHn immediates are data, never executed as opcodes
+            if (opcode >= 0x60 && opcode <= 0x7f) {
+                const size = opcode - 0x5f;
+                instruction.push = Buffer.from(bytes.subarray(pc + 1, Math.min(pc + 1 + size, codeLength))).toString('hex');
+                pc += size;
+            }
+
+            instructions.push(instruction);
+            pc += 1;
+        }
+
+        return {
+            codeSize: bytes.length,
+            metadataLength,
+            instructions
+        };
+    }
+
+    analyze(bytecode) {
+        const { codeSize, metadataLength, instructions } = this.disassemble(bytecode);
+        const opcodeCounts = {};
+
+        for (const opcode of DANGEROUS_OPCODES) {
+            opcodeCounts[opcode] = 0;
+        }
+        for (const instruction of instructions) {
+            if (instruction.name in opcodeCounts) {
+                opcodeCounts[instruction.name]++;
+            }
+        }
+
+        return {
+            codeSize,
+            metadataLength,
+            instructionCount: instructions.length,
+            opcodeCounts,
+            dangerousOpcodes: DANGEROUS_OPCODES.filter(opcode => opcodeCounts[opcode] > 0),
+            functionSelectors: this.extractSelectors(instructions)
+        };
+    }
+
+    // Solidity dispatchers compare the selector with PUSH4 <selector> EQ and branch with PUSHn <dest> JUMPI
+    extractSelectors(instructions) {
+        const selectors = new Map();
+
+        for (let i = 0; i < instructions.length; i++) {
+            const instruction = instructions[i];
+            if (instruction.name !== 'PUSH4' || !instruction.push || instruction.push.length !== 8) continue;
+
+            // Allow a DUPn between the selector push and EQ (PUSH4 sel DUP2 EQ)
+            let j = i + 1;
+            if (instructions[j]?.name.startsWith('DUP')) j++;
+            if (instructions[j]?.name !== 'EQ') continue;
+
+            const dest = instructions[j + 1];
+            const jump = instructions[j + 2];
+            if (!dest?.name.startsWith('PUSH') || jump?.name !== 'JUMPI') continue;
+
+            const selector = `0x${instruction.push}`;
+            if (!selectors.has(selector)) {
+                selectors.set(selector, {
+                    selector,
+                    jumpDest: parseInt(dest.push || '0', 16)
+                });
+            }
+        }
+
+        return Array.from(selectors.values());
+    }
+
+    metadataLength(bytes) {
+        if (bytes.length < 2) return 0;
+
+        const length = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+        if (length === 0 || length + 2 > bytes.length) return 0;
+
+        const metadata = Buffer.from(bytes.subarray(bytes.length - 2 - length, bytes.length - 2));
+        // CBOR maps start with 0xa0-0xbf
+        if ((metadata[0] & 0xe0) !== 0xa0) return 0;
+
+        const text = metadata.toString('latin1');
+        return METADATA_MARKERS.some(marker => text.includes(marker)) ? length + 2 : 0;
+    }
+
+    toBytes(bytecode) {
+        if (!bytecode || typeof bytecode !== 'string') return new Uint8Array(0);
+
+        const hex = bytecode.startsWith('0x') ? bytecode.slice(2) : bytecode;
+        if (!/^[0-9a-fA-F]*$/.test(hex)) {
+            throw new Error('Bytecode is not valid hex');
+        }
+        return Uint8Array.from(Buffer.from(hex.length % 2 === 0 ? hex : hex.slice(0, -1), 'hex'));
+    }
+}
+
+const evmDisassembler = new EvmDisassembler();
+module.exports = {
+    disassemble: evmDisassembler.disassemble.bind(evmDisassembler),
+    analyzeBytecode: evmDisassembler.analyze.bind(evmDisassembler)
+};
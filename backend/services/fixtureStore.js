@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { getRequestContext } = require('./requestContext');
+const { FixtureMissingError } = require('./errors');
+
+// Recorded API responses keyed by the request parameters that produced them.
+// In 'fixture' mode responses are served from disk; with FIXTURE_RECORD=true live responses are written there.
+class FixtureStore {
+    constructor() {
+        this.baseDir = process.env.FIXTURE_DIR || path.join(__dirname, '../fixtures');
+        this.record = process.env.FIXTURE_RECORD === 'true';
+    }
+
+    // request must not contain API keys: it is hashed into the file name and stored next to the response
+    async fetch(namespace, operation, request, liveFetch) {
+        if (getRequestContext().dataSource === 'fixture') {
+            return this.read(namespace, operation, request);
+        }
+
+        const response = await liveFetch();
+        if (this.record) {
+            await this.write(namespace, operation, request, response);
+        }
+        return response;
+    }
+
+    async read(namespace, operation, request) {
+        const fixturePath = this.fixturePath(namespace, operation, request);
+
+        let contents;
+        try {
+            contents = await fs.readFile(fixturePath, 'utf8');
+        } catch (error) {
+            throw new FixtureMissingError(`No recorded fixture for ${namespace} ${operation}: ${path.relative(this.baseDir, fixturePath)}`);
+        }
+        return JSON.parse(contents).response;
+    }
+
+    async write(namespace, operation, request, response) {
+        const fixturePath = this.fixturePath(namespace, operation, request);
+        await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+        await fs.writeFile(fixturePath, JSON.stringify({
+            namespace,
+            operation,
+            request: this.normalize(request),
+            recordedAt: new Date().toISOString(),
+            response
+        }, null, 2));
+    }
+
+    fixturePath(namespace, operation, request) {
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify(this.normalize(request)))
+            .digest('hex')
+            .slice(0, 16);
+        return path.join(this.baseDir, namespace, `${operation}-${hash}.json`);
+    }
+
+    // Sorted keys and lowercase hex so the same request always maps to the same fixture
+    normalize(value) {
+        if (Array.isArray(value)) return value.map(item => this.normalize(item));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => [key, this.normalize(value[key])]));
+        }
+        if (typeof value === 'string' && /^0x[0-9a-fA-F]*$/.test(value)) return value.toLowerCase();
+        return value;
+    }
+}
+
+const fixtureStore = new FixtureStore();
+module.exports = { fetchWithFixtures: fixtureStore.fetch.bind(fixtureStore) };
@@ -0,0 +1,330 @@
+const { Interface, Transaction, formatUnits, parseUnits } = require('ethers');
+const { getChain, NATIVE_TOKEN_ADDRESS, DEFAULT_CHAIN_ID } = require('../config/chains');
+const { GAS_FEE_OVERRIDES, NATIVE_USD_PRICES, L1_FEE_ORACLES } = require('../config/gas');
+const { getApiKeys } = require('../config/http');
+const { rpcCall, resolveRpcUrl } = require('./rpcClient');
+const { httpRequest } = require('./httpClient');
+const { fetchWithFixtures } = require('./fixtureStore');
+const { withCache } = require('./cache');
+const { getRequestContext } = require('./requestContext');
+const { getTokenMetadata } = require('./tokenMetadata');
+const { errorBody } = require('./errors');
+
+// USD amounts are fixed point with 18 decimals until they are formatted
+const USD_DECIMALS = 18;
+const USD_DISPLAY_DECIMALS = 6;
+
+const opGasPriceOracle = new Interface(['function getL1Fee(bytes data) view returns (uint256)']);
+const arbitrumNodeInterface = new Interface([
+    'function gasEstimateL1Component(address to, bool contractCreation, bytes data) returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+]);
+
+function toUsdFixed(value) {
+    if (value === null || value === undefined) return null;
+    const text = typeof value === 'number' ? value.toFixed(USD_DECIMALS) : String(value);
+    const [whole, fraction = ''] = text.split('.');
+    return parseUnits(`${whole || '0'}.${fraction.slice(0, USD_DECIMALS) || '0'}`, USD_DECIMALS);
+}
+
+function formatUsd(fixed) {
+    if (fixed === null) return null;
+    return formatUnits(fixed / 10n ** BigInt(USD_DECIMALS - USD_DISPLAY_DECIMALS), USD_DISPLAY_DECIMALS);
+}
+
+// Gas cost of a route: gas units (simulated where possible) x current fees, plus the L1 data fee
+// on rollups, in wei, the native token and USD, and the output that is left after paying it
+class GasCostModel {
+    constructor() {
+        this.priceUrl = 'https://api.1inch.dev/price/v1.1';
+        this.apiKeys = getApiKeys('ONEINCH_API_KEY', ['demo']);
+    }
+
+    // Legacy chains have one gas price; EIP-1559 chains pay the base fee plus a priority fee
+    async getGasFees(chainId = DEFAULT_CHAIN_ID) {
+        const chain = getChain(chainId);
+        if (GAS_FEE_OVERRIDES.baseFee !== null) {
+            return this.describeFees(chain, 'config', GAS_FEE_OVERRIDES.baseFee, GAS_FEE_OVERRIDES.priorityFee ?? 0n);
+        }
+        return withCache('gasFees', String(chain.chainId), () => this.fetchGasFees(chain));
+    }
+
+    async fetchGasFees(chain) {
+        const rpcUrl = resolveRpcUrl(chain.chainId);
+        if (chain.gasModel.type === 'legacy') {
+            const gasPrice = BigInt(await rpcCall(rpcUrl, 'eth_gasPrice', []));
+            return this.describeFees(chain, 'rpc', null, null, gasPrice);
+        }
+
+        const block = await rpcCall(rpcUrl, 'eth_getBlockByNumber', ['latest', false]);
+        const baseFee = BigInt(block.baseFeePerGas);
+        let priorityFee;
+        try {
+            priorityFee = BigInt(await rpcCall(rpcUrl, 'eth_maxPriorityFeePerGas', []));
+        } catch (error) {
+            // Typed errors mean the node is unreachable or limited, not that it lacks the method
+            if (error.category) throw error;
+            const gasPrice = BigInt(await rpcCall(rpcUrl, 'eth_gasPrice', []));
+            priorityFee = gasPrice > baseFee ? gasPrice - baseFee : 0n;
+        }
+        return this.describeFees(chain, 'rpc', baseFee, priorityFee, undefined, Number(block.number));
+    }
+
+    describeFees(chain, source, baseFee, priorityFee, gasPrice = baseFee + priorityFee, blockNumber = null) {
+        return {
+            chainId: chain.chainId,
+            gasModel: chain.gasModel.type,
+            source,
+            blockNumber,
+            baseFee: baseFee !== null ? baseFee.toString() : null,
+            priorityFee: priorityFee !== null ? priorityFee.toString() : null,
+            gasPrice: gasPrice.toString(),
+            gasPriceGwei: formatUnits(gasPrice, 'gwei')
+        };
+    }
+
+    // Fee the rollup charges for posting the transaction to L1; null on chains without one.
+    // Arbitrum also reports the L1 component in gas units, which its gas estimates already include.
+    async getL1DataFee(chainId, tx, fees) {
+        const chain = getChain(chainId);
+        if (!chain.gasModel.l1DataFee) return null;
+        const rpcUrl = resolveRpcUrl(chain.chainId);
+        const oracle = L1_FEE_ORACLES[chain.gasModel.type];
+
+        if (chain.gasModel.type === 'arbitrum') {
+            const result = await rpcCall(rpcUrl, 'eth_call', [{
+                to: oracle,
+                data: arbitrumNodeInterface.encodeFunctionData('gasEstimateL1Component', [tx.to, false, tx.data])
+            }, 'latest']);
+            const [gasEstimateForL1, baseFee] = arbitrumNodeInterface.decodeFunctionResult('gasEstimateL1Component', result);
+            return { feeWei: (gasEstimateForL1 * baseFee).toString(), l1Gas: Number(gasEstimateForL1) };
+        }
+
+        // The OP Stack oracle prices the serialized transaction, so serialize it as it would be sent
+        const serialized = Transaction.from({
+            type: 2,
+            chainId: chain.chainId,
+            nonce: 0,
+            to: tx.to,
+            data: tx.data,
+            value: BigInt(tx.value || 0),
+            gasLimit: BigInt(tx.gas || 0),
+            maxFeePerGas: BigInt(fees.gasPrice),
+            maxPriorityFeePerGas: BigInt(fees.priorityFee || 0)
+        }).unsignedSerialized;
+        const result = await rpcCall(rpcUrl, 'eth_call', [{
+            to: oracle,
+            data: opGasPriceOracle.encodeFunctionData('getL1Fee', [serialized])
+        }, 'latest']);
+        return { feeWei: BigInt(result).toString(), l1Gas: null };
+    }
+
+    // USD prices of the native token and toToken, from NATIVE_USD_PRICES when configured
+    // (toToken is then only priced when it is the native token) or the 1inch spot price API
+    async getUsdPrices(chainId, toToken = null) {
+        const chain = getChain(chainId);
+        const wrapped = chain.wrappedNativeToken.toLowerCase();
+        const isNative = token => token && [NATIVE_TOKEN_ADDRESS.toLowerCase(), wrapped].includes(token.toLowerCase());
+
+        const configured = NATIVE_USD_PRICES[chain.chainId];
+        if (configured !== undefined) {
+            return { source: 'config', native: String(configured), toToken: isNative(toToken) ? String(configured) : null };
+        }
+
+        const addresses = [wrapped, ...(toToken && !isNative(toToken) ? [toToken.toLowerCase()] : [])];
+        const prices = await withCache('usdPrice', `${chain.chainId}:${addresses.join(',')}`, () => this.fetchUsdPrices(chain, addresses));
+        const native = prices[wrapped] ?? null;
+        return {
+            source: 'price-api',
+            native,
+            toToken: isNative(toToken) ? native : (toToken ? prices[toToken.toLowerCase()] ?? null : null)
+        };
+    }
+
+    async fetchUsdPrices(chain, addresses) {
+        const url = `${this.priceUrl}/${chain.chainId}/${addresses.join(',')}`;
+        const params = { currency: 'USD' };
+        const prices = await fetchWithFixtures('1inch', 'price', { url, params }, async () => {
+            const response = await httpRequest({
+                method: 'GET',
+                url,
+                params,
+                headers: { 'Accept': 'application/json' }
+            }, {
+                service: '1inch',
+                operation: 'price',
+                keys: this.apiKeys,
+                applyKey: (config, key) => ({ ...config, headers: { ...config.headers, 'Authorization': `Bearer ${key}` } })
+            });
+            return response.data;
+        });
+
+        return Object.fromEntries(Object.entries(prices).map(([address, price]) => [address.toLowerCase(), String(price)]));
+    }
+
+    // Fees, prices and toToken decimals shared by every route to the same token. Lookups that fail
+    // are listed in errors and leave their part of the cost null rather than failing the caller.
+    async getGasContext(chainId, toToken = null) {
+        const chain = getChain(chainId);
+        const context = { chainId: chain.chainId, fees: null, prices: null, toTokenDecimals: null, errors: [] };
+        const attempt = async (lookup, fn) => {
+            try {
+                return await fn();
+            } catch (error) {
+                if (error.code === 'CANCELLED') throw error;
+                console.error(`Gas ${lookup} lookup failed:`, error.message);
+                context.errors.push({ lookup, ...errorBody(error) });
+                return null;
+            }
+        };
+
+        [context.fees, context.prices, context.toTokenDecimals] = await Promise.all([
+            attempt('fees', () => this.getGasFees(chain.chainId)),
+            attempt('prices', () => this.getUsdPrices(chain.chainId, toToken)),
+            toToken ? attempt('toToken', async () => (await getTokenMetadata(toToken, chain.chainId)).decimals) : null
+        ]);
+        return context;
+    }
+
+    // gasUnits x gas price plus the L1 data fee, converted into the native token, USD and toToken units.
+    // complete is false when a part of the cost (fees, L1 fee, prices) is missing.
+    // Arbitrum gas estimates include the L1 component that l1DataFee already prices, so it is taken out
+    // unless the units come from somewhere that leaves it out (includesL1Gas false).
+    computeGasCost(context, { gasUnits, l1DataFee = null, toAmount = null, includesL1Gas = true }) {
+        const chain = getChain(context.chainId);
+        const nativeDecimals = chain.nativeToken.decimals;
+        const needsL1Fee = chain.gasModel.l1DataFee;
+
+        const l2GasUnits = includesL1Gas && l1DataFee?.l1Gas && gasUnits !== null && gasUnits !== undefined
+            ? Math.max(0, gasUnits - l1DataFee.l1Gas)
+            : gasUnits;
+
+        const cost = {
+            gasUnits: l2GasUnits,
+            l1Gas: l1DataFee?.l1Gas ?? null,
+            gasPrice: context.fees?.gasPrice ?? null,
+            l2CostWei: null,
+            l1DataFeeWei: l1DataFee?.feeWei ?? null,
+            totalWei: null,
+            totalNative: null,
+            totalUsd: null,
+            nativeSymbol: chain.nativeToken.symbol,
+            gasCostInToToken: null,
+            outputUsd: null,
+            netOutput: null,
+            netOutputUsd: null,
+            complete: false
+        };
+        if (l2GasUnits === null || l2GasUnits === undefined || !context.fees) return cost;
+
+        const l2Cost = BigInt(l2GasUnits) * BigInt(context.fees.gasPrice);
+        const total = l2Cost + BigInt(cost.l1DataFeeWei ?? 0);
+        cost.l2CostWei = l2Cost.toString();
+        cost.totalWei = total.toString();
+        cost.totalNative = formatUnits(total, nativeDecimals);
+
+        const nativeUsd = toUsdFixed(context.prices?.native);
+        const toTokenUsd = toUsdFixed(context.prices?.toToken);
+        const totalUsd = nativeUsd !== null ? total * nativeUsd / 10n ** BigInt(nativeDecimals) : null;
+        cost.totalUsd = formatUsd(totalUsd);
+
+        // The cost in toToken units is what ranking subtracts from the output
+        const decimals = context.toTokenDecimals;
+        if (toAmount !== null && decimals !== null && nativeUsd !== null && toTokenUsd !== null && toTokenUsd > 0n) {
+            const gasCostInToToken = total * nativeUsd * 10n ** BigInt(decimals) / (toTokenUsd * 10n ** BigInt(nativeDecimals));
+            const outputUsd = BigInt(toAmount) * toTokenUsd / 10n ** BigInt(decimals);
+            cost.gasCostInToToken = gasCostInToToken.toString();
+            cost.netOutput = (BigInt(toAmount) - gasCostInToToken).toString();
+            cost.outputUsd = formatUsd(outputUsd);
+            cost.netOutputUsd = formatUsd(outputUsd - totalUsd);
+        }
+
+        cost.complete = cost.netOutput !== null && (!needsL1Fee || l1DataFee !== null);
+        return cost;
+    }
+
+    // gasAnalysis section of an analyze-route response
+    async analyzeGasCost(routeAnalysis, simulationResults) {
+        const { dataSource } = getRequestContext();
+        const chainId = routeAnalysis.chainId;
+
+        if (dataSource === 'mock') {
+            return {
+                dataSource: 'mock',
+                degraded: true,
+                skipped: true,
+                reason: 'Gas cost is not estimated for mock route data',
+                chainId
+            };
+        }
+
+        try {
+            const context = await this.getGasContext(chainId, routeAnalysis.toToken?.address || null);
+            const { gasUnits, gasSource } = this.resolveGasUnits(routeAnalysis, simulationResults);
+
+            let l1DataFee = null;
+            if (context.fees && routeAnalysis.tx?.data) {
+                try {
+                    l1DataFee = await this.getL1DataFee(chainId, routeAnalysis.tx, context.fees);
+                } catch (error) {
+                    if (error.code === 'CANCELLED') throw error;
+                    console.error('L1 data fee lookup failed:', error.message);
+                    context.errors.push({ lookup: 'l1DataFee', ...errorBody(error) });
+                }
+            }
+
+            const simulatedOutput = simulationResults?.execution?.outputAmount ?? null;
+            const cost = this.computeGasCost(context, {
+                gasUnits,
+                l1DataFee,
+                toAmount: simulatedOutput ?? routeAnalysis.toAmount ?? null,
+                includesL1Gas: gasSource !== 'static'
+            });
+
+            return {
+                dataSource,
+                degraded: !cost.complete || gasSource === 'static',
+                chainId,
+                gasSource,
+                outputSource: simulatedOutput !== null ? 'simulation' : 'quote',
+                fees: context.fees,
+                prices: context.prices,
+                ...cost,
+                errors: context.errors
+            };
+        } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
+            console.error('Gas cost analysis failed:', error);
+            return {
+                dataSource,
+                degraded: true,
+                chainId,
+                error: error.message,
+                errorCode: error.category ? error.code : null
+            };
+        }
+    }
+
+    // Simulated gas first, then the 1inch estimate, then the per-DEX table
+    resolveGasUnits(routeAnalysis, simulationResults) {
+        const simulated = simulationResults?.execution?.gasUsed;
+        if (simulated) {
+            return { gasUnits: Number(simulated), gasSource: 'simulation' };
+        }
+        if (Number(routeAnalysis.tx?.gas) > 0) {
+            return { gasUnits: Number(routeAnalysis.tx.gas), gasSource: '1inch' };
+        }
+        const estimates = simulationResults?.gasEstimates || simulationResults?.fallbackAnalysis?.gasEstimates || [];
+        if (estimates.length > 0) {
+            return { gasUnits: estimates.reduce((sum, hop) => sum + hop.gas, 0), gasSource: 'static' };
+        }
+        return { gasUnits: null, gasSource: null };
+    }
+}
+
+const gasCostModel = new GasCostModel();
+module.exports = {
+    analyzeGasCost: gasCostModel.analyzeGasCost.bind(gasCostModel),
+    getGasContext: gasCostModel.getGasContext.bind(gasCostModel),
+    getL1DataFee: gasCostModel.getL1DataFee.bind(gasCostModel),
+    computeGasCost: gasCostModel.computeGasCost.bind(gasCostModel)
+};
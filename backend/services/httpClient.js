@@ -0,0 +1,237 @@
+const axios = require('axios');
+const { HOST_RATE_LIMITS, HTTP_DEFAULTS } = require('../config/http');
+const { getRequestContext } = require('./requestContext');
+const {
+    CancelledError,
+    UpstreamError,
+    UpstreamRateLimitError,
+    UpstreamTimeoutError,
+    UpstreamAuthError,
+    UpstreamUnavailableError
+} = require('./errors');
+
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+const ERROR_TYPES = {
+    rateLimit: UpstreamRateLimitError,
+    timeout: UpstreamTimeoutError,
+    auth: UpstreamAuthError,
+    unavailable: UpstreamUnavailableError,
+    client: UpstreamError
+};
+
+// Waits are cut short when the analysis is cancelled
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new CancelledError());
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new CancelledError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class TokenBucket {
+    constructor({ rate, burst }) {
+        this.rate = rate;
+        this.capacity = burst || rate;
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+    }
+
+    // Takes a token, waiting for it if the bucket is empty. The balance may go negative,
+    // which queues concurrent callers one refill interval apart.
+    async take(signal) {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+        this.tokens -= 1;
+
+        if (this.tokens < 0) {
+            await sleep(-this.tokens / this.rate * 1000, signal);
+        }
+    }
+}
+
+class KeyPool {
+    constructor(keys) {
+        this.keys = keys;
+        this.index = 0;
+        this.parkedUntil = new Map();
+    }
+
+    isAvailable(key, now = Date.now()) {
+        return (this.parkedUntil.get(key) || 0) <= now;
+    }
+
+    // First usable key from the current position; the one freed soonest when all are parked
+    current() {
+        for (let offset = 0; offset < this.keys.length; offset++) {
+            const index = (this.index + offset) % this.keys.length;
+            if (this.isAvailable(this.keys[index])) {
+                this.index = index;
+                return this.keys[index];
+            }
+        }
+        return this.keys.reduce((soonest, key) => (
+            this.parkedUntil.get(key) < this.parkedUntil.get(soonest) ? key : soonest
+        ));
+    }
+
+    // Parks a key that hit its quota; false when no other key is usable
+    rotate(key, cooldownMs) {
+        this.parkedUntil.set(key, Date.now() + cooldownMs);
+        return this.keys.some(other => other !== key && this.isAvailable(other));
+    }
+}
+
+// Shared client for upstream APIs: per-host throttling, timeouts, retries with backoff,
+// API key rotation and typed errors (see ./errors)
+class HttpClient {
+    constructor() {
+        this.buckets = new Map();
+        this.keyPools = new Map();
+    }
+
+    // options.keys are rotated on quota errors; options.applyKey(config, key) puts a key into the request.
+    // options.checkResponse(response) can flag 200 responses that carry an error ('rateLimit' or 'auth').
+    async request(config, options = {}) {
+        const {
+            service,
+            operation = null,
+            keys = [],
+            applyKey = requestConfig => requestConfig,
+            checkResponse = () => null,
+            maxRetries = HTTP_DEFAULTS.maxRetries
+        } = options;
+        const host = new URL(config.url).host;
+        const pool = keys.length > 0 ? this.getKeyPool(service, keys) : null;
+        const { signal } = getRequestContext();
+
+        let attempts = 0;
+        let retries = 0;
+        for (;;) {
+            const key = pool ? pool.current() : null;
+            await this.throttle(host, signal);
+            attempts++;
+
+            let failure;
+            try {
+                const response = await axios.request({
+                    timeout: HTTP_DEFAULTS.timeoutMs,
+                    ...(pool ? applyKey(config, key) : config),
+                    signal
+                });
+                const flagged = checkResponse(response);
+                if (!flagged) return response;
+                failure = { kind: flagged, status: response.status, retryAfterMs: null, detail: this.describe(response.data), retryable: flagged === 'rateLimit' };
+            } catch (error) {
+                if (signal?.aborted) throw new CancelledError();
+                failure = this.classify(error);
+            }
+
+            // Another key can take over straight away
+            if (pool && (failure.kind === 'rateLimit' || failure.kind === 'auth')
+                && pool.rotate(key, failure.retryAfterMs ?? HTTP_DEFAULTS.keyCooldownMs)) {
+                console.log(`🔑 ${service} key ${pool.keys.indexOf(key) + 1}/${pool.keys.length} hit ${failure.kind === 'auth' ? 'an auth error' : 'its quota'}, rotating`);
+                continue;
+            }
+
+            const delay = failure.retryAfterMs ?? this.backoff(retries);
+            if (!failure.retryable || retries >= maxRetries || delay > HTTP_DEFAULTS.maxRetryAfterMs) {
+                throw this.toError(failure, { service, operation, attempts });
+            }
+
+            retries++;
+            console.log(`⏳ ${service} ${operation || 'request'} ${failure.status || failure.kind}, retry ${retries}/${maxRetries} in ${delay}ms`);
+            await sleep(delay, signal);
+        }
+    }
+
+    async throttle(host, signal) {
+        const limit = HOST_RATE_LIMITS[host];
+        if (!limit) return;
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, new TokenBucket(limit));
+        }
+        await this.buckets.get(host).take(signal);
+    }
+
+    // Pools are shared by every caller using the same keys, so a parked key stays parked across services
+    getKeyPool(service, keys) {
+        const id = `${service}:${keys.join(',')}`;
+        if (!this.keyPools.has(id)) {
+            this.keyPools.set(id, new KeyPool(keys));
+        }
+        return this.keyPools.get(id);
+    }
+
+    classify(error) {
+        const status = error.response?.status || null;
+        const detail = error.response ? this.describe(error.response.data) || error.message : error.message;
+
+        if (status === 429) {
+            return { kind: 'rateLimit', status, retryAfterMs: this.parseRetryAfter(error.response.headers?.['retry-after']), detail, retryable: true };
+        }
+        if (status === 401 || status === 403) {
+            return { kind: 'auth', status, retryAfterMs: null, detail, retryable: false };
+        }
+        if (status >= 500) {
+            return { kind: 'unavailable', status, retryAfterMs: this.parseRetryAfter(error.response.headers?.['retry-after']), detail, retryable: true };
+        }
+        if (status) {
+            return { kind: 'client', status, retryAfterMs: null, detail, retryable: false };
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return { kind: 'timeout', status: null, retryAfterMs: null, detail, retryable: true };
+        }
+        return { kind: 'unavailable', status: null, retryAfterMs: null, detail, retryable: RETRYABLE_NETWORK_ERRORS.includes(error.code) };
+    }
+
+    toError(failure, { service, operation, attempts }) {
+        const ErrorType = ERROR_TYPES[failure.kind];
+        const message = `${service} ${operation || 'request'} failed: ${failure.detail}`;
+        return new ErrorType(message, {
+            service,
+            operation,
+            status: failure.status,
+            attempts,
+            retryAfterMs: failure.retryAfterMs
+        });
+    }
+
+    // Error text from the shapes the upstream APIs use; explorers put it in result next to status '0'
+    describe(data) {
+        const message = data?.description
+            || (data?.status === '0' && data.result)
+            || data?.error?.message
+            || data?.message
+            || data?.error
+            || data?.detail;
+        if (message === undefined || message === null) return null;
+        return typeof message === 'string' ? message : JSON.stringify(message);
+    }
+
+    // Retry-After is either seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Exponential backoff with jitter
+    backoff(retry) {
+        const delay = Math.min(HTTP_DEFAULTS.maxDelayMs, HTTP_DEFAULTS.baseDelayMs * 2 ** retry);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+}
+
+const httpClient = new HttpClient();
+module.exports = { httpRequest: httpClient.request.bind(httpClient) };
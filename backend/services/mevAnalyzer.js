@@ -0,0 +1,378 @@
+const { formatUnits } = require('ethers');
+const { getChain } = require('../config/chains');
+const { computeGasCost } = require('./gasCost');
+const { getRequestContext } = require('./requestContext');
+
+const PPM = 1000000n;
+const Q96 = 1n << 96n;
+// The victim's fill can lose at most 99% of its output, however loose the tolerance
+const MAX_FILL_LOSS_PPM = 990000n;
+const BISECTION_STEPS = 256;
+// A fill that is at least 1% of the pool's input reserve, or moves the price by 1%, is thin
+const THIN_LIQUIDITY_BPS = Number(process.env.MEV_THIN_LIQUIDITY_BPS) || 100;
+// Headroom added on top of the observed quote deviation when recommending a slippage
+const SLIPPAGE_BUFFER_BPS = Number(process.env.MEV_SLIPPAGE_BUFFER_BPS) || 10;
+// Extractable value (in bps of the trade) above which the exposure is medium / high
+const RISK_THRESHOLDS_BPS = { medium: 10, high: 50 };
+// Gas of the attacker's front-run plus back-run in the same pool
+const SANDWICH_GAS_UNITS = {
+    uniswapV2: 2 * 110000,
+    uniswapV3: 2 * 160000
+};
+
+// Sandwich exposure of a route. For each pool the route swaps through, finds the largest front-run
+// that still leaves the victim's output above the minReturn in the calldata, and what the attacker
+// keeps after back-running. Pools are modelled as constant product: Uniswap V2 reserves, or the
+// virtual reserves of the in-range liquidity of a Uniswap V3 pool.
+class MevAnalyzer {
+    analyze(routeAnalysis, simulationResults, gasAnalysis) {
+        const { dataSource } = getRequestContext();
+        const chainId = routeAnalysis.chainId;
+
+        if (dataSource === 'mock') {
+            return {
+                dataSource: 'mock',
+                degraded: true,
+                skipped: true,
+                reason: 'MEV exposure is not estimated for mock route data',
+                chainId
+            };
+        }
+
+        const hops = simulationResults?.perHopSlippage || simulationResults?.fallbackAnalysis?.perHopSlippage;
+        if (!hops || hops.length === 0) {
+            return {
+                dataSource: 'live',
+                degraded: true,
+                skipped: true,
+                reason: 'Pool state for the route is unavailable',
+                chainId
+            };
+        }
+
+        try {
+            return this.analyzeHops(routeAnalysis, simulationResults, gasAnalysis, hops);
+        } catch (error) {
+            console.error('MEV analysis failed:', error);
+            return {
+                dataSource: 'live',
+                degraded: true,
+                chainId,
+                error: error.message,
+                errorCode: 'MEV_ANALYSIS_FAILED'
+            };
+        }
+    }
+
+    analyzeHops(routeAnalysis, simulationResults, gasAnalysis, hops) {
+        const chain = getChain(routeAnalysis.chainId);
+        const tolerance = this.describeTolerance(routeAnalysis, simulationResults);
+        const toDecimals = routeAnalysis.amounts?.toToken?.decimals ?? null;
+        const gasContext = gasAnalysis?.fees
+            ? { chainId: chain.chainId, fees: gasAnalysis.fees, prices: gasAnalysis.prices, toTokenDecimals: toDecimals }
+            : null;
+        const routeParts = new Map((routeAnalysis.routeBreakdown?.routes || []).map(route => [route.routeIndex, route.part]));
+        const recommendedSlippageBps = this.recommendSlippage(simulationResults);
+        const tighter = recommendedSlippageBps !== null && recommendedSlippageBps < tolerance.headroomBps;
+        const headroom = {
+            current: BigInt(Math.round(tolerance.headroomBps * 100)),
+            recommended: tighter ? BigInt(recommendedSlippageBps) * 100n : null
+        };
+
+        const analyzed = hops.map(hop => ({
+            route: hop.route,
+            hop: hop.hop,
+            path: hop.path,
+            priceImpactBps: hop.priceImpactBps ?? null,
+            fills: (hop.fills || []).map(fill => this.analyzeFill(hop, fill, routeParts.get(hop.route), tolerance, headroom, gasContext))
+        }));
+
+        const fills = analyzed.flatMap(hop => hop.fills.map(fill => ({ ...fill, route: hop.route, hop: hop.hop, path: hop.path })));
+        const maxExtractable = this.findMaxExtractable(fills, 'sandwich', toDecimals);
+        const atRecommended = tighter ? this.findMaxExtractable(fills, 'atRecommended', toDecimals) : null;
+        const complete = fills.length > 0 && fills.every(fill => fill.modeled);
+
+        return {
+            dataSource: 'live',
+            degraded: !complete || tolerance.source !== 'calldata',
+            chainId: chain.chainId,
+            mempool: chain.mempool,
+            tolerance,
+            complete,
+            thinLiquidityHops: analyzed
+                .filter(hop => hop.fills.some(fill => fill.thinLiquidity))
+                .map(hop => ({ route: hop.route, hop: hop.hop, path: hop.path })),
+            maxExtractable,
+            risk: this.riskLevel(maxExtractable, chain.mempool),
+            recommendations: this.recommend(chain, tolerance, maxExtractable, tighter ? recommendedSlippageBps : null, atRecommended),
+            hops: analyzed
+        };
+    }
+
+    // The calldata's minReturn against the output the swap is expected to deliver (the simulated
+    // output, or the quote when the simulation did not run)
+    describeTolerance(routeAnalysis, simulationResults) {
+        const execution = simulationResults?.execution;
+        const simulated = execution && !execution.reverted && execution.outputAmount !== null && execution.outputAmount !== undefined;
+        const expectedOutput = simulated ? BigInt(execution.outputAmount) : BigInt(routeAnalysis.toAmount || 0);
+        const verification = routeAnalysis.calldataVerification?.minReturn;
+
+        let minReturn;
+        let source;
+        if (verification?.checked) {
+            minReturn = BigInt(verification.minReturn);
+            source = 'calldata';
+        } else {
+            // Without a decoded minReturn, assume the router enforces the requested slippage
+            const slippageBps = BigInt(Math.round(Number(routeAnalysis.slippage ?? 1) * 100));
+            minReturn = BigInt(routeAnalysis.toAmount || 0) * (10000n - slippageBps) / 10000n;
+            source = 'requested';
+        }
+
+        const headroomPpm = expectedOutput > minReturn ? (expectedOutput - minReturn) * PPM / expectedOutput : 0n;
+        return {
+            source,
+            minReturn: minReturn.toString(),
+            expectedOutput: expectedOutput.toString(),
+            expectedOutputSource: simulated ? 'simulation' : 'quote',
+            quotedToAmount: routeAnalysis.toAmount || null,
+            requestedSlippageBps: Math.round(Number(routeAnalysis.slippage ?? 1) * 100),
+            headroomBps: Number(headroomPpm) / 100
+        };
+    }
+
+    analyzeFill(hop, fill, routePart, tolerance, headroom, gasContext) {
+        const base = {
+            dex: fill.dex,
+            part: fill.part ?? null,
+            protocol: fill.protocol || null,
+            pool: fill.pool || null,
+            priceImpactBps: fill.priceImpactBps ?? null,
+            liquidityShareBps: null,
+            thinLiquidity: fill.priceImpactBps !== null && fill.priceImpactBps !== undefined && fill.priceImpactBps >= THIN_LIQUIDITY_BPS,
+            modeled: false
+        };
+
+        const reserves = fill.resolved ? this.virtualReserves(hop, fill) : null;
+        if (!reserves || !fill.amountIn) {
+            return {
+                ...base,
+                reason: fill.resolved ? `No constant-product model for ${fill.model || fill.protocol || fill.dex}` : (fill.reason || 'Pool state unavailable')
+            };
+        }
+
+        const victimIn = BigInt(fill.amountIn);
+        const liquidityShareBps = Number(victimIn * 1000000n / reserves.in) / 100;
+        // Share of the final output that passes through this fill; an unknown route part counts as the whole trade
+        const shareBps = BigInt((routePart ?? 100) * (fill.part ?? 100));
+
+        const expectedOutput = BigInt(tolerance.expectedOutput);
+        const fillValue = expectedOutput * shareBps / 10000n;
+        const sandwich = this.sandwich(victimIn, reserves, headroom.current, shareBps, fillValue);
+
+        return {
+            ...base,
+            modeled: true,
+            model: reserves.model,
+            liquidityShareBps,
+            thinLiquidity: base.thinLiquidity || liquidityShareBps >= THIN_LIQUIDITY_BPS,
+            outputShareBps: Number(shareBps),
+            sandwich: this.netOfGas(sandwich, fill.protocol, gasContext, expectedOutput),
+            atRecommended: headroom.recommended !== null
+                ? this.netOfGas(this.sandwich(victimIn, reserves, headroom.recommended, shareBps, fillValue), fill.protocol, gasContext, expectedOutput)
+                : null
+        };
+    }
+
+    // Reserves in the direction of the swap, with the LP fee in ppm
+    virtualReserves(hop, fill) {
+        const feePpm = BigInt(Math.round((fill.lpFeeBps ?? 30) * 100));
+
+        if (fill.reserves) {
+            return { model: 'uniswapV2-reserves', in: BigInt(fill.reserves.in), out: BigInt(fill.reserves.out), feePpm };
+        }
+
+        if (fill.sqrtPriceX96 && fill.liquidity && hop.fromToken && hop.toToken) {
+            const sqrtPrice = BigInt(fill.sqrtPriceX96);
+            const liquidity = BigInt(fill.liquidity);
+            if (sqrtPrice === 0n || liquidity === 0n) return null;
+
+            // In-range liquidity L at sqrt price P behaves like reserves x = L / P, y = L * P
+            const reserve0 = liquidity * Q96 / sqrtPrice;
+            const reserve1 = liquidity * sqrtPrice / Q96;
+            const zeroForOne = hop.fromToken.toLowerCase() < hop.toToken.toLowerCase();
+            return {
+                model: 'uniswapV3-in-range',
+                in: zeroForOne ? reserve0 : reserve1,
+                out: zeroForOne ? reserve1 : reserve0,
+                feePpm
+            };
+        }
+
+        return null;
+    }
+
+    amountOut(amountIn, reserveIn, reserveOut, feePpm) {
+        if (amountIn <= 0n) return 0n;
+        const withFee = amountIn * (PPM - feePpm);
+        return withFee * reserveOut / (reserveIn * PPM + withFee);
+    }
+
+    // Front-run a, victim v, back-run selling everything the front-run bought
+    playSandwich(frontRun, victimIn, { in: reserveIn, out: reserveOut, feePpm }) {
+        const bought = this.amountOut(frontRun, reserveIn, reserveOut, feePpm);
+        const victimOut = this.amountOut(victimIn, reserveIn + frontRun, reserveOut - bought, feePpm);
+        const backRunOut = this.amountOut(bought, reserveOut - bought - victimOut, reserveIn + frontRun + victimIn, feePpm);
+        return { bought, victimOut, backRunOut, profit: backRunOut - frontRun };
+    }
+
+    // The largest front-run the victim's minReturn still lets through. The fill may lose
+    // headroom / share of its output, since the rest of the route is unaffected.
+    sandwich(victimIn, reserves, headroomPpm, shareBps, fillValue) {
+        const allowedLossPpm = shareBps > 0n ? headroomPpm * 10000n / shareBps : 0n;
+        const lossPpm = allowedLossPpm < MAX_FILL_LOSS_PPM ? allowedLossPpm : MAX_FILL_LOSS_PPM;
+        const baseline = this.amountOut(victimIn, reserves.in, reserves.out, reserves.feePpm);
+        const floor = baseline * (PPM - lossPpm) / PPM;
+
+        let low = 0n;
+        let high = reserves.in;
+        // Grow the bracket until the front-run pushes the victim below its floor
+        for (let i = 0; i < 64 && this.playSandwich(high, victimIn, reserves).victimOut >= floor; i++) {
+            high *= 2n;
+        }
+        for (let i = 0; i < BISECTION_STEPS && high - low > 1n; i++) {
+            const mid = (low + high) / 2n;
+            if (this.playSandwich(mid, victimIn, reserves).victimOut >= floor) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const frontRun = this.mostProfitableFrontRun(low, victimIn, reserves);
+        const play = this.playSandwich(frontRun, victimIn, reserves);
+        const profit = play.profit > 0n ? play.profit : 0n;
+        // Profit is in the hop's input token; valued at the fill's share of the expected output
+        const profitInToToken = victimIn > 0n ? profit * fillValue / victimIn : 0n;
+
+        return {
+            allowedLossBps: Number(lossPpm) / 100,
+            maxFrontRunAmount: low.toString(),
+            frontRunAmount: frontRun.toString(),
+            victimLossAmount: (baseline - play.victimOut).toString(),
+            profitAmount: profit.toString(),
+            profitInToToken: profitInToToken.toString(),
+            profitBps: victimIn > 0n ? Number(profit * 1000000n / victimIn) / 100 : 0
+        };
+    }
+
+    // LP fees grow with the front-run, so the profit can peak below the largest allowed one;
+    // ternary search over [0, maxFrontRun] on the (concave) profit
+    mostProfitableFrontRun(maxFrontRun, victimIn, reserves) {
+        const profit = amount => this.playSandwich(amount, victimIn, reserves).profit;
+        let low = 0n;
+        let high = maxFrontRun;
+        for (let i = 0; i < BISECTION_STEPS && high - low > 2n; i++) {
+            const third = (high - low) / 3n;
+            if (profit(low + third) < profit(high - third)) {
+                low = low + third;
+            } else {
+                high = high - third;
+            }
+        }
+
+        let best = low;
+        for (let amount = low + 1n; amount <= high; amount++) {
+            if (profit(amount) > profit(best)) best = amount;
+        }
+        return best;
+    }
+
+    // An attacker only sandwiches when the profit pays for two swaps of gas
+    netOfGas(sandwich, protocol, gasContext, expectedOutput) {
+        const gasUnits = SANDWICH_GAS_UNITS[protocol] || SANDWICH_GAS_UNITS.uniswapV3;
+        const cost = gasContext ? computeGasCost(gasContext, { gasUnits, toAmount: expectedOutput.toString() }) : null;
+        const gasInToToken = cost?.gasCostInToToken ?? null;
+        const net = gasInToToken !== null ? BigInt(sandwich.profitInToToken) - BigInt(gasInToToken) : BigInt(sandwich.profitInToToken);
+
+        return {
+            ...sandwich,
+            attackerGasUnits: gasUnits,
+            attackerGasInToToken: gasInToToken,
+            netProfitInToToken: (net > 0n ? net : 0n).toString(),
+            gasNetted: gasInToToken !== null,
+            profitable: net > 0n,
+            tradeBps: expectedOutput > 0n && net > 0n ? Number(net * 1000000n / expectedOutput) / 100 : 0
+        };
+    }
+
+    // An attacker sandwiches one pool; spreading the tolerance over several pools only shares it
+    findMaxExtractable(fills, key, toDecimals) {
+        const candidates = fills.filter(fill => fill.modeled && fill[key]?.profitable);
+        if (candidates.length === 0) return null;
+
+        const best = candidates.reduce((top, fill) => (fill[key].tradeBps > top[key].tradeBps ? fill : top));
+        const amount = best[key].netProfitInToToken;
+        return {
+            route: best.route,
+            hop: best.hop,
+            path: best.path,
+            dex: best.dex,
+            pool: best.pool,
+            toTokenAmount: amount,
+            toTokenAmountFormatted: toDecimals !== null ? formatUnits(amount, toDecimals) : null,
+            tradeBps: best[key].tradeBps,
+            gasNetted: best[key].gasNetted
+        };
+    }
+
+    // The slippage the swap needs: the deviation already observed between quote and execution plus a buffer
+    recommendSlippage(simulationResults) {
+        const deviation = simulationResults?.quoteDeviation?.available
+            ? simulationResults.quoteDeviation.deviationBps
+            : null;
+        if (deviation === null || deviation === undefined) return null;
+        return Math.ceil(Math.max(0, deviation)) + SLIPPAGE_BUFFER_BPS;
+    }
+
+    riskLevel(maxExtractable, mempool) {
+        if (!maxExtractable) return 'none';
+        // Rollup sequencers do not expose pending transactions to searchers
+        if (mempool !== 'public') return 'low';
+        if (maxExtractable.tradeBps >= RISK_THRESHOLDS_BPS.high) return 'high';
+        if (maxExtractable.tradeBps >= RISK_THRESHOLDS_BPS.medium) return 'medium';
+        return 'low';
+    }
+
+    // recommendedSlippageBps is null unless it is tighter than the current headroom
+    recommend(chain, tolerance, maxExtractable, recommendedSlippageBps, atRecommended) {
+        const reasons = [];
+        const tighter = recommendedSlippageBps !== null;
+
+        if (tighter) {
+            reasons.push(`minReturn leaves ${tolerance.headroomBps} bps of headroom; ${recommendedSlippageBps} bps covers the observed quote deviation`);
+        }
+
+        // Tightening is not enough when the pool can still be sandwiched at the recommended slippage
+        const stillExposed = tighter ? atRecommended !== null : maxExtractable !== null;
+        const privateSubmission = chain.mempool === 'public' && stillExposed;
+        if (privateSubmission) {
+            reasons.push(tighter
+                ? 'Route stays profitable to sandwich at the recommended slippage; submit through a private RPC'
+                : 'Route is profitable to sandwich within its tolerance; submit through a private RPC');
+        } else if (chain.mempool !== 'public' && maxExtractable) {
+            reasons.push(`${chain.name} orders transactions through a sequencer without a public mempool`);
+        }
+
+        return {
+            slippage: tighter
+                ? { currentBps: tolerance.headroomBps, recommendedBps: recommendedSlippageBps, recommended: recommendedSlippageBps / 100 }
+                : null,
+            privateSubmission,
+            reasons
+        };
+    }
+}
+
+const mevAnalyzer = new MevAnalyzer();
+module.exports = { analyzeMev: mevAnalyzer.analyze.bind(mevAnalyzer) };
@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { getAddress } = require('ethers');
+const { getChain } = require('../config/chains');
+const { POLICY_DIR, DEFAULT_POLICY } = require('../config/policies');
+
+const RISK_LEVELS = ['SAFE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const MEV_RISKS = ['none', 'low', 'medium', 'high'];
+const SEVERITIES = ['error', 'warning'];
+const ON_MISSING = ['fail', 'skip'];
+const POLICY_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// A check returns passed true/false with the value it looked at, or passed null when the
+// analysis does not hold the data (skipped or failed stage)
+const missing = reason => ({ passed: null, actual: null, reason });
+
+const priceImpact = simulation => simulation?.priceImpact ?? simulation?.fallbackAnalysis?.priceImpact ?? null;
+const quoteDeviation = simulation => simulation?.quoteDeviation ?? simulation?.fallbackAnalysis?.quoteDeviation ?? null;
+// Default and skipped security reports stand in for a scan that did not happen
+const scannedRouter = security => (security && !security.skipped && !security.error && security.securityChecks ? security : null);
+
+// Proxy findings of a scanned contract and the implementations it delegates to
+function proxyChain(report) {
+    const proxies = [];
+    for (let current = report; current; current = current.implementationAnalysis) {
+        if (current.securityChecks?.proxy?.isProxy) {
+            proxies.push({ address: current.address, ...current.securityChecks.proxy });
+        }
+    }
+    return proxies;
+}
+
+// The checks a policy rule can use, with their required parameters
+const CHECKS = {
+    maxPriceImpactBps: {
+        params: { max: 'number' },
+        evaluate({ simulationResults }, { max }) {
+            const impact = priceImpact(simulationResults)?.totalPriceImpactBps;
+            if (impact === null || impact === undefined) return missing('Price impact could not be modelled from pool state');
+            return {
+                passed: impact <= max,
+                actual: impact,
+                reason: `Price impact ${impact} bps ${impact <= max ? 'within' : 'exceeds'} ${max} bps`
+            };
+        }
+    },
+
+    maxQuoteDeviationBps: {
+        params: { max: 'number' },
+        evaluate({ simulationResults }, { max }) {
+            const deviation = quoteDeviation(simulationResults);
+            if (!deviation?.available || deviation.deviationBps === null) return missing('No simulated or modelled output to compare with the quote');
+            return {
+                passed: deviation.deviationBps <= max,
+                actual: deviation.deviationBps,
+                reason: `Output ${deviation.deviationBps} bps below the quote (${deviation.source}), limit ${max} bps`
+            };
+        }
+    },
+
+    // addresses defaults to the chain's 1inch AggregationRouterV6
+    routerAllowlist: {
+        params: {},
+        validate: ({ addresses }) => (addresses === undefined
+            || (Array.isArray(addresses) && addresses.every(address => /^0x[0-9a-fA-F]{40}$/.test(address)))
+            ? null
+            : 'addresses must be a list of addresses'),
+        evaluate({ routeAnalysis }, { addresses }) {
+            const target = routeAnalysis?.tx?.to;
+            if (!target) return missing('Route has no transaction target');
+
+            const allowed = (addresses || [getChain(routeAnalysis.chainId).routerAddress]).map(address => address.toLowerCase());
+            const passed = allowed.includes(target.toLowerCase());
+            return {
+                passed,
+                actual: getAddress(target),
+                reason: passed ? `${getAddress(target)} is allowlisted` : `${getAddress(target)} is not an allowlisted router`
+            };
+        }
+    },
+
+    // tx.to is a 1inch router in the known-contract registry and its code matches any pinned codehash
+    knownTarget: {
+        params: {},
+        evaluate({ securityAnalysis }) {
+            const target = securityAnalysis?.targetVerification;
+            if (!target) return missing('Transaction target was not checked against the known-contract registry');
+            if (target.listed && target.expectedCodehash && ['unavailable', 'unchecked'].includes(target.codehashStatus)) {
+                return missing(`Pinned codehash of ${target.address} could not be checked`);
+            }
+
+            let reason = `${target.address} is ${target.contract?.name} (codehash ${target.codehashStatus})`;
+            if (!target.listed) reason = `${target.address} is not a known 1inch router`;
+            else if (target.codehashStatus === 'mismatch') reason = `Code at ${target.address} does not match the pinned codehash`;
+            else if (target.codehashStatus === 'no-code') reason = `No contract code at ${target.address}`;
+            return {
+                passed: target.listed && !['mismatch', 'no-code'].includes(target.codehashStatus),
+                actual: { address: target.address, contract: target.contract?.name ?? null, codehashStatus: target.codehashStatus },
+                reason
+            };
+        }
+    },
+
+    verifiedTokens: {
+        params: {},
+        evaluate({ tokenRisk }) {
+            const tokens = [tokenRisk?.fromToken, tokenRisk?.toToken];
+            if (tokenRisk?.skipped || tokens.some(token => !token || token.error)) return missing('Token scan did not complete');
+
+            const unverified = tokens.filter(token => !token.native && !token.isVerified).map(token => token.address);
+            return {
+                passed: unverified.length === 0,
+                actual: unverified,
+                reason: unverified.length === 0 ? 'Both tokens are verified or native' : `Unverified tokens: ${unverified.join(', ')}`
+            };
+        }
+    },
+
+    // targets: router (and the implementations it delegates to) and/or tokens
+    noEoaProxyAdmin: {
+        params: {},
+        validate: ({ targets }) => (targets === undefined
+            || (Array.isArray(targets) && targets.length > 0 && targets.every(target => ['router', 'tokens'].includes(target)))
+            ? null
+            : 'targets must list router and/or tokens'),
+        evaluate({ securityAnalysis, tokenRisk }, { targets = ['router'] }) {
+            const proxies = [];
+            if (targets.includes('router')) {
+                const router = scannedRouter(securityAnalysis);
+                if (!router) return missing('Router security scan did not complete');
+                proxies.push(...proxyChain(router));
+            }
+            if (targets.includes('tokens')) {
+                const tokens = [tokenRisk?.fromToken, tokenRisk?.toToken];
+                if (tokenRisk?.skipped || tokens.some(token => !token || token.error)) return missing('Token scan did not complete');
+                proxies.push(...tokens.filter(token => token.proxy?.isProxy).map(token => ({ address: token.address, ...token.proxy })));
+            }
+
+            const eoaAdmins = proxies.filter(proxy => proxy.upgradeable && proxy.adminType === 'EOA');
+            return {
+                passed: eoaAdmins.length === 0,
+                actual: eoaAdmins.map(proxy => ({ address: proxy.address, admin: proxy.admin })),
+                reason: eoaAdmins.length === 0
+                    ? 'No upgradeable proxy is controlled by an EOA'
+                    : `Upgradeable by an EOA: ${eoaAdmins.map(proxy => `${proxy.address} (admin ${proxy.admin})`).join(', ')}`
+            };
+        }
+    },
+
+    simulationSucceeded: {
+        params: {},
+        evaluate({ simulationResults }) {
+            if (!simulationResults || simulationResults.skipped) return missing('Simulation was not run');
+            if (simulationResults.error) {
+                return { passed: false, actual: simulationResults.errorCode, reason: `Simulation failed: ${simulationResults.error}` };
+            }
+            if (!simulationResults.execution) return missing(`The ${simulationResults.engine} engine did not execute the route's calldata`);
+            const reverted = simulationResults.execution.reverted;
+            return {
+                passed: !reverted,
+                actual: reverted ? 'reverted' : 'success',
+                reason: reverted ? `Swap reverted: ${simulationResults.execution.revertReason || 'no reason'}` : 'Swap executed in simulation'
+            };
+        }
+    },
+
+    maxRouterRiskLevel: {
+        params: { max: RISK_LEVELS },
+        evaluate({ securityAnalysis }, { max }) {
+            const router = scannedRouter(securityAnalysis);
+            if (!router) return missing('Router security scan did not complete');
+            const passed = RISK_LEVELS.indexOf(router.riskLevel) <= RISK_LEVELS.indexOf(max);
+            return { passed, actual: router.riskLevel, reason: `Router risk ${router.riskLevel}, limit ${max}` };
+        }
+    },
+
+    maxTokenRiskLevel: {
+        params: { max: RISK_LEVELS },
+        evaluate({ tokenRisk }, { max }) {
+            const tokens = [tokenRisk?.fromToken, tokenRisk?.toToken];
+            if (tokenRisk?.skipped || tokens.some(token => !token || token.error)) return missing('Token scan did not complete');
+
+            const worst = tokens.reduce((top, token) => (RISK_LEVELS.indexOf(token.riskLevel) > RISK_LEVELS.indexOf(top.riskLevel) ? token : top));
+            const passed = RISK_LEVELS.indexOf(worst.riskLevel) <= RISK_LEVELS.indexOf(max);
+            return { passed, actual: worst.riskLevel, reason: `Highest token risk ${worst.riskLevel} (${worst.address}), limit ${max}` };
+        }
+    },
+
+    maxMevRisk: {
+        params: { max: MEV_RISKS },
+        evaluate({ mevAnalysis }, { max }) {
+            if (!mevAnalysis || mevAnalysis.skipped || mevAnalysis.error) return missing('MEV exposure was not estimated');
+            const passed = MEV_RISKS.indexOf(mevAnalysis.risk) <= MEV_RISKS.indexOf(max);
+            return { passed, actual: mevAnalysis.risk, reason: `Sandwich risk ${mevAnalysis.risk}, limit ${max}` };
+        }
+    },
+
+    sufficientBalance: {
+        params: {},
+        evaluate({ approvalAnalysis }) {
+            const sufficient = approvalAnalysis?.balance?.sufficient;
+            if (sufficient === null || sufficient === undefined) return missing('fromAddress balance could not be read');
+            return {
+                passed: sufficient,
+                actual: approvalAnalysis.balance.amount,
+                reason: sufficient ? 'Balance covers the swap amount' : `Balance is ${approvalAnalysis.balance.shortfall} short of the swap amount`
+            };
+        }
+    }
+};
+
+// Declarative pass/fail rules over a finished analysis. Policies are files in POLICY_DIR:
+// { description, rules: [{ id, check, severity, onMissing, ...check parameters }] }
+class PolicyEngine {
+    constructor() {
+        this.policies = null;
+    }
+
+    // Read on first use; the server loads them before it listens, so invalid files stop it at startup
+    // instead of failing requests later
+    load() {
+        if (!this.policies) this.policies = this.loadPolicies(POLICY_DIR);
+        return this.policies;
+    }
+
+    loadPolicies(dir) {
+        const policies = new Map();
+        let files = [];
+        try {
+            files = fs.readdirSync(dir).filter(file => POLICY_EXTENSIONS.includes(path.extname(file)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const file of files.sort()) {
+            const name = path.basename(file, path.extname(file));
+            const text = fs.readFileSync(path.join(dir, file), 'utf8');
+            const parsed = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+            if (policies.has(name)) {
+                throw new Error(`Policy ${name} is defined by more than one file in ${dir}`);
+            }
+            policies.set(name, this.normalizePolicy(name, file, parsed));
+        }
+        return policies;
+    }
+
+    normalizePolicy(name, file, policy) {
+        const fail = message => { throw new Error(`Invalid policy ${file}: ${message}`); };
+        if (!policy || !Array.isArray(policy.rules) || policy.rules.length === 0) fail('rules must be a non-empty list');
+
+        const ids = new Set();
+        const rules = policy.rules.map((rule, index) => {
+            const { id, check, description = null, severity = 'error', onMissing = 'fail', ...params } = rule || {};
+            const label = id || `rules[${index}]`;
+            if (!id || typeof id !== 'string') fail(`${label} needs a string id`);
+            if (ids.has(id)) fail(`duplicate rule id ${id}`);
+            ids.add(id);
+            if (!CHECKS[check]) fail(`${label} has unknown check ${check}; expected one of ${Object.keys(CHECKS).join(', ')}`);
+            if (!SEVERITIES.includes(severity)) fail(`${label} severity must be one of ${SEVERITIES.join(', ')}`);
+            if (!ON_MISSING.includes(onMissing)) fail(`${label} onMissing must be one of ${ON_MISSING.join(', ')}`);
+
+            for (const [param, type] of Object.entries(CHECKS[check].params)) {
+                const valid = Array.isArray(type) ? type.includes(params[param]) : typeof params[param] === type;
+                if (!valid) fail(`${label} needs ${param} (${Array.isArray(type) ? type.join(', ') : type})`);
+            }
+            const invalid = CHECKS[check].validate?.(params);
+            if (invalid) fail(`${label}: ${invalid}`);
+            return { id, check, description, severity, onMissing, params };
+        });
+
+        return { name, file, description: policy.description || null, rules };
+    }
+
+    hasPolicy(name) {
+        return this.load().has(name);
+    }
+
+    getPolicyNames() {
+        return Array.from(this.load().keys());
+    }
+
+    listPolicies() {
+        return Array.from(this.load().values()).map(({ name, description, rules }) => ({
+            name,
+            description,
+            default: name === DEFAULT_POLICY,
+            rules
+        }));
+    }
+
+    // A rule fails the verdict when it fails at error severity, or when its data is missing
+    // and onMissing is 'fail'. Failing warning rules are reported without failing it.
+    evaluate(name, analysis) {
+        const policy = this.load().get(name);
+        if (!policy) {
+            return {
+                dataSource: analysis.dataSource,
+                degraded: true,
+                policy: name,
+                verdict: 'fail',
+                error: `Unknown policy ${name}`,
+                errorCode: 'UNKNOWN_POLICY',
+                rules: []
+            };
+        }
+
+        const rules = policy.rules.map(rule => {
+            const outcome = CHECKS[rule.check].evaluate(analysis, rule.params);
+            let status;
+            if (outcome.passed === null) {
+                status = rule.onMissing === 'skip' ? 'skipped' : 'unknown';
+            } else {
+                status = outcome.passed ? 'passed' : 'failed';
+            }
+            return {
+                id: rule.id,
+                check: rule.check,
+                description: rule.description,
+                severity: rule.severity,
+                status,
+                blocking: rule.severity === 'error' && (status === 'failed' || status === 'unknown'),
+                actual: outcome.actual,
+                expected: rule.params,
+                reason: outcome.reason
+            };
+        });
+
+        const count = status => rules.filter(rule => rule.status === status).length;
+        return {
+            dataSource: analysis.dataSource,
+            degraded: count('unknown') > 0,
+            policy: policy.name,
+            description: policy.description,
+            verdict: rules.some(rule => rule.blocking) ? 'fail' : 'pass',
+            summary: { passed: count('passed'), failed: count('failed'), unknown: count('unknown'), skipped: count('skipped') },
+            blocking: rules.filter(rule => rule.blocking).map(rule => rule.id),
+            warnings: rules.filter(rule => rule.severity === 'warning' && rule.status === 'failed').map(rule => rule.id),
+            rules
+        };
+    }
+}
+
+const policyEngine = new PolicyEngine();
+module.exports = {
+    loadPolicies: policyEngine.load.bind(policyEngine),
+    evaluatePolicy: policyEngine.evaluate.bind(policyEngine),
+    hasPolicy: policyEngine.hasPolicy.bind(policyEngine),
+    getPolicyNames: policyEngine.getPolicyNames.bind(policyEngine),
+    listPolicies: policyEngine.listPolicies.bind(policyEngine)
+};
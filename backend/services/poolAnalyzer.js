@@ -0,0 +1,521 @@
+const { Interface, getAddress } = require('ethers');
+const { getChain, NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+const { rpcCall, resolveRpcUrl } = require('./rpcClient');
+
+const Q96 = 2 ** 96;
+const UNISWAP_V3_FEE_TIERS = [100, 500, 3000, 10000];
+const MAX_CURVE_COINS = 8;
+// Probe trades of 1/1000th of the hop input approximate the marginal (mid) price on Curve and Balancer
+const MID_PRICE_PROBE_DIVISOR = 1000n;
+
+const abis = {
+    erc20: new Interface(['function decimals() view returns (uint8)']),
+    uniswapV2Pair: new Interface([
+        'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+        'function token0() view returns (address)'
+    ]),
+    uniswapV2Factory: new Interface(['function getPair(address tokenA, address tokenB) view returns (address)']),
+    uniswapV3Pool: new Interface([
+        'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+        'function token0() view returns (address)',
+        'function fee() view returns (uint24)',
+        'function liquidity() view returns (uint128)'
+    ]),
+    uniswapV3Factory: new Interface(['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)']),
+    uniswapV3Quoter: new Interface([
+        'function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+    ]),
+    curveUint: new Interface([
+        'function coins(uint256 i) view returns (address)',
+        'function get_dy(uint256 i, uint256 j, uint256 dx) view returns (uint256)'
+    ]),
+    curveInt: new Interface([
+        'function coins(int128 i) view returns (address)',
+        'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)'
+    ]),
+    balancerPool: new Interface(['function getPoolId() view returns (bytes32)']),
+    balancerVault: new Interface([
+        'function queryBatchSwap(uint8 kind, tuple(bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, tuple(address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) returns (int256[] assetDeltas)'
+    ])
+};
+
+class PoolAnalyzer {
+    constructor() {
+        this.decimalsCache = new Map();
+    }
+
+    async analyzeRoute(routeAnalysis, execution = null) {
+        const chain = getChain(routeAnalysis.chainId);
+        const routes = routeAnalysis.routeBreakdown?.routes || [];
+        const ctx = {
+            chain,
+            rpcUrl: resolveRpcUrl(chain.chainId),
+            blockNumber: null
+        };
+
+        try {
+            ctx.blockNumber = await rpcCall(ctx.rpcUrl, 'eth_blockNumber', []);
+        } catch (error) {
+            return {
+                available: false,
+                error: `Pool state unavailable: ${error.message}`,
+                hops: this.unresolvedHops(routes, 'RPC endpoint unreachable'),
+                totalPriceImpactBps: null,
+                quoteDeviation: this.quoteDeviation(routeAnalysis.toAmount, execution, null)
+            };
+        }
+
+        const calldataPools = this.calldataPoolsByHop(routes, routeAnalysis.decodedTx);
+        const hops = [];
+        const routeImpacts = [];
+        let modelOutput = 0n;
+        let modelComplete = true;
+
+        for (const route of routes) {
+            let amountIn = route.part === null || !routeAnalysis.amount
+                ? null
+                : BigInt(routeAnalysis.amount) * BigInt(route.part) / 100n;
+            let retained = 1;
+
+            for (const hop of route.hops) {
+                const analysis = await this.analyzeHop(ctx, route, hop, amountIn, calldataPools);
+                hops.push(analysis);
+
+                amountIn = analysis.amountOut !== null ? BigInt(analysis.amountOut) : null;
+                retained = analysis.priceImpactBps !== null && retained !== null
+                    ? retained * (1 - analysis.priceImpactBps / 10000)
+                    : null;
+            }
+
+            if (amountIn === null) {
+                modelComplete = false;
+            } else {
+                modelOutput += amountIn;
+            }
+            routeImpacts.push({ part: route.part, retained });
+        }
+
+        return {
+            available: true,
+            blockNumber: Number(ctx.blockNumber),
+            hops,
+            totalPriceImpactBps: this.combineRouteImpacts(routeImpacts),
+            quoteDeviation: this.quoteDeviation(
+                routeAnalysis.toAmount,
+                execution,
+                modelComplete && routes.length > 0 ? modelOutput : null
+            )
+        };
+    }
+
+    // unoswap-style calldata lists one pool per hop, in path order
+    calldataPoolsByHop(routes, decodedTx) {
+        if (!decodedTx?.decoded || decodedTx.poolsOpaque || routes.length !== 1) return [];
+
+        const hops = routes[0].hops;
+        if (decodedTx.pools.length !== hops.length || hops.some(hop => hop.fills.length !== 1)) return [];
+
+        return decodedTx.pools;
+    }
+
+    async analyzeHop(ctx, route, hop, amountIn, calldataPools) {
+        const tokenIn = this.poolToken(ctx.chain, hop.fromTokenAddress);
+        const tokenOut = this.poolToken(ctx.chain, hop.toTokenAddress);
+        const decimalsIn = await this.getDecimals(ctx, hop.fromToken, tokenIn);
+        const decimalsOut = await this.getDecimals(ctx, hop.toToken, tokenOut);
+        const scale = decimalsIn !== null && decimalsOut !== null ? 10 ** (decimalsIn - decimalsOut) : 1;
+
+        const fills = [];
+        let remaining = amountIn;
+
+        for (let i = 0; i < hop.fills.length; i++) {
+            const fill = hop.fills[i];
+            let fillAmount = null;
+            if (amountIn !== null) {
+                // The last fill takes the remainder so rounding never loses input
+                fillAmount = i === hop.fills.length - 1 ? remaining : amountIn * BigInt(fill.part) / 100n;
+                remaining -= fillAmount;
+            }
+
+            const calldataPool = route.routeIndex === 0 ? calldataPools[hop.hopIndex] : null;
+            fills.push(await this.analyzeFill(ctx, fill, tokenIn, tokenOut, fillAmount, calldataPool, scale));
+        }
+
+        const resolved = fills.every(fill => fill.resolved);
+        const amountOut = resolved && amountIn !== null
+            ? fills.reduce((sum, fill) => sum + BigInt(fill.amountOut), 0n)
+            : null;
+
+        return {
+            route: route.routeIndex,
+            hop: hop.hopIndex,
+            path: `${this.label(hop.fromToken)}→${this.label(hop.toToken)}`,
+            fromToken: tokenIn,
+            toToken: tokenOut,
+            priceUnits: decimalsIn !== null && decimalsOut !== null ? 'token' : 'raw',
+            amountIn: amountIn !== null ? amountIn.toString() : null,
+            amountOut: amountOut !== null ? amountOut.toString() : null,
+            midPrice: resolved ? this.weighted(fills, 'midPrice') : null,
+            executionPrice: amountOut !== null && amountIn > 0n
+                ? Number(amountOut) / Number(amountIn) * scale
+                : null,
+            priceImpactBps: resolved ? this.weighted(fills, 'priceImpactBps') : null,
+            resolved,
+            fills
+        };
+    }
+
+    async analyzeFill(ctx, fill, tokenIn, tokenOut, amountIn, calldataPool, scale) {
+        const base = {
+            dex: fill.dex,
+            part: fill.part,
+            protocol: this.protocolFamily(fill.dex, calldataPool),
+            pool: null,
+            poolSource: null,
+            amountIn: amountIn !== null ? amountIn.toString() : null,
+            amountOut: null,
+            midPrice: null,
+            executionPrice: null,
+            priceImpactBps: null,
+            resolved: false
+        };
+
+        if (amountIn === null) {
+            return { ...base, reason: 'Hop input amount unknown' };
+        }
+        if (!base.protocol) {
+            return { ...base, reason: 'Unsupported DEX for pool-state analysis' };
+        }
+
+        try {
+            const pool = calldataPool
+                ? { address: calldataPool.address, source: 'calldata' }
+                : await this.findPool(ctx, base.protocol, fill.dex, tokenIn, tokenOut);
+            if (!pool) {
+                return { ...base, reason: 'Pool address could not be resolved' };
+            }
+            base.pool = pool.address;
+            base.poolSource = pool.source;
+
+            const state = await this.readPool(ctx, base.protocol, pool.address, tokenIn, tokenOut, amountIn);
+            return {
+                ...base,
+                ...state,
+                amountOut: state.amountOut.toString(),
+                midPrice: state.midPrice * scale,
+                executionPrice: amountIn > 0n ? Number(state.amountOut) / Number(amountIn) * scale : null,
+                resolved: true
+            };
+        } catch (error) {
+            return { ...base, reason: `Pool state read failed: ${error.message}` };
+        }
+    }
+
+    protocolFamily(dex, calldataPool) {
+        if (calldataPool) {
+            return { UniswapV2: 'uniswapV2', UniswapV3: 'uniswapV3', Curve: 'curve' }[calldataPool.protocol] || null;
+        }
+
+        const name = String(dex).toUpperCase();
+        if (name.includes('CURVE')) return 'curve';
+        if (name.includes('BALANCER')) return 'balancer';
+        if (name.includes('V3')) return 'uniswapV3';
+        if (name.includes('V2') || name.includes('SUSHI')) return 'uniswapV2';
+        return null;
+    }
+
+    async findPool(ctx, protocol, dex, tokenIn, tokenOut) {
+        const { dex: contracts } = ctx.chain;
+        const name = String(dex).toUpperCase();
+
+        if (protocol === 'uniswapV2') {
+            const factory = name.includes('SUSHI') ? contracts.sushiswapFactory
+                : name.startsWith('UNISWAP_V2') ? contracts.uniswapV2Factory
+                : null;
+            if (!factory) return null;
+
+            const [pair] = await this.call(ctx, factory, abis.uniswapV2Factory, 'getPair', [tokenIn, tokenOut]);
+            return BigInt(pair) === 0n ? null : { address: pair, source: 'factory' };
+        }
+
+        if (protocol === 'uniswapV3' && name.startsWith('UNISWAP_V3') && contracts.uniswapV3Factory) {
+            // Without pool addresses in the calldata, take the fee tier with the deepest in-range liquidity
+            let best = null;
+            for (const fee of UNISWAP_V3_FEE_TIERS) {
+                const [pool] = await this.call(ctx, contracts.uniswapV3Factory, abis.uniswapV3Factory, 'getPool', [tokenIn, tokenOut, fee]);
+                if (BigInt(pool) === 0n) continue;
+
+                const [liquidity] = await this.call(ctx, pool, abis.uniswapV3Pool, 'liquidity', []);
+                if (!best || liquidity > best.liquidity) {
+                    best = { address: pool, liquidity };
+                }
+            }
+            return best ? { address: best.address, source: 'factory' } : null;
+        }
+
+        return null;
+    }
+
+    async readPool(ctx, protocol, pool, tokenIn, tokenOut, amountIn) {
+        switch (protocol) {
+            case 'uniswapV2':
+                return this.readUniswapV2(ctx, pool, tokenIn, amountIn);
+            case 'uniswapV3':
+                return this.readUniswapV3(ctx, pool, tokenIn, tokenOut, amountIn);
+            case 'curve':
+                return this.readCurve(ctx, pool, tokenIn, tokenOut, amountIn);
+            case 'balancer':
+                return this.readBalancer(ctx, pool, tokenIn, tokenOut, amountIn);
+            default:
+                throw new Error(`Unsupported protocol ${protocol}`);
+        }
+    }
+
+    async readUniswapV2(ctx, pool, tokenIn, amountIn) {
+        const [reserve0, reserve1] = await this.call(ctx, pool, abis.uniswapV2Pair, 'getReserves', []);
+        const [token0] = await this.call(ctx, pool, abis.uniswapV2Pair, 'token0', []);
+        const zeroForOne = token0.toLowerCase() === tokenIn.toLowerCase();
+        const reserveIn = BigInt(zeroForOne ? reserve0 : reserve1);
+        const reserveOut = BigInt(zeroForOne ? reserve1 : reserve0);
+        if (reserveIn === 0n || reserveOut === 0n) throw new Error('Pool has no liquidity');
+
+        const amountInWithFee = amountIn * 997n;
+        const amountOut = amountInWithFee * reserveOut / (reserveIn * 1000n + amountInWithFee);
+
+        return {
+            model: 'constant-product',
+            reserves: { in: reserveIn.toString(), out: reserveOut.toString() },
+            lpFeeBps: 30,
+            amountOut,
+            midPrice: Number(reserveOut) / Number(reserveIn),
+            // Fee-free impact of moving along x*y=k
+            priceImpactBps: Number(amountIn * 1000000n / (reserveIn + amountIn)) / 100
+        };
+    }
+
+    async readUniswapV3(ctx, pool, tokenIn, tokenOut, amountIn) {
+        const [sqrtPriceX96, tick] = await this.call(ctx, pool, abis.uniswapV3Pool, 'slot0', []);
+        const [token0] = await this.call(ctx, pool, abis.uniswapV3Pool, 'token0', []);
+        const [fee] = await this.call(ctx, pool, abis.uniswapV3Pool, 'fee', []);
+        const [liquidity] = await this.call(ctx, pool, abis.uniswapV3Pool, 'liquidity', []);
+        const zeroForOne = token0.toLowerCase() === tokenIn.toLowerCase();
+        const price0 = (Number(sqrtPriceX96) / Q96) ** 2;
+        const midPrice = zeroForOne ? price0 : 1 / price0;
+        const feePips = BigInt(fee);
+        const amountInLessFee = amountIn * (1000000n - feePips) / 1000000n;
+
+        let amountOut;
+        let model;
+        let ticksCrossed = null;
+        const quoter = ctx.chain.dex.uniswapV3Quoter;
+
+        if (quoter) {
+            const quote = await this.call(ctx, quoter, abis.uniswapV3Quoter, 'quoteExactInputSingle', [{
+                tokenIn,
+                tokenOut,
+                amountIn,
+                fee: feePips,
+                sqrtPriceLimitX96: 0
+            }]);
+            amountOut = BigInt(quote.amountOut);
+            ticksCrossed = Number(quote.initializedTicksCrossed);
+            model = 'quoter';
+        } else {
+            amountOut = this.uniswapV3InRangeOutput(BigInt(sqrtPriceX96), BigInt(liquidity), amountInLessFee, zeroForOne);
+            model = 'in-range-liquidity';
+        }
+
+        const feeFreePrice = amountInLessFee > 0n ? Number(amountOut) / Number(amountInLessFee) : midPrice;
+
+        return {
+            model,
+            sqrtPriceX96: sqrtPriceX96.toString(),
+            tick: Number(tick),
+            liquidity: liquidity.toString(),
+            lpFeeBps: Number(feePips) / 100,
+            initializedTicksCrossed: ticksCrossed,
+            amountOut,
+            midPrice,
+            priceImpactBps: this.impactBps(midPrice, feeFreePrice)
+        };
+    }
+
+    // Swap maths within the current tick range; only used when no quoter is deployed
+    uniswapV3InRangeOutput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+        const q96 = 1n << 96n;
+        if (liquidity === 0n) throw new Error('Pool has no in-range liquidity');
+
+        if (zeroForOne) {
+            const next = liquidity * sqrtPriceX96 * q96 / (liquidity * q96 + amountIn * sqrtPriceX96);
+            return liquidity * (sqrtPriceX96 - next) / q96;
+        }
+
+        const next = sqrtPriceX96 + amountIn * q96 / liquidity;
+        return liquidity * q96 * (next - sqrtPriceX96) / (next * sqrtPriceX96);
+    }
+
+    async readCurve(ctx, pool, tokenIn, tokenOut, amountIn) {
+        const { abi, i, j } = await this.findCurveIndices(ctx, pool, tokenIn, tokenOut);
+        const probe = amountIn / MID_PRICE_PROBE_DIVISOR > 0n ? amountIn / MID_PRICE_PROBE_DIVISOR : amountIn;
+        const [amountOut] = await this.call(ctx, pool, abi, 'get_dy', [i, j, amountIn]);
+        const [probeOut] = await this.call(ctx, pool, abi, 'get_dy', [i, j, probe]);
+        const midPrice = Number(probeOut) / Number(probe);
+
+        return {
+            model: 'get_dy',
+            coinIndices: { i, j },
+            amountOut: BigInt(amountOut),
+            midPrice,
+            priceImpactBps: this.impactBps(midPrice, Number(amountOut) / Number(amountIn))
+        };
+    }
+
+    async findCurveIndices(ctx, pool, tokenIn, tokenOut) {
+        const matches = (coin, token) => coin.toLowerCase() === token.toLowerCase()
+            || (coin.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()
+                && token.toLowerCase() === ctx.chain.wrappedNativeToken.toLowerCase());
+
+        for (const abi of [abis.curveUint, abis.curveInt]) {
+            let i = null;
+            let j = null;
+            for (let k = 0; k < MAX_CURVE_COINS; k++) {
+                let coin;
+                try {
+                    [coin] = await this.call(ctx, pool, abi, 'coins', [k]);
+                } catch (error) {
+                    break;
+                }
+                if (matches(coin, tokenIn)) i = k;
+                if (matches(coin, tokenOut)) j = k;
+            }
+            if (i !== null && j !== null) return { abi, i, j };
+        }
+
+        throw new Error('Tokens not found in Curve pool');
+    }
+
+    async readBalancer(ctx, pool, tokenIn, tokenOut, amountIn) {
+        const vault = ctx.chain.dex.balancerVault;
+        if (!vault) throw new Error('No Balancer vault on this chain');
+
+        const [poolId] = await this.call(ctx, pool, abis.balancerPool, 'getPoolId', []);
+        const query = async amount => {
+            const [deltas] = await this.call(ctx, vault, abis.balancerVault, 'queryBatchSwap', [
+                0,
+                [{ poolId, assetInIndex: 0, assetOutIndex: 1, amount, userData: '0x' }],
+                [tokenIn, tokenOut],
+                { sender: vault, fromInternalBalance: false, recipient: vault, toInternalBalance: false }
+            ]);
+            return -BigInt(deltas[1]);
+        };
+
+        const probe = amountIn / MID_PRICE_PROBE_DIVISOR > 0n ? amountIn / MID_PRICE_PROBE_DIVISOR : amountIn;
+        const amountOut = await query(amountIn);
+        const midPrice = Number(await query(probe)) / Number(probe);
+
+        return {
+            model: 'queryBatchSwap',
+            poolId,
+            amountOut,
+            midPrice,
+            priceImpactBps: this.impactBps(midPrice, Number(amountOut) / Number(amountIn))
+        };
+    }
+
+    async call(ctx, to, iface, fn, args) {
+        const data = iface.encodeFunctionData(fn, args);
+        const result = await rpcCall(ctx.rpcUrl, 'eth_call', [{ to, data }, ctx.blockNumber]);
+        return iface.decodeFunctionResult(fn, result);
+    }
+
+    async getDecimals(ctx, token, address) {
+        if (token && Number.isInteger(token.decimals)) return token.decimals;
+        if (!address) return null;
+
+        const key = `${ctx.chain.chainId}:${address.toLowerCase()}`;
+        if (!this.decimalsCache.has(key)) {
+            try {
+                const [decimals] = await this.call(ctx, address, abis.erc20, 'decimals', []);
+                this.decimalsCache.set(key, Number(decimals));
+            } catch (error) {
+                return null;
+            }
+        }
+        return this.decimalsCache.get(key);
+    }
+
+    // Pools hold the wrapped native token where 1inch reports the 0xEeee sentinel
+    poolToken(chain, address) {
+        if (!address) return null;
+        if (address.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()) return chain.wrappedNativeToken;
+        return getAddress(address);
+    }
+
+    impactBps(midPrice, executionPrice) {
+        if (!midPrice) return null;
+        return Math.round((1 - executionPrice / midPrice) * 1000000) / 100;
+    }
+
+    weighted(fills, field) {
+        const total = fills.reduce((sum, fill) => sum + Number(fill.amountIn), 0);
+        if (total === 0) return null;
+        return fills.reduce((sum, fill) => sum + fill[field] * Number(fill.amountIn), 0) / total;
+    }
+
+    combineRouteImpacts(routeImpacts) {
+        if (routeImpacts.length === 0 || routeImpacts.some(r => r.retained === null || r.part === null)) {
+            return null;
+        }
+
+        const retained = routeImpacts.reduce((sum, r) => sum + r.retained * r.part / 100, 0);
+        return Math.round((1 - retained) * 1000000) / 100;
+    }
+
+    // Positive deviation means the output falls short of the quoted toAmount
+    quoteDeviation(quotedToAmount, execution, modelOutput) {
+        const simulated = execution && !execution.reverted && execution.outputAmount !== null;
+        const actual = simulated ? BigInt(execution.outputAmount) : modelOutput;
+
+        if (!quotedToAmount || actual === null) {
+            return { available: false, quotedToAmount: quotedToAmount || null, actualAmount: null, source: null, deviationBps: null };
+        }
+
+        const quoted = BigInt(quotedToAmount);
+        return {
+            available: true,
+            quotedToAmount: quoted.toString(),
+            actualAmount: actual.toString(),
+            source: simulated ? 'simulation' : 'poolState',
+            deviationBps: quoted > 0n ? Number((quoted - actual) * 1000000n / quoted) / 100 : null
+        };
+    }
+
+    unresolvedHops(routes, reason) {
+        const hops = [];
+        for (const route of routes) {
+            for (const hop of route.hops) {
+                hops.push({
+                    route: route.routeIndex,
+                    hop: hop.hopIndex,
+                    path: `${this.label(hop.fromToken)}→${this.label(hop.toToken)}`,
+                    amountIn: null,
+                    amountOut: null,
+                    midPrice: null,
+                    executionPrice: null,
+                    priceImpactBps: null,
+                    resolved: false,
+                    reason,
+                    fills: hop.fills.map(fill => ({ dex: fill.dex, part: fill.part }))
+                });
+            }
+        }
+        return hops;
+    }
+
+    label(token) {
+        return token ? (token.symbol || token.address) : '?';
+    }
+}
+
+const poolAnalyzer = new PoolAnalyzer();
+module.exports = { analyzeRoutePools: poolAnalyzer.analyzeRoute.bind(poolAnalyzer) };
@@ -0,0 +1,122 @@
+const { getSupportedChainIds } = require('../../config/chains');
+const { fetchWithFixtures } = require('../fixtureStore');
+const { getRequestContext } = require('../requestContext');
+const { httpRequest } = require('../httpClient');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Every aggregator adapter implements getQuote, getSwapTx and getRouteBreakdown on top of this class.
+// HTTP goes through request() so responses can be recorded to and replayed from fixtures;
+// adapters that need API keys set apiKeys and authHeaders(key) so the shared client can rotate them.
+class BaseProvider {
+    constructor(name, label, options = {}) {
+        this.name = name;
+        this.label = label;
+        this.chainIds = options.chainIds || getSupportedChainIds();
+        // 'transaction' providers return calldata; 'intent' providers return an order that solvers settle
+        this.settlement = options.settlement || 'transaction';
+        this.timeout = Number(process.env.PROVIDER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+        this.apiKeys = [];
+    }
+
+    authHeaders(key) {
+        return {};
+    }
+
+    supportsChain(chainId) {
+        return this.chainIds.includes(Number(chainId));
+    }
+
+    async getQuote(params) {
+        throw new Error(`${this.label} does not implement getQuote`);
+    }
+
+    async getSwapTx(params, quote) {
+        throw new Error(`${this.label} does not implement getSwapTx`);
+    }
+
+    getRouteBreakdown(quote) {
+        throw new Error(`${this.label} does not implement getRouteBreakdown`);
+    }
+
+    async analyzeRoute(params) {
+        const quote = await this.getQuote(params);
+        // Calldata is only built for a concrete sender
+        const tx = params.fromAddress ? await this.getSwapTx(params, quote) : null;
+
+        return {
+            provider: this.name,
+            label: this.label,
+            settlement: this.settlement,
+            chainId: params.chainId,
+            fromToken: params.fromToken,
+            toToken: params.toToken,
+            amount: params.amount,
+            toAmount: tx?.toAmount || quote.toAmount,
+            minReturn: tx?.minReturn || quote.minReturn || null,
+            estimatedGas: Number(tx?.gas || quote.estimatedGas || 0),
+            tx: tx ? { to: tx.to, data: tx.data, value: tx.value || '0', gas: tx.gas || null } : null,
+            routeBreakdown: this.getRouteBreakdown(quote),
+            // Set by adapters whose quote rests on an input that is not live (e.g. a fallback gas price)
+            degraded: Boolean(quote.degraded),
+            degradedReason: quote.degradedReason || null
+        };
+    }
+
+    isReplay() {
+        return getRequestContext().dataSource === 'fixture';
+    }
+
+    // Fixtures are keyed by the swap parameters, so headers with API keys are never stored
+    async request(operation, params, config) {
+        const { chainId, fromToken, toToken, amount, fromAddress, slippage } = params;
+        const key = { chainId, fromToken, toToken, amount, fromAddress, slippage };
+
+        return fetchWithFixtures(`providers/${this.name}`, operation, key, async () => {
+            try {
+                const response = await httpRequest({ timeout: this.timeout, ...config }, {
+                    service: this.label,
+                    operation,
+                    keys: this.apiKeys,
+                    applyKey: (requestConfig, key) => ({
+                        ...requestConfig,
+                        headers: { ...requestConfig.headers, ...this.authHeaders(key) }
+                    })
+                });
+                return response.data;
+            } catch (error) {
+                console.error(`${this.label} API error:`, error.message);
+                throw error;
+            }
+        });
+    }
+
+    // Providers describe routes as splits -> hops -> DEX fills; normalize them to one shape
+    buildBreakdown(routes) {
+        const dexes = new Set();
+        for (const route of routes) {
+            for (const hop of route.hops) {
+                for (const fill of hop.fills) dexes.add(fill.dex);
+            }
+        }
+
+        return {
+            routes: routes.map((route, routeIndex) => ({
+                routeIndex,
+                part: route.part,
+                hops: route.hops.map((hop, hopIndex) => ({ hopIndex, ...hop }))
+            })),
+            routeCount: routes.length,
+            hopCount: routes.reduce((sum, route) => sum + route.hops.length, 0),
+            dexes: Array.from(dexes)
+        };
+    }
+
+    applySlippage(amount, slippage) {
+        if (amount === undefined || amount === null) return null;
+        const bps = BigInt(Math.round(slippage * 100));
+        return (BigInt(amount) * (10000n - bps) / 10000n).toString();
+    }
+}
+
+module.exports = { BaseProvider };
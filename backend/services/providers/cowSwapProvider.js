@@ -0,0 +1,69 @@
+const { BaseProvider } = require('./baseProvider');
+const { NATIVE_TOKEN_ADDRESS } = require('../../config/chains');
+
+const COW_NETWORKS = {
+    1: 'mainnet',
+    8453: 'base',
+    42161: 'arbitrum_one'
+};
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// CoW Swap quotes a signed order that solvers settle; the network fee is taken from the sell amount,
+// so the user pays no separate gas and the quoted buyAmount is already net of it
+class CowSwapProvider extends BaseProvider {
+    constructor(options = {}) {
+        super('cowswap', 'CoW Swap', {
+            chainIds: Object.keys(COW_NETWORKS).map(Number),
+            settlement: 'intent',
+            ...options
+        });
+        this.baseUrl = 'https://api.cow.fi';
+    }
+
+    async getQuote(params) {
+        if (params.fromToken.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()) {
+            throw new Error('CoW Swap cannot sell the native token directly; wrap it first');
+        }
+
+        const raw = await this.request('quote', params, {
+            method: 'POST',
+            url: `${this.baseUrl}/${COW_NETWORKS[params.chainId]}/api/v1/quote`,
+            data: {
+                sellToken: params.fromToken,
+                buyToken: params.toToken,
+                from: params.fromAddress || ZERO_ADDRESS,
+                receiver: params.fromAddress || ZERO_ADDRESS,
+                kind: 'sell',
+                sellAmountBeforeFee: params.amount,
+                priceQuality: 'optimal',
+                signingScheme: 'eip712',
+                onchainOrder: false
+            }
+        });
+
+        return {
+            toAmount: raw.quote.buyAmount,
+            minReturn: this.applySlippage(raw.quote.buyAmount, params.slippage),
+            estimatedGas: 0,
+            raw
+        };
+    }
+
+    // There is no calldata to build: the quote is an order for the user to sign
+    async getSwapTx(params, quote) {
+        return null;
+    }
+
+    getRouteBreakdown(quote) {
+        return this.buildBreakdown([{
+            part: 100,
+            hops: [{
+                fromToken: quote.raw.quote.sellToken.toLowerCase(),
+                toToken: quote.raw.quote.buyToken.toLowerCase(),
+                fills: [{ dex: 'COW_SOLVER_AUCTION', part: 100 }]
+            }]
+        }]);
+    }
+}
+
+module.exports = { CowSwapProvider };
@@ -0,0 +1,29 @@
+const { OneInchProvider } = require('./oneInchProvider');
+const { ZeroExProvider } = require('./zeroExProvider');
+const { ParaSwapProvider } = require('./paraswapProvider');
+const { OpenOceanProvider } = require('./openOceanProvider');
+const { CowSwapProvider } = require('./cowSwapProvider');
+const { UniswapProvider } = require('./uniswapProvider');
+
+const providers = [
+    new OneInchProvider(),
+    new ZeroExProvider(),
+    new ParaSwapProvider(),
+    new OpenOceanProvider(),
+    new CowSwapProvider(),
+    new UniswapProvider()
+];
+
+function getProviderNames() {
+    return providers.map(provider => provider.name);
+}
+
+function getProviders(names = null) {
+    if (!names || names.length === 0) return providers;
+    return providers.filter(provider => names.includes(provider.name));
+}
+
+module.exports = {
+    getProviders,
+    getProviderNames
+};
@@ -0,0 +1,57 @@
+const { BaseProvider } = require('./baseProvider');
+const { decodeSwapTx } = require('../calldataDecoder');
+const { getSwapQuote, getSwapTx, calculateRouteBreakdown, resolveSwapParams } = require('../1inchAnalyzer');
+
+// The 1inch adapter goes through OneInchAnalyzer, so a comparison quotes the same route, with the same
+// swap options, fixtures and cache entries, as /api/analyze-route does for the same input
+class OneInchProvider extends BaseProvider {
+    constructor(options = {}) {
+        super('1inch', '1inch', options);
+    }
+
+    swapParams(params) {
+        return resolveSwapParams({ ...params.swapOptions, slippage: params.slippage });
+    }
+
+    async getQuote(params) {
+        const raw = await getSwapQuote(params.fromToken, params.toToken, params.amount, params.fromAddress || undefined,
+            params.chainId, this.swapParams(params));
+
+        return {
+            toAmount: raw.dstAmount || raw.toAmount,
+            estimatedGas: raw.gas || raw.estimatedGas || 0,
+            raw
+        };
+    }
+
+    async getSwapTx(params, quote) {
+        const swapParams = this.swapParams(params);
+        const raw = await getSwapTx(params.fromToken, params.toToken, params.amount, params.fromAddress,
+            swapParams.slippage, params.chainId, swapParams);
+
+        const decoded = decodeSwapTx(raw.tx, params.chainId);
+        return {
+            to: raw.tx.to,
+            data: raw.tx.data,
+            value: raw.tx.value,
+            gas: raw.tx.gas,
+            toAmount: raw.dstAmount || raw.toAmount,
+            minReturn: decoded.decoded ? decoded.minReturn : null
+        };
+    }
+
+    getRouteBreakdown(quote) {
+        const { routes } = calculateRouteBreakdown(quote.raw);
+
+        return this.buildBreakdown(routes.map(route => ({
+            part: route.part,
+            hops: route.hops.map(hop => ({
+                fromToken: hop.fromTokenAddress,
+                toToken: hop.toTokenAddress,
+                fills: hop.fills
+            }))
+        })));
+    }
+}
+
+module.exports = { OneInchProvider };
@@ -0,0 +1,87 @@
+const { BaseProvider } = require('./baseProvider');
+const { rpcCall, resolveRpcUrl } = require('../rpcClient');
+
+const FALLBACK_GAS_PRICE_WEI = '1000000000';
+
+class OpenOceanProvider extends BaseProvider {
+    constructor(options = {}) {
+        super('openocean', 'OpenOcean', options);
+        this.baseUrl = 'https://open-api.openocean.finance/v4';
+    }
+
+    // OpenOcean prices gas into its route selection, so it needs the current gas price. A node that
+    // answers without one leaves the fallback price in place and the route degraded; a node that is
+    // down, limited or cancelled fails the route. Replayed responses were quoted at their recorded price.
+    async getGasPrice(chainId) {
+        if (this.isReplay()) return { gasPrice: FALLBACK_GAS_PRICE_WEI, source: 'fixture' };
+        try {
+            return { gasPrice: BigInt(await rpcCall(resolveRpcUrl(chainId), 'eth_gasPrice', [])).toString(), source: 'rpc' };
+        } catch (error) {
+            if (error.category) throw error;
+            console.error('OpenOcean gas price lookup failed:', error.message);
+            return { gasPrice: FALLBACK_GAS_PRICE_WEI, source: 'fallback' };
+        }
+    }
+
+    async query(operation, params, gasPrice, extra = {}) {
+        const raw = await this.request(operation, params, {
+            method: 'GET',
+            url: `${this.baseUrl}/${params.chainId}/${operation}`,
+            params: {
+                inTokenAddress: params.fromToken,
+                outTokenAddress: params.toToken,
+                amountDecimals: params.amount,
+                gasPriceDecimals: gasPrice.gasPrice,
+                slippage: params.slippage,
+                ...extra
+            }
+        });
+
+        if (Number(raw.code) !== 200 || !raw.data) {
+            throw new Error(`OpenOcean ${operation} failed: ${raw.error || raw.message || `code ${raw.code}`}`);
+        }
+        return raw;
+    }
+
+    async getQuote(params) {
+        const gasPrice = await this.getGasPrice(params.chainId);
+        const raw = await this.query('quote', params, gasPrice);
+        const degraded = gasPrice.source === 'fallback';
+
+        return {
+            toAmount: raw.data.outAmount,
+            estimatedGas: raw.data.estimatedGas || 0,
+            gasPrice,
+            degraded,
+            degradedReason: degraded ? `Route selected at a fallback gas price of ${FALLBACK_GAS_PRICE_WEI} wei` : null,
+            raw
+        };
+    }
+
+    async getSwapTx(params, quote) {
+        const raw = await this.query('swap', params, quote.gasPrice, { account: params.fromAddress });
+
+        return {
+            to: raw.data.to,
+            data: raw.data.data,
+            value: raw.data.value,
+            gas: raw.data.estimatedGas,
+            toAmount: raw.data.outAmount,
+            minReturn: raw.data.minOutAmount || null
+        };
+    }
+
+    // path.routes is splits -> subRoutes (hops) -> dexes (fills)
+    getRouteBreakdown(quote) {
+        return this.buildBreakdown((quote.raw.data.path?.routes || []).map(route => ({
+            part: route.percentage,
+            hops: (route.subRoutes || []).map(subRoute => ({
+                fromToken: subRoute.from.toLowerCase(),
+                toToken: subRoute.to.toLowerCase(),
+                fills: (subRoute.dexes || []).map(dex => ({ dex: dex.dex, part: dex.percentage }))
+            }))
+        })));
+    }
+}
+
+module.exports = { OpenOceanProvider };
@@ -0,0 +1,90 @@
+const { BaseProvider } = require('./baseProvider');
+const { getTokenMetadata } = require('../tokenMetadata');
+
+class ParaSwapProvider extends BaseProvider {
+    constructor(options = {}) {
+        super('paraswap', 'ParaSwap', options);
+        this.baseUrl = 'https://api.paraswap.io';
+    }
+
+    // /prices wants decimals for tokens outside ParaSwap's own list
+    async getDecimals(token, chainId) {
+        if (this.isReplay()) return undefined;
+        try {
+            return (await getTokenMetadata(token, chainId)).decimals;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    async getQuote(params) {
+        const [srcDecimals, destDecimals] = await Promise.all([
+            this.getDecimals(params.fromToken, params.chainId),
+            this.getDecimals(params.toToken, params.chainId)
+        ]);
+
+        const raw = await this.request('prices', params, {
+            method: 'GET',
+            url: `${this.baseUrl}/prices`,
+            params: {
+                srcToken: params.fromToken,
+                destToken: params.toToken,
+                amount: params.amount,
+                srcDecimals,
+                destDecimals,
+                side: 'SELL',
+                network: params.chainId,
+                version: '6.2',
+                ...(params.fromAddress && { userAddress: params.fromAddress })
+            }
+        });
+
+        return {
+            toAmount: raw.priceRoute.destAmount,
+            estimatedGas: raw.priceRoute.gasCost || 0,
+            raw
+        };
+    }
+
+    async getSwapTx(params, quote) {
+        const priceRoute = quote.raw.priceRoute;
+        const raw = await this.request('transactions', params, {
+            method: 'POST',
+            url: `${this.baseUrl}/transactions/${params.chainId}`,
+            params: { ignoreChecks: true },
+            data: {
+                srcToken: priceRoute.srcToken,
+                srcDecimals: priceRoute.srcDecimals,
+                destToken: priceRoute.destToken,
+                destDecimals: priceRoute.destDecimals,
+                srcAmount: priceRoute.srcAmount,
+                slippage: Math.round(params.slippage * 100),
+                priceRoute,
+                userAddress: params.fromAddress
+            }
+        });
+
+        return {
+            to: raw.to,
+            data: raw.data,
+            value: raw.value,
+            gas: raw.gas || priceRoute.gasCost,
+            toAmount: priceRoute.destAmount,
+            minReturn: this.applySlippage(priceRoute.destAmount, params.slippage)
+        };
+    }
+
+    // bestRoute is splits -> swaps (hops) -> swapExchanges (fills)
+    getRouteBreakdown(quote) {
+        return this.buildBreakdown((quote.raw.priceRoute.bestRoute || []).map(route => ({
+            part: route.percent,
+            hops: route.swaps.map(swap => ({
+                fromToken: swap.srcToken.toLowerCase(),
+                toToken: swap.destToken.toLowerCase(),
+                fills: swap.swapExchanges.map(exchange => ({ dex: exchange.exchange, part: exchange.percent }))
+            }))
+        })));
+    }
+}
+
+module.exports = { ParaSwapProvider };
@@ -0,0 +1,90 @@
+const { BaseProvider } = require('./baseProvider');
+const { NATIVE_TOKEN_ADDRESS } = require('../../config/chains');
+const { getApiKeys } = require('../../config/http');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Uniswap Trading API, restricted to classic (router calldata) routing
+class UniswapProvider extends BaseProvider {
+    constructor(options = {}) {
+        super('uniswap', 'Uniswap', options);
+        this.baseUrl = 'https://trade-api.gateway.uniswap.org/v1';
+        this.apiKeys = getApiKeys('UNISWAP_API_KEY');
+    }
+
+    headers() {
+        if (this.apiKeys.length === 0 && !this.isReplay()) {
+            throw new Error('UNISWAP_API_KEY is not set');
+        }
+        return { 'Accept': 'application/json' };
+    }
+
+    authHeaders(key) {
+        return { 'x-api-key': key };
+    }
+
+    // The Trading API uses the zero address for the native token
+    toUniswapToken(token) {
+        return token.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase() ? ZERO_ADDRESS : token;
+    }
+
+    async getQuote(params) {
+        const raw = await this.request('quote', params, {
+            method: 'POST',
+            url: `${this.baseUrl}/quote`,
+            data: {
+                type: 'EXACT_INPUT',
+                amount: params.amount,
+                tokenInChainId: params.chainId,
+                tokenOutChainId: params.chainId,
+                tokenIn: this.toUniswapToken(params.fromToken),
+                tokenOut: this.toUniswapToken(params.toToken),
+                swapper: params.fromAddress || ZERO_ADDRESS,
+                slippageTolerance: params.slippage,
+                routingPreference: 'CLASSIC'
+            },
+            headers: this.headers()
+        });
+
+        return {
+            toAmount: raw.quote.output.amount,
+            estimatedGas: raw.quote.gasUseEstimate || 0,
+            raw
+        };
+    }
+
+    async getSwapTx(params, quote) {
+        const raw = await this.request('swap', params, {
+            method: 'POST',
+            url: `${this.baseUrl}/swap`,
+            data: { quote: quote.raw.quote },
+            headers: this.headers()
+        });
+
+        return {
+            to: raw.swap.to,
+            data: raw.swap.data,
+            value: raw.swap.value,
+            gas: raw.swap.gasLimit,
+            toAmount: quote.toAmount,
+            minReturn: this.applySlippage(quote.toAmount, params.slippage)
+        };
+    }
+
+    // route is a list of splits, each a list of pools; the split's share is its first pool's amountIn
+    getRouteBreakdown(quote) {
+        const splits = quote.raw.quote.route || [];
+        const total = splits.reduce((sum, pools) => sum + BigInt(pools[0]?.amountIn || 0), 0n);
+
+        return this.buildBreakdown(splits.map(pools => ({
+            part: total > 0n ? Number(BigInt(pools[0]?.amountIn || 0) * 10000n / total) / 100 : null,
+            hops: pools.map(pool => ({
+                fromToken: pool.tokenIn.address.toLowerCase(),
+                toToken: pool.tokenOut.address.toLowerCase(),
+                fills: [{ dex: pool.type, pool: pool.address, part: 100 }]
+            }))
+        })));
+    }
+}
+
+module.exports = { UniswapProvider };
@@ -0,0 +1,94 @@
+const { BaseProvider } = require('./baseProvider');
+const { getApiKeys } = require('../../config/http');
+
+// 0x Swap API v2 through the AllowanceHolder contract
+class ZeroExProvider extends BaseProvider {
+    constructor(options = {}) {
+        super('0x', '0x', options);
+        this.baseUrl = 'https://api.0x.org/swap/allowance-holder';
+        this.apiKeys = getApiKeys('ZEROEX_API_KEY');
+    }
+
+    headers() {
+        if (this.apiKeys.length === 0 && !this.isReplay()) {
+            throw new Error('ZEROEX_API_KEY is not set');
+        }
+        return {
+            '0x-version': 'v2',
+            'Accept': 'application/json'
+        };
+    }
+
+    authHeaders(key) {
+        return { '0x-api-key': key };
+    }
+
+    async getQuote(params) {
+        const raw = await this.request('price', params, {
+            method: 'GET',
+            url: `${this.baseUrl}/price`,
+            params: {
+                chainId: params.chainId,
+                sellToken: params.fromToken,
+                buyToken: params.toToken,
+                sellAmount: params.amount,
+                ...(params.fromAddress && { taker: params.fromAddress })
+            },
+            headers: this.headers()
+        });
+
+        if (raw.liquidityAvailable === false) {
+            throw new Error('0x has no liquidity for this pair');
+        }
+
+        return {
+            toAmount: raw.buyAmount,
+            minReturn: raw.minBuyAmount || null,
+            estimatedGas: raw.gas || raw.transaction?.gas || 0,
+            raw
+        };
+    }
+
+    async getSwapTx(params, quote) {
+        const raw = await this.request('quote', params, {
+            method: 'GET',
+            url: `${this.baseUrl}/quote`,
+            params: {
+                chainId: params.chainId,
+                sellToken: params.fromToken,
+                buyToken: params.toToken,
+                sellAmount: params.amount,
+                taker: params.fromAddress,
+                slippageBps: Math.round(params.slippage * 100)
+            },
+            headers: this.headers()
+        });
+
+        return {
+            to: raw.transaction.to,
+            data: raw.transaction.data,
+            value: raw.transaction.value,
+            gas: raw.transaction.gas,
+            toAmount: raw.buyAmount,
+            minReturn: raw.minBuyAmount
+        };
+    }
+
+    // route.fills lists every DEX fill with its token pair; consecutive pairs form the hops
+    getRouteBreakdown(quote) {
+        const hops = [];
+
+        for (const fill of quote.raw.route?.fills || []) {
+            let hop = hops.find(h => h.fromToken === fill.from.toLowerCase() && h.toToken === fill.to.toLowerCase());
+            if (!hop) {
+                hop = { fromToken: fill.from.toLowerCase(), toToken: fill.to.toLowerCase(), fills: [] };
+                hops.push(hop);
+            }
+            hop.fills.push({ dex: fill.source, part: Number(fill.proportionBps) / 100 });
+        }
+
+        return this.buildBreakdown(hops.length > 0 ? [{ part: 100, hops }] : []);
+    }
+}
+
+module.exports = { ZeroExProvider };
@@ -0,0 +1,36 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { DEFAULT_DATA_SOURCE } = require('../config/dataSource');
+const { CancelledError } = require('./errors');
+
+// Per-request settings that every service reads without threading them through each call
+class RequestContext {
+    constructor() {
+        this.storage = new AsyncLocalStorage();
+    }
+
+    run(context, fn) {
+        return this.storage.run({ dataSource: DEFAULT_DATA_SOURCE, ...context }, fn);
+    }
+
+    get() {
+        return this.storage.getStore() || { dataSource: DEFAULT_DATA_SOURCE };
+    }
+
+    // Stage events for streaming callers (onProgress); plain requests have no listener
+    emit(type, data) {
+        const { onProgress } = this.get();
+        if (onProgress) onProgress(type, data);
+    }
+
+    throwIfCancelled() {
+        if (this.get().signal?.aborted) throw new CancelledError();
+    }
+}
+
+const requestContext = new RequestContext();
+module.exports = {
+    runWithContext: requestContext.run.bind(requestContext),
+    getRequestContext: requestContext.get.bind(requestContext),
+    emitProgress: requestContext.emit.bind(requestContext),
+    throwIfCancelled: requestContext.throwIfCancelled.bind(requestContext)
+};
@@ -0,0 +1,121 @@
+const { getChain, DEFAULT_CHAIN_ID } = require('../config/chains');
+const { getProviders } = require('./providers');
+const { getRequestContext } = require('./requestContext');
+const { getGasContext, getL1DataFee, computeGasCost } = require('./gasCost');
+
+const DEFAULT_SLIPPAGE = 1;
+
+class RouteComparator {
+    // swapOptions are the 1inch swap parameters of /api/analyze-route; only the 1inch adapter uses them
+    async compareRoutes({ fromToken, toToken, amount, fromAddress = null, chainId = DEFAULT_CHAIN_ID, slippage = DEFAULT_SLIPPAGE, providers = null, ...swapOptions }) {
+        const chain = getChain(chainId);
+        const params = { chainId: chain.chainId, fromToken, toToken, amount: amount.toString(), fromAddress, slippage, swapOptions };
+        const selected = getProviders(providers);
+        const supported = selected.filter(provider => provider.supportsChain(chain.chainId));
+
+        console.log(`⚖️ Comparing ${supported.length} providers on chain ${chain.chainId}...`);
+
+        const [results, gasContext] = await Promise.all([
+            Promise.all(supported.map(provider => this.runProvider(provider, params))),
+            getGasContext(chain.chainId, toToken)
+        ]);
+
+        await Promise.all(results
+            .filter(result => result.success)
+            .map(async result => Object.assign(result, await this.netOutput(result, gasContext))));
+
+        const ranked = this.rank(results);
+
+        return {
+            dataSource: getRequestContext().dataSource,
+            // Gross ranking ignores gas, a cost without the L1 data fee understates it on rollups,
+            // and a degraded route was quoted from inputs that were not live
+            degraded: ranked.rankedBy !== 'netOutput'
+                || ranked.results.some(result => result.success && (result.degraded || !result.gasCost.complete)),
+            chainId: chain.chainId,
+            fromToken,
+            toToken,
+            amount: params.amount,
+            slippage,
+            gasPrice: gasContext.fees?.gasPrice ?? null,
+            gasFees: gasContext.fees,
+            prices: gasContext.prices,
+            gasErrors: gasContext.errors,
+            rankedBy: ranked.rankedBy,
+            best: ranked.results.find(result => result.success)?.provider || null,
+            results: ranked.results,
+            unsupported: selected
+                .filter(provider => !provider.supportsChain(chain.chainId))
+                .map(provider => provider.name)
+        };
+    }
+
+    async runProvider(provider, params) {
+        try {
+            const route = await provider.analyzeRoute(params);
+            if (!route.toAmount) {
+                throw new Error('Provider returned no output amount');
+            }
+            console.log(`✅ ${provider.label} route received`);
+            return { success: true, dataSource: getRequestContext().dataSource, ...route };
+        } catch (error) {
+            console.error(`${provider.label} route failed:`, error.message);
+            return {
+                success: false,
+                provider: provider.name,
+                label: provider.label,
+                settlement: provider.settlement,
+                error: error.message,
+                errorCode: error.code || null
+            };
+        }
+    }
+
+    // Gas is paid in the native token; its cost is converted into toToken units to compare like for like.
+    // Intent-based settlement (CoW Swap) has no transaction and its fee is already in toAmount.
+    async netOutput(result, gasContext) {
+        let l1DataFee = null;
+        if (result.tx?.data && gasContext.fees) {
+            try {
+                l1DataFee = await getL1DataFee(gasContext.chainId, result.tx, gasContext.fees);
+            } catch (error) {
+                if (error.code === 'CANCELLED') throw error;
+                console.error(`${result.label || result.provider} L1 data fee lookup failed:`, error.message);
+            }
+        }
+
+        const gasCost = computeGasCost(gasContext, {
+            gasUnits: result.estimatedGas,
+            l1DataFee: result.settlement === 'intent' ? { feeWei: '0', l1Gas: null } : l1DataFee,
+            toAmount: result.toAmount
+        });
+        return {
+            gasCost,
+            gasCostInToToken: gasCost.gasCostInToToken,
+            netOutput: gasCost.netOutput
+        };
+    }
+
+    // Net output when every successful route has one, gross output otherwise
+    rank(results) {
+        const successful = results.filter(result => result.success);
+        const failed = results.filter(result => !result.success);
+        const rankedBy = successful.length > 0 && successful.every(result => result.netOutput !== null)
+            ? 'netOutput'
+            : 'grossOutput';
+        const value = result => BigInt(rankedBy === 'netOutput' ? result.netOutput : result.toAmount);
+
+        successful.sort((a, b) => (value(b) > value(a) ? 1 : value(b) < value(a) ? -1 : 0));
+        const best = successful.length > 0 ? value(successful[0]) : null;
+
+        successful.forEach((result, index) => {
+            result.rank = index + 1;
+            result.deltaVsBestBps = best > 0n ? Number((value(result) - best) * 10000n / best) : null;
+        });
+
+        return { rankedBy, results: [...successful, ...failed] };
+    }
+}
+
+const routeComparator = new RouteComparator();
+module.exports = { compareRoutes: routeComparator.compareRoutes.bind(routeComparator) };
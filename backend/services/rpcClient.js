@@ -0,0 +1,55 @@
+const { httpRequest } = require('./httpClient');
+const { getRpcUrl, DEFAULT_CHAIN_ID } = require('../config/chains');
+
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+// JSON-RPC error code hosted nodes use for exceeded request limits
+const LIMIT_EXCEEDED = -32005;
+
+class RpcClient {
+    constructor() {
+        this.requestId = 0;
+    }
+
+    // SIMULATION_RPC_URL (e.g. a local fork) only serves SIMULATION_CHAIN_ID; a fork of one chain
+    // would answer reads for every other chain with wrong or empty state
+    resolveRpcUrl(chainId = DEFAULT_CHAIN_ID) {
+        const simulationChainId = Number(process.env.SIMULATION_CHAIN_ID) || DEFAULT_CHAIN_ID;
+        if (process.env.SIMULATION_RPC_URL && Number(chainId) === simulationChainId) {
+            return process.env.SIMULATION_RPC_URL;
+        }
+        return getRpcUrl(chainId) || DEFAULT_RPC_URL;
+    }
+
+    async call(rpcUrl, method, params) {
+        const response = await httpRequest({
+            method: 'POST',
+            url: rpcUrl,
+            data: {
+                jsonrpc: '2.0',
+                id: ++this.requestId,
+                method,
+                params
+            },
+            timeout: Number(process.env.SIMULATION_TIMEOUT_MS) || 30000
+        }, {
+            service: 'RPC',
+            operation: method,
+            checkResponse: ({ data }) => (data?.error?.code === LIMIT_EXCEEDED ? 'rateLimit' : null)
+        });
+
+        if (response.data.error) {
+            const error = new Error(response.data.error.message);
+            error.code = response.data.error.code;
+            error.data = response.data.error.data;
+            throw error;
+        }
+
+        return response.data.result;
+    }
+}
+
+const rpcClient = new RpcClient();
+module.exports = {
+    rpcCall: rpcClient.call.bind(rpcClient),
+    resolveRpcUrl: rpcClient.resolveRpcUrl.bind(rpcClient)
+};
@@ -0,0 +1,347 @@
+const { AbiCoder, Interface, id, keccak256, toBeHex } = require('ethers');
+const { NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+const { rpcCall, resolveRpcUrl } = require('./rpcClient');
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+const erc20 = new Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)'
+]);
+
+const MAX_PROBED_SLOT = 20;
+const PROBE_VALUE = 0x1337133713371337n;
+const GAS_BUFFER_WEI = 10n ** 21n; // 1000 native tokens for gas
+const CALL_GAS_LIMIT = 30000000;
+
+const PANIC_CODES = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+// Custom errors the 1inch routers commonly revert with, keyed by selector
+const KNOWN_ERRORS = Object.fromEntries([
+    'ReturnAmountIsNotEnough()',
+    'ReturnAmountIsNotEnough(uint256,uint256)',
+    'SwapWithZeroAmount()',
+    'InvalidMsgValue()',
+    'SafeTransferFromFailed()',
+    'ApproveFailed()',
+    'BadPool()',
+    'EthDepositRejected()',
+    'InsufficientBalance()'
+].map(signature => [id(signature).slice(0, 10), signature]));
+
+class RpcSimulator {
+    constructor() {
+        this.slotCache = new Map();
+    }
+
+    async simulate(routeAnalysis, options = {}) {
+        const { tx, decodedTx } = routeAnalysis;
+        if (!tx || !tx.to || !tx.data) {
+            throw new Error('Route has no transaction to simulate');
+        }
+
+        const rpcUrl = options.rpcUrl || resolveRpcUrl(routeAnalysis.chainId);
+        const from = tx.from || routeAnalysis.fromAddress;
+        if (!from) {
+            throw new Error('Simulation requires a fromAddress');
+        }
+
+        const value = BigInt(tx.value || 0);
+        const srcToken = decodedTx?.srcToken || routeAnalysis.fromToken?.address;
+        const dstToken = decodedTx?.dstToken || routeAnalysis.toToken?.address;
+        const amount = BigInt(decodedTx?.amount || routeAnalysis.amount || 0);
+        const blockNumber = await rpcCall(rpcUrl, 'eth_blockNumber', []);
+
+        // Fund the sender and pre-approve the router through state overrides
+        const { overrides, slots } = await this.buildOverrides(rpcUrl, blockNumber, {
+            from,
+            spender: tx.to,
+            srcToken,
+            amount,
+            value
+        });
+
+        const call = {
+            from,
+            to: tx.to,
+            data: tx.data,
+            value: toBeHex(value),
+            gas: toBeHex(CALL_GAS_LIMIT)
+        };
+
+        const result = {
+            engine: 'rpc',
+            rpcUrl: this.redactUrl(rpcUrl),
+            blockNumber: Number(blockNumber),
+            from,
+            to: tx.to,
+            reverted: false,
+            revertReason: null,
+            outputAmount: null,
+            spentAmount: null,
+            gasUsed: null,
+            balanceDeltas: [],
+            overrides: slots
+        };
+
+        let returnData;
+        try {
+            returnData = await rpcCall(rpcUrl, 'eth_call', [call, blockNumber, overrides]);
+        } catch (error) {
+            // A node that is down, slow or rate limiting says nothing about the swap; the simulation fails instead
+            if (!this.isRevert(error)) throw error;
+            result.reverted = true;
+            result.revertReason = this.decodeRevert(error.data) || error.message;
+            return result;
+        }
+
+        // Every router entry point returns the received amount first; swap/fillOrder also return the spent amount
+        const words = this.splitWords(returnData);
+        result.outputAmount = words[0] !== undefined ? words[0].toString() : null;
+        result.spentAmount = ['swap', 'fillOrder', 'fillOrderTo', 'fillOrderArgs', 'fillContractOrder', 'fillContractOrderArgs']
+            .includes(decodedTx?.function) && words[1] !== undefined ? words[1].toString() : amount.toString();
+
+        result.gasUsed = await this.estimateGas(rpcUrl, call, blockNumber, overrides);
+        result.balanceDeltas = await this.measureBalanceDeltas(rpcUrl, blockNumber, overrides, call, {
+            from,
+            recipient: decodedTx?.recipient || from,
+            srcToken,
+            dstToken,
+            value
+        }) || this.deriveBalanceDeltas(result, {
+            recipient: decodedTx?.recipient || from,
+            srcToken,
+            dstToken,
+            value
+        });
+
+        return result;
+    }
+
+    async buildOverrides(rpcUrl, blockNumber, { from, spender, srcToken, amount, value }) {
+        const overrides = {
+            [from]: { balance: toBeHex(value + GAS_BUFFER_WEI) }
+        };
+        const slots = { balanceSlot: null, allowanceSlot: null };
+
+        if (!srcToken || this.isNative(srcToken) || amount === 0n) {
+            return { overrides, slots };
+        }
+
+        const balanceSlot = await this.findBalanceSlot(rpcUrl, blockNumber, srcToken, from);
+        const allowanceSlot = await this.findAllowanceSlot(rpcUrl, blockNumber, srcToken, from, spender);
+        const stateDiff = {};
+
+        if (balanceSlot) {
+            stateDiff[balanceSlot.key] = toBeHex(amount, 32);
+            slots.balanceSlot = { slot: balanceSlot.slot, layout: balanceSlot.layout };
+        }
+        if (allowanceSlot) {
+            stateDiff[allowanceSlot.key] = toBeHex(amount, 32);
+            slots.allowanceSlot = { slot: allowanceSlot.slot, layout: allowanceSlot.layout };
+        }
+        if (Object.keys(stateDiff).length > 0) {
+            overrides[srcToken] = { stateDiff };
+        }
+
+        return { overrides, slots };
+    }
+
+    // Find the storage slot of balanceOf(holder) by overriding candidates until the token reports the probe value
+    async findBalanceSlot(rpcUrl, blockNumber, token, holder) {
+        const cacheKey = `balance:${rpcUrl}:${token.toLowerCase()}`;
+        const data = erc20.encodeFunctionData('balanceOf', [holder]);
+        const keyFor = (slot, layout) => this.mappingKey(holder, slot, layout);
+
+        return this.probeSlot(rpcUrl, blockNumber, token, data, keyFor, cacheKey);
+    }
+
+    async findAllowanceSlot(rpcUrl, blockNumber, token, owner, spender) {
+        const cacheKey = `allowance:${rpcUrl}:${token.toLowerCase()}`;
+        const data = erc20.encodeFunctionData('allowance', [owner, spender]);
+        const keyFor = (slot, layout) => this.mappingKey(spender, this.mappingKey(owner, slot, layout), layout);
+
+        return this.probeSlot(rpcUrl, blockNumber, token, data, keyFor, cacheKey);
+    }
+
+    // Every candidate key is overridden with its own probe value in a single eth_call; the value the
+    // token reports identifies the slot and layout. A revert means no candidate matched, but node
+    // errors and cancellation fail the simulation rather than running the swap without overrides.
+    async probeSlot(rpcUrl, blockNumber, token, data, keyFor, cacheKey) {
+        const cached = this.slotCache.get(cacheKey);
+        const candidates = cached ? [cached] : [];
+        if (!cached) {
+            for (let slot = 0; slot <= MAX_PROBED_SLOT; slot++) {
+                candidates.push({ slot, layout: 'solidity' }, { slot, layout: 'vyper' });
+            }
+        }
+
+        const keys = candidates.map(candidate => keyFor(candidate.slot, candidate.layout));
+        const stateDiff = Object.fromEntries(keys.map((key, index) => [key, toBeHex(PROBE_VALUE + BigInt(index), 32)]));
+
+        let result;
+        try {
+            result = await rpcCall(rpcUrl, 'eth_call', [{ to: token, data }, blockNumber, { [token]: { stateDiff } }]);
+        } catch (error) {
+            if (!this.isRevert(error)) throw error;
+            return null;
+        }
+
+        const index = result !== '0x' ? Number(BigInt(result) - PROBE_VALUE) : -1;
+        if (!(index >= 0 && index < candidates.length)) return null;
+
+        this.slotCache.set(cacheKey, candidates[index]);
+        return { ...candidates[index], key: keys[index] };
+    }
+
+    // Solidity hashes key then slot, Vyper hashes slot then key; nested mappings use the parent key as the slot
+    mappingKey(address, slot, layout) {
+        const slotValue = BigInt(slot);
+        const encoded = layout === 'solidity'
+            ? abiCoder.encode(['address', 'uint256'], [address, slotValue])
+            : abiCoder.encode(['uint256', 'address'], [slotValue, address]);
+        return keccak256(encoded);
+    }
+
+    async estimateGas(rpcUrl, call, blockNumber, overrides) {
+        try {
+            const { gas, ...request } = call;
+            const estimate = await rpcCall(rpcUrl, 'eth_estimateGas', [request, blockNumber, overrides]);
+            return Number(estimate);
+        } catch (error) {
+            console.error('Gas estimation failed:', error.message);
+            return null;
+        }
+    }
+
+    // Read balances before and after the swap in one simulated block when the node supports eth_simulateV1
+    async measureBalanceDeltas(rpcUrl, blockNumber, overrides, call, { from, recipient, srcToken, dstToken }) {
+        const tokens = [
+            { token: srcToken, holder: from },
+            { token: dstToken, holder: recipient }
+        ].filter(entry => entry.token && !this.isNative(entry.token));
+
+        if (tokens.length === 0) return null;
+
+        const balanceCalls = tokens.map(({ token, holder }) => ({
+            to: token,
+            data: erc20.encodeFunctionData('balanceOf', [holder])
+        }));
+        const { gas, ...swapCall } = call;
+
+        try {
+            const [block] = await rpcCall(rpcUrl, 'eth_simulateV1', [{
+                blockStateCalls: [{
+                    stateOverrides: overrides,
+                    calls: [...balanceCalls, swapCall, ...balanceCalls]
+                }],
+                validation: false
+            }, blockNumber]);
+
+            const results = block.calls;
+            const before = results.slice(0, tokens.length);
+            const after = results.slice(tokens.length + 1);
+            if (results[tokens.length].status !== '0x1') return null;
+
+            return tokens.map((entry, i) => ({
+                token: entry.token,
+                holder: entry.holder,
+                before: BigInt(before[i].returnData).toString(),
+                after: BigInt(after[i].returnData).toString(),
+                delta: (BigInt(after[i].returnData) - BigInt(before[i].returnData)).toString(),
+                source: 'measured'
+            }));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    deriveBalanceDeltas(result, { recipient, srcToken, dstToken, value }) {
+        const deltas = [];
+
+        if (srcToken && result.spentAmount !== null) {
+            deltas.push({
+                token: srcToken,
+                holder: result.from,
+                delta: (-BigInt(this.isNative(srcToken) ? value : result.spentAmount)).toString(),
+                source: 'returnData'
+            });
+        }
+        if (dstToken && result.outputAmount !== null) {
+            deltas.push({
+                token: dstToken,
+                holder: recipient,
+                delta: result.outputAmount,
+                source: 'returnData'
+            });
+        }
+
+        return deltas;
+    }
+
+    // Transport failures carry a category (UpstreamError); a revert is a JSON-RPC execution error
+    // (code 3, or "execution reverted" from nodes that use -32000) with the revert data when there is any
+    isRevert(error) {
+        if (error.category) return false;
+        if (typeof error.data === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(error.data)) return true;
+        return error.code === 3 || /execution reverted/i.test(error.message);
+    }
+
+    decodeRevert(data) {
+        if (typeof data !== 'string' || data.length < 10) return null;
+
+        const selector = data.slice(0, 10);
+        try {
+            if (selector === '0x08c379a0') {
+                return abiCoder.decode(['string'], '0x' + data.slice(10))[0];
+            }
+            if (selector === '0x4e487b71') {
+                const code = Number(abiCoder.decode(['uint256'], '0x' + data.slice(10))[0]);
+                return `Panic: ${PANIC_CODES[code] || `code 0x${code.toString(16)}`}`;
+            }
+        } catch (error) {
+            return `Undecodable revert data ${selector}`;
+        }
+
+        return KNOWN_ERRORS[selector] || `Custom error ${selector}`;
+    }
+
+    splitWords(returnData) {
+        if (!returnData || returnData === '0x') return [];
+
+        const hex = returnData.slice(2);
+        const words = [];
+        for (let i = 0; i + 64 <= hex.length; i += 64) {
+            words.push(BigInt('0x' + hex.slice(i, i + 64)));
+        }
+        return words;
+    }
+
+    isNative(token) {
+        return token.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase() || BigInt(token) === 0n;
+    }
+
+    // RPC URLs often embed provider API keys
+    redactUrl(rpcUrl) {
+        try {
+            const url = new URL(rpcUrl);
+            return url.pathname.length > 1 ? `${url.origin}/…` : url.origin;
+        } catch (error) {
+            return 'invalid-url';
+        }
+    }
+}
+
+const rpcSimulator = new RpcSimulator();
+module.exports = {
+    simulateTx: rpcSimulator.simulate.bind(rpcSimulator),
+    findBalanceSlot: rpcSimulator.findBalanceSlot.bind(rpcSimulator)
+};
@@ -1,81 +1,413 @@
-const axios = require('axios');
+const { getAddress, keccak256 } = require('ethers');
+const { getChain, getExplorerApiKeys, DEFAULT_CHAIN_ID, NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+const { getKnownContract, getAllowedTargets } = require('../config/knownContracts');
+const { analyzeBytecode } = require('./evmDisassembler');
+const { analyzeSource } = require('./sourceAnalyzer');
+const { fetchWithFixtures } = require('./fixtureStore');
+const { getRequestContext } = require('./requestContext');
+const { withCache, getCached, setCached } = require('./cache');
+const { httpRequest } = require('./httpClient');
+const { UpstreamError } = require('./errors');
+
+// Storage slots defined by the proxy standards
+const PROXY_SLOTS = {
+    eip1967Implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+    eip1967Admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+    eip1967Beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+    eip1822Proxiable: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7',
+    zeppelinosImplementation: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3',
+    zeppelinosAdmin: '0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b',
+    gnosisSafeMasterCopy: '0x0000000000000000000000000000000000000000000000000000000000000000'
+};
+
+// EIP-1167 minimal proxy runtime code, and its PUSH0 variant (EIP-7511)
+const MINIMAL_PROXY_PATTERNS = [
+    /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/,
+    /^0x365f5f375f5f365f73([0-9a-f]{40})5af43d5f5f3e5f3d91602a57fd5bf3$/
+];
+
+const SELECTORS = {
+    implementation: '0x5c60da1b', // implementation()
+    owner: '0x8da5cb5b', // owner()
+    masterCopy: '0xa619486e', // masterCopy(), checked by the Gnosis Safe proxy fallback
+    factory: '0xc45a0155' // factory(), on Uniswap V2/V3 style pools
+};
+
+const MAX_PROXY_DEPTH = 3;
+
+// Missing fixtures and failed explorer calls must fail the scan rather than read as an unverified or empty contract
+function isScanFailure(error) {
+    return error.code === 'FIXTURE_MISSING' || error instanceof UpstreamError;
+}
 
 class SecurityScanner {
-    constructor() {
-        this.etherscanApiKey = process.env.ETHERSCAN_API_KEY;
-        this.baseUrl = 'https://api.etherscan.io/api';
+    getExplorerConfig(chainId) {
+        const chain = getChain(chainId);
+        return {
+            name: `${chain.name} explorer`,
+            baseUrl: chain.explorer.apiUrl,
+            apiKeys: getExplorerApiKeys(chain.chainId)
+        };
     }
 
-    async scanRouterSecurity(routerAddress) {
+    // With routeAnalysis, every address in the decoded route is labelled from the known-contract registry
+    async scanRouterSecurity(routerAddress, chainId = DEFAULT_CHAIN_ID, routeAnalysis = null) {
+        const { dataSource } = getRequestContext();
+
+        if (dataSource === 'mock') {
+            return this.getSkippedSecurityReport(routerAddress, 'Security scan is not run in mock mode');
+        }
+
         try {
-            console.log(`🔒 Scanning router security for: ${routerAddress}`);
+            console.log(`🔒 Scanning router security for: ${routerAddress} (chain ${chainId})`);
             
             if (!routerAddress) {
                 return this.getDefaultSecurityReport();
             }
 
-            // Get contract source code
-            const sourceCode = await this.getContractSourceCode(routerAddress);
-            
-            // Get contract bytecode
-            const bytecode = await this.getContractBytecode(routerAddress);
-            
-            // Analyze contract security
-            const securityAnalysis = await this.analyzeContractSecurity(
-                routerAddress, 
-                sourceCode, 
-                bytecode
-            );
-            
-            return securityAnalysis;
+            // Reports are cached per address; only complete scans are stored
+            const report = await withCache('securityReport', `${Number(chainId)}:${routerAddress.toLowerCase()}`, async () => {
+                const report = await this.scanContract(routerAddress, chainId, 0);
+                return { dataSource, degraded: false, scannedAt: new Date().toISOString(), ...report };
+            }, { shouldCache: report => !report.degraded });
+            return await this.verifyRoute(report, routerAddress, chainId, routeAnalysis, true);
         } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
             console.error('Security scan failed:', error);
-            return this.getDefaultSecurityReport(error.message);
+            // The allowlist needs no lookups, so a failed scan still flags an unknown target
+            const report = this.getDefaultSecurityReport(error.message, error.code);
+            return routerAddress ? this.verifyRoute(report, routerAddress, chainId, routeAnalysis, false) : report;
         }
     }
 
-    async getContractSourceCode(address) {
-        try {
-            const response = await axios.get(this.baseUrl, {
-                params: {
-                    module: 'contract',
-                    action: 'getsourcecode',
-                    address: address,
-                    apikey: this.etherscanApiKey
+    // Checks tx.to against the chain's 1inch routers and pinned codehashes, and labels the route's
+    // addresses. An unlisted target, a codehash mismatch or a target without code is critical.
+    async verifyRoute(report, target, chainId, routeAnalysis, lookups) {
+        const targetVerification = await this.verifyTarget(target, chainId, lookups);
+        const routeAddresses = routeAnalysis ? await this.labelRouteAddresses(routeAnalysis, chainId, lookups) : [];
+
+        const findings = [];
+        const name = targetVerification.contract?.name;
+        if (!targetVerification.listed) {
+            findings.push(name
+                ? `Transaction target ${targetVerification.address} is ${name}, not a 1inch router`
+                : `Transaction target ${targetVerification.address} is not a known 1inch router`);
+        }
+        if (targetVerification.cloneOf) {
+            findings.push(`Transaction target runs the same bytecode as ${targetVerification.cloneOf} at another address`);
+        }
+        if (targetVerification.codehashStatus === 'no-code') {
+            findings.push(`No contract code at transaction target ${targetVerification.address}`);
+        }
+        for (const entry of [targetVerification, ...routeAddresses].filter(entry => entry.codehashStatus === 'mismatch')) {
+            findings.push(`Code at ${entry.address} does not match the pinned codehash`);
+        }
+
+        if (findings.length === 0) {
+            return { ...report, targetVerification, routeAddresses };
+        }
+        return {
+            ...report,
+            riskScore: 100,
+            riskLevel: this.getRiskLevel(100),
+            riskFactors: [...findings.map(finding => `Critical: ${finding}`), ...report.riskFactors],
+            recommendations: [
+                'Do not send this transaction: its target or code does not match the known 1inch contracts',
+                ...report.recommendations
+            ],
+            targetVerification,
+            routeAddresses
+        };
+    }
+
+    async verifyTarget(target, chainId, lookups) {
+        const known = getKnownContract(chainId, target);
+        const verification = {
+            address: getAddress(target),
+            listed: known?.kind === 'router',
+            contract: known ? { name: known.name, kind: known.kind } : null,
+            codehash: null,
+            expectedCodehash: known?.codehash ?? null,
+            codehashStatus: 'unchecked',
+            cloneOf: null
+        };
+        if (!lookups) return verification;
+
+        const { codehash, available } = await this.lookupCodehash(target, chainId);
+        verification.codehash = codehash;
+        verification.codehashStatus = this.codehashStatus(available, codehash, verification.expectedCodehash);
+
+        // A phishing router may be a verbatim copy of the real one deployed elsewhere
+        if (!verification.listed && codehash) {
+            for (const router of getAllowedTargets(chainId)) {
+                const expected = router.codehash ?? (await this.lookupCodehash(router.address, chainId)).codehash;
+                if (expected === codehash) {
+                    verification.cloneOf = `${router.name} (${router.address})`;
+                    break;
+                }
+            }
+        }
+        return verification;
+    }
+
+    // Routers, executors, pools, tokens and receivers from the decoded calldata, one entry per address
+    collectRouteAddresses(routeAnalysis) {
+        const decoded = routeAnalysis.decodedTx?.decoded ? routeAnalysis.decodedTx : {};
+        const amounts = routeAnalysis.amounts || {};
+        const entries = new Map();
+        const add = (role, address, details = {}) => {
+            if (!address || !/^0x[0-9a-fA-F]{40}$/.test(address)) return;
+            const key = address.toLowerCase();
+            const entry = entries.get(key) || { address: getAddress(address), roles: [] };
+            if (!entry.roles.includes(role)) entry.roles.push(role);
+            entries.set(key, { ...entry, ...details });
+        };
+
+        add('router', routeAnalysis.tx?.to);
+        add('executor', decoded.executor);
+        add('srcReceiver', decoded.srcReceiver);
+        for (const pool of decoded.pools || []) {
+            add('pool', pool.address, { protocol: pool.protocol });
+        }
+        add('fromToken', routeAnalysis.fromToken?.address || decoded.srcToken, { symbol: amounts.amount?.symbol || routeAnalysis.fromToken?.symbol || null });
+        add('toToken', routeAnalysis.toToken?.address || decoded.dstToken, { symbol: amounts.toAmount?.symbol || routeAnalysis.toToken?.symbol || null });
+        add('recipient', decoded.recipient);
+        return Array.from(entries.values());
+    }
+
+    async labelRouteAddresses(routeAnalysis, chainId, lookups) {
+        const fromAddress = routeAnalysis.fromAddress?.toLowerCase();
+        const labelled = [];
+
+        for (const entry of this.collectRouteAddresses(routeAnalysis)) {
+            const { symbol, ...rest } = entry;
+            const known = getKnownContract(chainId, entry.address);
+            const label = { ...rest, label: null, kind: null, source: null, known: false, codehashStatus: 'unchecked' };
+
+            if (known) {
+                Object.assign(label, { label: known.name, kind: known.kind, source: 'registry', known: true });
+                // Only pinned entries are worth a bytecode lookup here; tx.to is checked in verifyTarget
+                if (lookups && known.codehash && !entry.roles.includes('router')) {
+                    const { codehash, available } = await this.lookupCodehash(entry.address, chainId);
+                    label.codehashStatus = this.codehashStatus(available, codehash, known.codehash);
+                }
+            } else if (entry.address.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()) {
+                Object.assign(label, { label: 'Native token', kind: 'token', source: 'chain', known: true });
+            } else if (entry.address.toLowerCase() === fromAddress) {
+                Object.assign(label, { label: 'fromAddress', kind: 'account', source: 'request' });
+            } else if (entry.roles.includes('pool') && lookups) {
+                const factory = await this.lookupPoolFactory(entry.address, chainId);
+                if (factory) {
+                    Object.assign(label, { label: `${factory.name} pool`, kind: 'pool', source: 'factory', known: true, factory: factory.address });
                 }
+            } else if (symbol) {
+                Object.assign(label, { label: symbol, kind: 'token', source: 'route' });
+            }
+            labelled.push(label);
+        }
+        return labelled;
+    }
+
+    // A pool whose factory() is a listed factory was deployed by it
+    async lookupPoolFactory(pool, chainId) {
+        try {
+            const factory = await withCache('poolFactory', `${Number(chainId)}:${pool.toLowerCase()}`, async () => (
+                this.wordToAddress(await this.callContract(pool, SELECTORS.factory, chainId))
+            ), { shouldCache: factory => factory !== null });
+            const known = getKnownContract(chainId, factory);
+            return known?.kind === 'factory' ? known : null;
+        } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
+            console.error(`Pool factory lookup failed for ${pool}:`, error.message);
+            return null;
+        }
+    }
+
+    // available is false when the bytecode could not be fetched; codehash is null for an address without code
+    async lookupCodehash(address, chainId) {
+        try {
+            const bytecode = await this.getContractBytecode(address, chainId);
+            return { available: typeof bytecode === 'string', codehash: this.codehash(bytecode) };
+        } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
+            console.error(`Codehash lookup failed for ${address}:`, error.message);
+            return { available: false, codehash: null };
+        }
+    }
+
+    codehashStatus(available, codehash, expected) {
+        if (!available) return 'unavailable';
+        if (!codehash) return 'no-code';
+        if (!expected) return 'unpinned';
+        return codehash === expected ? 'match' : 'mismatch';
+    }
+
+    // Explorer responses are recorded and replayed by their query parameters, minus the API key
+    async explorerRequest(operation, params, chainId) {
+        const { name, baseUrl, apiKeys } = this.getExplorerConfig(chainId);
+        return fetchWithFixtures('explorer', operation, { chainId: Number(chainId), ...params }, async () => {
+            const response = await httpRequest({ method: 'GET', url: baseUrl, params }, {
+                service: name,
+                operation,
+                keys: apiKeys,
+                applyKey: (config, apikey) => ({ ...config, params: { ...config.params, apikey } }),
+                checkResponse: this.checkExplorerResponse
             });
+            return response.data;
+        });
+    }
+
+    // Explorers answer rate limit and API key errors with HTTP 200 and status '0'
+    checkExplorerResponse(response) {
+        const { status, result } = response.data || {};
+        if (status !== '0' || typeof result !== 'string') return null;
+        if (/rate limit|max calls/i.test(result)) return 'rateLimit';
+        if (/api key/i.test(result)) return 'auth';
+        return null;
+    }
+
+    async scanContract(address, chainId, depth) {
+        // Get contract source code
+        const sourceCode = await this.getContractSourceCode(address, chainId);
+        
+        // Get contract bytecode
+        const bytecode = await this.getContractBytecode(address, chainId);
+        
+        // Analyze contract security
+        const securityAnalysis = await this.analyzeContractSecurity(
+            address, 
+            sourceCode, 
+            bytecode,
+            chainId
+        );
+        securityAnalysis.chainId = Number(chainId);
+
+        // Proxies are only as safe as the code they delegate to
+        const implementation = securityAnalysis.securityChecks.proxy.implementation;
+        if (implementation && depth < MAX_PROXY_DEPTH) {
+            console.log(`🔒 Scanning proxy implementation: ${implementation}`);
+            const implementationAnalysis = await this.scanContract(implementation, chainId, depth + 1);
+            securityAnalysis.implementationAnalysis = implementationAnalysis;
+            securityAnalysis.riskScore = Math.min(100, securityAnalysis.riskScore + implementationAnalysis.riskScore);
+            securityAnalysis.riskFactors.push(...implementationAnalysis.riskFactors.map(f => `Implementation: ${f}`));
+            securityAnalysis.riskLevel = this.getRiskLevel(securityAnalysis.riskScore);
+        }
+        
+        return securityAnalysis;
+    }
+
+    // Verified source never changes for a given codehash, so it is cached without expiry;
+    // unverified results expire because the contract may be verified later
+    async getContractSourceCode(address, chainId = DEFAULT_CHAIN_ID) {
+        try {
+            const bytecode = await this.getContractBytecode(address, chainId);
+            const codehash = this.codehash(bytecode);
+            const unverifiedKey = `${Number(chainId)}:${address.toLowerCase()}`;
+
+            if (codehash) {
+                const cached = await getCached('sourceCode', codehash);
+                if (cached) return cached;
+                if (await getCached('unverifiedSource', unverifiedKey)) return null;
+            }
+
+            const data = await this.explorerRequest('getsourcecode', {
+                module: 'contract',
+                action: 'getsourcecode',
+                address: address
+            }, chainId);
 
-            const data = response.data;
             if (data.status === '1' && data.result && data.result.length > 0) {
-                return data.result[0];
+                const source = data.result[0];
+                if (codehash) {
+                    if (source.SourceCode) {
+                        await setCached('sourceCode', codehash, source);
+                    } else {
+                        await setCached('unverifiedSource', unverifiedKey, true);
+                    }
+                }
+                return source;
             }
             
             return null;
         } catch (error) {
+            if (isScanFailure(error)) throw error;
             console.error('Failed to get source code:', error);
             return null;
         }
     }
 
-    async getContractBytecode(address) {
+    // Bytecode is stored by codehash; the address -> codehash link expires in case the code is replaced
+    async getContractBytecode(address, chainId = DEFAULT_CHAIN_ID) {
         try {
-            const response = await axios.get(this.baseUrl, {
-                params: {
-                    module: 'proxy',
-                    action: 'eth_getCode',
-                    address: address,
-                    apikey: this.etherscanApiKey
-                }
-            });
+            const addressKey = `${Number(chainId)}:${address.toLowerCase()}`;
+            const cachedHash = await getCached('codehash', addressKey);
+            if (cachedHash) {
+                const cached = await getCached('bytecode', cachedHash);
+                if (cached) return cached;
+            }
 
-            return response.data.result;
+            const data = await this.explorerRequest('eth_getCode', {
+                module: 'proxy',
+                action: 'eth_getCode',
+                address: address,
+                tag: 'latest'
+            }, chainId);
+
+            const codehash = this.codehash(data.result);
+            if (codehash) {
+                await setCached('bytecode', codehash, data.result);
+                await setCached('codehash', addressKey, codehash);
+            }
+            return data.result;
         } catch (error) {
+            if (isScanFailure(error)) throw error;
             console.error('Failed to get bytecode:', error);
             return null;
         }
     }
 
-    async analyzeContractSecurity(address, sourceCode, bytecode) {
+    codehash(bytecode) {
+        if (typeof bytecode !== 'string' || !/^0x([0-9a-fA-F]{2})+$/.test(bytecode)) return null;
+        return keccak256(bytecode);
+    }
+
+    async getStorageAt(address, slot, chainId = DEFAULT_CHAIN_ID) {
+        try {
+            const data = await this.explorerRequest('eth_getStorageAt', {
+                module: 'proxy',
+                action: 'eth_getStorageAt',
+                address: address,
+                position: slot,
+                tag: 'latest'
+            }, chainId);
+
+            return data.result;
+        } catch (error) {
+            if (isScanFailure(error)) throw error;
+            console.error('Failed to read storage:', error);
+            return null;
+        }
+    }
+
+    async callContract(address, data, chainId = DEFAULT_CHAIN_ID) {
+        try {
+            const response = await this.explorerRequest('eth_call', {
+                module: 'proxy',
+                action: 'eth_call',
+                to: address,
+                data: data,
+                tag: 'latest'
+            }, chainId);
+
+            return response.result;
+        } catch (error) {
+            if (isScanFailure(error)) throw error;
+            console.error('Failed to call contract:', error);
+            return null;
+        }
+    }
+
+    async analyzeContractSecurity(address, sourceCode, bytecode, chainId = DEFAULT_CHAIN_ID) {
         const analysis = {
             address: address,
             isVerified: false,
@@ -97,48 +429,71 @@ class SecurityScanner {
         }
 
         // Check for proxy patterns
-        const proxyPatterns = this.detectProxyPatterns(sourceCode, bytecode);
+        const proxyPatterns = await this.detectProxyPatterns(address, bytecode, chainId);
         analysis.isProxy = proxyPatterns.isProxy;
         analysis.securityChecks.proxy = proxyPatterns;
 
         if (proxyPatterns.isProxy) {
             analysis.riskScore += 10;
-            analysis.riskFactors.push('Contract uses proxy pattern');
+            analysis.riskFactors.push(`Contract uses ${proxyPatterns.pattern} proxy pattern`);
             analysis.recommendations.push('Verify proxy implementation and admin controls');
+
+            if (proxyPatterns.upgradeable && proxyPatterns.adminType === 'EOA') {
+                analysis.riskScore += 20;
+                analysis.riskFactors.push('Upgradeable by an externally owned account');
+                analysis.recommendations.push(`A single key (${proxyPatterns.admin}) can replace the implementation`);
+            }
         }
 
-        // Analyze dangerous opcodes
-        const dangerousOpcodes = this.analyzeDangerousOpcodes(bytecode);
+        // Disassemble bytecode for dangerous opcodes and the dispatch table
+        const bytecodeAnalysis = this.analyzeDangerousOpcodes(bytecode);
+        const dangerousOpcodes = bytecodeAnalysis.dangerousOpcodes;
         analysis.securityChecks.dangerousOpcodes = dangerousOpcodes;
-
-        if (dangerousOpcodes.length > 0) {
-            analysis.riskScore += dangerousOpcodes.length * 15;
-            analysis.riskFactors.push(`Contains ${dangerousOpcodes.length} dangerous opcodes`);
-            analysis.recommendations.push('Review dangerous opcodes: ' + dangerousOpcodes.join(', '));
+        analysis.securityChecks.bytecode = bytecodeAnalysis;
+
+        // Proxies delegatecall by design; their implementation is scanned separately
+        const flaggedOpcodes = proxyPatterns.isProxy
+            ? dangerousOpcodes.filter(opcode => opcode !== 'DELEGATECALL')
+            : dangerousOpcodes;
+
+        if (flaggedOpcodes.length > 0) {
+            analysis.riskScore += flaggedOpcodes.length * 15;
+            analysis.riskFactors.push(`Contains ${flaggedOpcodes.length} dangerous opcodes`);
+            analysis.recommendations.push('Review dangerous opcodes: ' + flaggedOpcodes
+                .map(opcode => `${opcode} (${bytecodeAnalysis.opcodeCounts[opcode]}x)`)
+                .join(', '));
         }
 
         // Check for delegatecall usage
-        if (dangerousOpcodes.includes('delegatecall')) {
+        if (flaggedOpcodes.includes('DELEGATECALL') || flaggedOpcodes.includes('CALLCODE')) {
             analysis.riskScore += 25;
             analysis.riskFactors.push('Uses delegatecall - high risk');
             analysis.recommendations.push('Delegatecall allows arbitrary code execution - extreme caution required');
         }
 
         // Check for selfdestruct usage
-        if (dangerousOpcodes.includes('selfdestruct')) {
+        if (flaggedOpcodes.includes('SELFDESTRUCT')) {
             analysis.riskScore += 30;
             analysis.riskFactors.push('Contains selfdestruct - critical risk');
             analysis.recommendations.push('Selfdestruct can destroy contract and funds - avoid');
         }
 
-        // Analyze source code for security issues
+        // Parse the verified source for access control, privileged functions and located findings
         if (sourceCode && sourceCode.SourceCode) {
-            const sourceAnalysis = this.analyzeSourceCode(sourceCode.SourceCode);
+            const sourceAnalysis = this.analyzeSourceCode(sourceCode);
             analysis.securityChecks.sourceCode = sourceAnalysis;
             
             if (sourceAnalysis.issues.length > 0) {
-                analysis.riskScore += sourceAnalysis.issues.length * 5;
+                analysis.riskScore += sourceAnalysis.riskScore;
                 analysis.riskFactors.push(`Source code has ${sourceAnalysis.issues.length} potential issues`);
+                for (const finding of sourceAnalysis.findings.filter(entry => entry.severity === 'high')) {
+                    analysis.riskFactors.push(`${finding.title} (${finding.file}:${finding.line})`);
+                }
+            }
+            if (sourceAnalysis.privilegedFunctions.length > 0) {
+                analysis.recommendations.push('Review privileged functions: ' + sourceAnalysis.privilegedFunctions
+                    .map(fn => `${fn.name}() (${fn.accessControl.join(', ') || 'unrestricted'})`)
+                    .join(', '));
             }
         }
 
@@ -148,89 +503,124 @@ class SecurityScanner {
         return analysis;
     }
 
-    detectProxyPatterns(sourceCode, bytecode) {
+    async detectProxyPatterns(address, bytecode, chainId = DEFAULT_CHAIN_ID) {
         const patterns = {
             isProxy: false,
             pattern: null,
+            upgradeable: false,
             implementation: null,
-            admin: null
+            admin: null,
+            adminType: null,
+            beacon: null
         };
 
-        if (!sourceCode || !sourceCode.SourceCode) {
+        if (!bytecode || bytecode === '0x') {
             return patterns;
         }
 
-        const source = sourceCode.SourceCode.toLowerCase();
-        
-        // Check for EIP-1967 proxy pattern
-        if (source.includes('eip1967') || source.includes('_implementation') || source.includes('_admin')) {
+        // EIP-1167 clones hardcode their implementation and cannot be upgraded
+        const code = bytecode.toLowerCase();
+        for (const minimalProxy of MINIMAL_PROXY_PATTERNS) {
+            const match = code.match(minimalProxy);
+            if (match) {
+                return { ...patterns, isProxy: true, pattern: 'EIP-1167', implementation: getAddress('0x' + match[1]) };
+            }
+        }
+
+        const eip1967Implementation = await this.readAddressSlot(address, PROXY_SLOTS.eip1967Implementation, chainId);
+        const eip1967Beacon = await this.readAddressSlot(address, PROXY_SLOTS.eip1967Beacon, chainId);
+
+        if (eip1967Implementation) {
             patterns.isProxy = true;
             patterns.pattern = 'EIP-1967';
-        }
-        
-        // Check for OpenZeppelin TransparentUpgradeableProxy
-        if (source.includes('transparentupgradeableproxy') || source.includes('transparentproxy')) {
+            patterns.implementation = eip1967Implementation;
+            patterns.admin = await this.readAddressSlot(address, PROXY_SLOTS.eip1967Admin, chainId);
+            // Transparent proxies keep an admin slot; UUPS proxies delegate upgrades to the implementation
+            patterns.variant = patterns.admin ? 'transparent' : 'uups';
+        } else if (eip1967Beacon) {
             patterns.isProxy = true;
-            patterns.pattern = 'TransparentUpgradeableProxy';
+            patterns.pattern = 'EIP-1967 Beacon';
+            patterns.beacon = eip1967Beacon;
+            patterns.implementation = this.wordToAddress(await this.callContract(eip1967Beacon, SELECTORS.implementation, chainId));
+            patterns.admin = this.wordToAddress(await this.callContract(eip1967Beacon, SELECTORS.owner, chainId));
+        } else {
+            const eip1822Implementation = await this.readAddressSlot(address, PROXY_SLOTS.eip1822Proxiable, chainId);
+            const zeppelinosImplementation = eip1822Implementation
+                ? null
+                : await this.readAddressSlot(address, PROXY_SLOTS.zeppelinosImplementation, chainId);
+
+            if (eip1822Implementation) {
+                patterns.isProxy = true;
+                patterns.pattern = 'EIP-1822';
+                patterns.implementation = eip1822Implementation;
+            } else if (zeppelinosImplementation) {
+                patterns.isProxy = true;
+                patterns.pattern = 'ZeppelinOS';
+                patterns.implementation = zeppelinosImplementation;
+                patterns.admin = await this.readAddressSlot(address, PROXY_SLOTS.zeppelinosAdmin, chainId);
+            } else if (code.includes('7f' + SELECTORS.masterCopy.slice(2) + '0'.repeat(56))) {
+                // Safe proxies push masterCopy() as a right-padded PUSH32 and answer it from storage slot 0
+                const masterCopy = await this.readAddressSlot(address, PROXY_SLOTS.gnosisSafeMasterCopy, chainId);
+                if (masterCopy) {
+                    patterns.isProxy = true;
+                    patterns.pattern = 'Gnosis Safe';
+                    patterns.implementation = masterCopy;
+                }
+            }
         }
-        
-        // Check for UUPS proxy
-        if (source.includes('uups') || source.includes('upgradeable')) {
-            patterns.isProxy = true;
-            patterns.pattern = 'UUPS';
+
+        if (!patterns.isProxy) {
+            return patterns;
         }
 
-        return patterns;
-    }
+        // Without a dedicated admin slot, upgrades are gated by the implementation's owner()
+        if (!patterns.admin && patterns.pattern !== 'Gnosis Safe') {
+            patterns.admin = this.wordToAddress(await this.callContract(address, SELECTORS.owner, chainId));
+        }
 
-    analyzeDangerousOpcodes(bytecode) {
-        if (!bytecode) return [];
+        patterns.upgradeable = patterns.pattern !== 'Gnosis Safe';
+        if (patterns.admin) {
+            const adminCode = await this.getContractBytecode(patterns.admin, chainId);
+            patterns.adminType = adminCode && adminCode !== '0x' ? 'contract' : 'EOA';
+        }
 
-        const dangerousOpcodes = [
-            'delegatecall', 'callcode', 'selfdestruct', 'suicide',
-            'create', 'create2', 'staticcall'
-        ];
+        return patterns;
+    }
 
-        const found = [];
-        const bytecodeLower = bytecode.toLowerCase();
+    async readAddressSlot(address, slot, chainId) {
+        return this.wordToAddress(await this.getStorageAt(address, slot, chainId));
+    }
 
-        dangerousOpcodes.forEach(opcode => {
-            if (bytecodeLower.includes(opcode)) {
-                found.push(opcode);
-            }
-        });
+    wordToAddress(word) {
+        if (typeof word !== 'string' || !/^0x[0-9a-fA-F]{1,64}$/.test(word)) return null;
 
-        return found;
+        const value = BigInt(word) & ((1n << 160n) - 1n);
+        if (value === 0n) return null;
+        return getAddress('0x' + value.toString(16).padStart(40, '0'));
     }
 
-    analyzeSourceCode(sourceCode) {
-        const analysis = {
-            issues: [],
-            functions: [],
-            modifiers: []
+    analyzeDangerousOpcodes(bytecode) {
+        const empty = {
+            codeSize: 0,
+            metadataLength: 0,
+            instructionCount: 0,
+            opcodeCounts: {},
+            dangerousOpcodes: [],
+            functionSelectors: []
         };
+        if (!bytecode || bytecode === '0x') return empty;
 
-        const source = sourceCode.toLowerCase();
-
-        // Check for common security issues
-        const securityIssues = [
-            { pattern: 'reentrancy', description: 'Potential reentrancy vulnerability' },
-            { pattern: 'unchecked', description: 'Unchecked arithmetic operations' },
-            { pattern: 'delegatecall', description: 'Dangerous delegatecall usage' },
-            { pattern: 'selfdestruct', description: 'Selfdestruct function present' },
-            { pattern: 'suicide', description: 'Suicide function present' },
-            { pattern: 'tx.origin', description: 'Using tx.origin instead of msg.sender' },
-            { pattern: 'block.timestamp', description: 'Using block.timestamp for randomness' },
-            { pattern: 'block.number', description: 'Using block.number for randomness' }
-        ];
-
-        securityIssues.forEach(issue => {
-            if (source.includes(issue.pattern)) {
-                analysis.issues.push(issue.description);
-            }
-        });
+        try {
+            return analyzeBytecode(bytecode);
+        } catch (error) {
+            console.error('Bytecode disassembly failed:', error.message);
+            return { ...empty, error: error.message };
+        }
+    }
 
-        return analysis;
+    // sourceCode is the explorer's getsourcecode record (SourceCode, ContractName, CompilerVersion)
+    analyzeSourceCode(sourceCode) {
+        return analyzeSource(sourceCode);
     }
 
     getRiskLevel(riskScore) {
@@ -241,8 +631,23 @@ class SecurityScanner {
         return 'SAFE';
     }
 
-    getDefaultSecurityReport(error = null) {
+    getSkippedSecurityReport(address, reason) {
+        return {
+            dataSource: 'mock',
+            degraded: true,
+            skipped: true,
+            reason,
+            address: address || 'Unknown',
+            riskScore: null,
+            riskLevel: null,
+            riskFactors: []
+        };
+    }
+
+    getDefaultSecurityReport(error = null, errorCode = null) {
         return {
+            dataSource: getRequestContext().dataSource,
+            degraded: true,
             address: 'Unknown',
             isVerified: false,
             isProxy: false,
@@ -251,7 +656,7 @@ class SecurityScanner {
             riskFactors: ['Unable to analyze contract'],
             securityChecks: {
                 verified: false,
-                proxy: { isProxy: false, pattern: null },
+                proxy: { isProxy: false, pattern: null, implementation: null, admin: null },
                 dangerousOpcodes: [],
                 sourceCode: { issues: [] }
             },
@@ -260,10 +665,17 @@ class SecurityScanner {
                 'Consider manual review of contract',
                 'Verify contract address is correct'
             ],
-            error: error
+            error: error,
+            errorCode: errorCode
         };
     }
 }
 
 const securityScanner = new SecurityScanner();
-module.exports = { scanRouterSecurity: securityScanner.scanRouterSecurity.bind(securityScanner) }; 
\ No newline at end of file
+module.exports = {
+    scanRouterSecurity: securityScanner.scanRouterSecurity.bind(securityScanner),
+    getContractSourceCode: securityScanner.getContractSourceCode.bind(securityScanner),
+    getContractBytecode: securityScanner.getContractBytecode.bind(securityScanner),
+    detectProxyPatterns: securityScanner.detectProxyPatterns.bind(securityScanner),
+    getRiskLevel: securityScanner.getRiskLevel.bind(securityScanner)
+};
@@ -1,50 +1,149 @@
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
+const { simulateTx } = require('./rpcSimulator');
+const { analyzeRoutePools } = require('./poolAnalyzer');
+const { getRequestContext, emitProgress, throwIfCancelled } = require('./requestContext');
+const { SimulationError } = require('./errors');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 class SimulationService {
     constructor() {
         this.foundryPath = path.join(__dirname, '../../foundry');
+        // 'rpc' executes the route's calldata against a JSON-RPC node; 'foundry' runs the legacy forge test
+        this.engine = process.env.SIMULATION_ENGINE || 'rpc';
     }
 
     async simulateSwap(routeAnalysis) {
+        // Simulating placeholder calldata would only produce fabricated numbers
+        if (getRequestContext().dataSource === 'mock') {
+            return {
+                dataSource: 'mock',
+                degraded: true,
+                skipped: true,
+                success: false,
+                reason: 'Simulation is not run against mock route data',
+                chainId: routeAnalysis.chainId
+            };
+        }
+
         try {
             console.log('🔍 Starting swap simulation...');
+            emitProgress('simulation.started', { engine: this.engine, chainId: routeAnalysis.chainId });
+
+            const simulationResult = this.engine === 'foundry'
+                ? await this.runFoundrySimulation(routeAnalysis)
+                : await this.runRpcSimulation(routeAnalysis);
+
+            // Per-hop numbers come from pool state, never from splitting the aggregate result
+            const poolAnalysis = await analyzeRoutePools(routeAnalysis, simulationResult.execution);
             
-            // Use existing SimulateSwap contract instead of creating dynamic one
-            const simulationResult = await this.runFoundrySimulation(routeAnalysis);
-            
+            // Execution and pool state always come from the RPC node, even for a replayed route
             return {
-                success: true,
-                perHopSlippage: simulationResult.perHopSlippage,
+                dataSource: 'live',
+                // The legacy forge test does not execute this route's calldata
+                degraded: this.engine === 'foundry' || !poolAnalysis.available,
+                // Without an execution (the forge engine) nothing says whether this route's calldata succeeds
+                success: simulationResult.execution ? !simulationResult.execution.reverted : null,
+                engine: this.engine,
+                chainId: routeAnalysis.chainId,
+                gasModel: routeAnalysis.chain?.gasModel,
+                execution: simulationResult.execution,
+                perHopSlippage: this.toPerHopSlippage(poolAnalysis),
+                priceImpact: this.summarizePriceImpact(poolAnalysis),
+                quoteDeviation: poolAnalysis.quoteDeviation,
                 gasEstimates: simulationResult.gasEstimates,
                 totalSlippage: simulationResult.totalSlippage,
+                totalGas: simulationResult.totalGas,
                 simulationDetails: simulationResult.details
             };
         } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
             console.error('Simulation failed:', error);
             return {
+                dataSource: 'live',
+                degraded: true,
                 success: false,
+                chainId: routeAnalysis.chainId,
+                gasModel: routeAnalysis.chain?.gasModel,
                 error: error.message,
-                fallbackAnalysis: this.fallbackSlippageAnalysis(routeAnalysis)
+                // Upstream codes (RPC node down, rate limited) stay distinguishable from a failed simulation
+                errorCode: error.category ? error.code : 'SIMULATION_FAILED',
+                fallbackAnalysis: await this.fallbackSlippageAnalysis(routeAnalysis)
             };
         }
     }
 
+    toPerHopSlippage(poolAnalysis) {
+        return poolAnalysis.hops.map((hop, index) => ({
+            hop: index,
+            route: hop.route,
+            path: hop.path,
+            fromToken: hop.fromToken || null,
+            toToken: hop.toToken || null,
+            dex: hop.fills.map(fill => fill.dex).join('+'),
+            slippage: hop.priceImpactBps,
+            priceImpactBps: hop.priceImpactBps,
+            midPrice: hop.midPrice,
+            executionPrice: hop.executionPrice,
+            amountIn: hop.amountIn,
+            amountOut: hop.amountOut,
+            resolved: hop.resolved,
+            reason: hop.reason,
+            fills: hop.fills
+        }));
+    }
+
+    summarizePriceImpact(poolAnalysis) {
+        return {
+            available: poolAnalysis.available,
+            blockNumber: poolAnalysis.blockNumber ?? null,
+            totalPriceImpactBps: poolAnalysis.totalPriceImpactBps,
+            error: poolAnalysis.error
+        };
+    }
+
+    async runRpcSimulation(routeAnalysis) {
+        const execution = await simulateTx(routeAnalysis);
+        const quoted = routeAnalysis.toAmount ? BigInt(routeAnalysis.toAmount) : null;
+
+        // Slippage of the executed output against the quoted amount, in basis points
+        let totalSlippage = null;
+        if (execution.outputAmount !== null && quoted) {
+            totalSlippage = Number((quoted - BigInt(execution.outputAmount)) * 10000n / quoted);
+        }
+
+        return {
+            execution,
+            gasEstimates: this.estimateHopGas(routeAnalysis),
+            totalSlippage,
+            totalGas: execution.gasUsed,
+            details: {
+                rpcUrl: execution.rpcUrl,
+                blockNumber: execution.blockNumber
+            }
+        };
+    }
+
     async runFoundrySimulation(routeAnalysis) {
         try {
-            const command = `cd ${this.foundryPath} && forge test --match-test testSimulateSwap -vv`;
-            const { stdout, stderr } = await execAsync(command, { timeout: 30000 });
+            // forge runs without a shell so cancelling the analysis kills it directly
+            const args = ['test', '--match-test', 'testSimulateSwap', '-vv'];
+            const command = `forge ${args.join(' ')}`;
+            const { stdout, stderr } = await execFileAsync('forge', args, {
+                cwd: this.foundryPath,
+                timeout: 30000,
+                signal: getRequestContext().signal
+            });
             
             // Parse Foundry output
             const simulationResult = this.parseFoundryOutput(stdout);
             
             return {
-                perHopSlippage: simulationResult.perHopSlippage,
                 gasEstimates: simulationResult.gasEstimates,
                 totalSlippage: simulationResult.totalSlippage,
+                totalGas: simulationResult.totalGas,
                 details: {
                     stdout: stdout,
                     stderr: stderr,
@@ -52,8 +151,9 @@ class SimulationService {
                 }
             };
         } catch (error) {
+            throwIfCancelled();
             console.error('Foundry simulation error:', error);
-            throw new Error(`Simulation failed: ${error.message}`);
+            throw new SimulationError(`Simulation failed: ${error.message}`, { cause: error });
         }
     }
 
@@ -67,19 +167,12 @@ class SimulationService {
         
         // Extract per-hop information
         const hopMatches = output.matchAll(/Hop (\d+): ([^\n]+)/g);
-        const perHopSlippage = [];
         const gasEstimates = [];
         
         for (const match of hopMatches) {
             const hopIndex = parseInt(match[1]);
             const dexName = match[2];
             
-            perHopSlippage.push({
-                hop: hopIndex,
-                dex: dexName,
-                slippage: slippage / (hopIndex + 1) // Distribute slippage across hops
-            });
-            
             gasEstimates.push({
                 hop: hopIndex,
                 dex: dexName,
@@ -88,7 +181,6 @@ class SimulationService {
         }
         
         return {
-            perHopSlippage,
             gasEstimates,
             totalSlippage: slippage,
             totalGas: gasUsed
@@ -165,31 +257,67 @@ class SimulationService {
         return gasEstimates.default;
     }
 
-    fallbackSlippageAnalysis(routeAnalysis) {
-        // Fallback analysis when simulation fails
-        const { routeBreakdown } = routeAnalysis;
-        const protocols = routeBreakdown.protocols || [];
-        
-        const perHopSlippage = protocols.map((protocol, index) => ({
-            hop: index,
-            dex: protocol.dex,
-            slippage: Math.random() * 50 + 10, // Random slippage 10-60 bps
-            estimated: true
-        }));
-        
-        const gasEstimates = protocols.map((protocol, index) => ({
-            hop: index,
-            dex: protocol.dex,
-            gas: this.estimateGasForDex(protocol.dex)
-        }));
+    async fallbackSlippageAnalysis(routeAnalysis) {
+        // Fallback analysis when simulation fails: pool state only, no execution
+        let poolAnalysis;
+        try {
+            poolAnalysis = await analyzeRoutePools(routeAnalysis, null);
+        } catch (error) {
+            console.error('Pool analysis failed:', error);
+            poolAnalysis = null;
+        }
+
+        const perHopSlippage = poolAnalysis
+            ? this.toPerHopSlippage(poolAnalysis)
+            : this.getRouteHops(routeAnalysis.routeBreakdown).map((hop, index) => ({
+                hop: index,
+                route: hop.route,
+                path: hop.path,
+                dex: hop.dexes.join('+'),
+                slippage: null,
+                resolved: false,
+                reason: 'Pool analysis unavailable'
+            }));
         
         return {
             perHopSlippage,
-            gasEstimates,
-            totalSlippage: perHopSlippage.reduce((sum, hop) => sum + hop.slippage, 0),
+            gasEstimates: this.estimateHopGas(routeAnalysis),
+            priceImpact: poolAnalysis ? this.summarizePriceImpact(poolAnalysis) : null,
+            quoteDeviation: poolAnalysis ? poolAnalysis.quoteDeviation : null,
+            totalSlippage: poolAnalysis ? poolAnalysis.totalPriceImpactBps : null,
             fallback: true
         };
     }
+
+    estimateHopGas(routeAnalysis) {
+        return this.getRouteHops(routeAnalysis.routeBreakdown).map((hop, index) => ({
+            hop: index,
+            route: hop.route,
+            path: hop.path,
+            dex: hop.dexes.join('+'),
+            // Every DEX fill in a hop is a separate pool swap
+            gas: hop.dexes.reduce((sum, dex) => sum + this.estimateGasForDex(dex), 0)
+        }));
+    }
+
+    getRouteHops(routeBreakdown) {
+        const label = token => token ? (token.symbol || token.address) : '?';
+
+        if (routeBreakdown.hops) {
+            return routeBreakdown.hops.map(hop => ({
+                route: hop.route,
+                path: `${label(hop.fromToken)}→${label(hop.toToken)}`,
+                dexes: hop.dexes
+            }));
+        }
+
+        // Older flat breakdowns carry one entry per DEX without token paths
+        return (routeBreakdown.protocols || []).map(protocol => ({
+            route: 0,
+            path: null,
+            dexes: [protocol.dex]
+        }));
+    }
 }
 
 const simulationService = new SimulationService();
@@ -0,0 +1,403 @@
+const parser = require('@solidity-parser/parser');
+
+// Risk points per finding severity; a contract's source adds at most MAX_SOURCE_RISK
+const SEVERITY_SCORES = { high: 15, medium: 5, low: 2, info: 0 };
+const MAX_SOURCE_RISK = 40;
+
+// Externally callable functions that hand a role holder control over users' funds or the contract,
+// by name. Restricted ones are reported at the listed severity; unprotected ones are high severity
+// unless the name is also common for user-facing functions (mint on vaults and pools).
+const PRIVILEGED_FUNCTIONS = [
+    { category: 'upgrade', severity: 'medium', flagUnprotected: true, pattern: /^(upgradeTo|upgradeToAndCall|upgrade|setImplementation|changeImplementation)$/i },
+    { category: 'pause', severity: 'low', flagUnprotected: true, pattern: /^(pause|unpause|setPaused|togglePause|emergencyPause|freeze|unfreeze)$/i },
+    { category: 'sweep', severity: 'medium', flagUnprotected: true, pattern: /^(sweep\w*|rescue\w*|recover(ERC20|Tokens?|Funds|ETH)\w*|emergencyWithdraw\w*|withdrawStuck\w*)$/i },
+    { category: 'fee', severity: 'low', flagUnprotected: true, pattern: /^(set|update|change)\w*Fees?\w*$/i },
+    { category: 'mint', severity: 'medium', flagUnprotected: false, pattern: /^mint\w*$/i },
+    { category: 'blacklist', severity: 'medium', flagUnprotected: true, pattern: /(black|block|deny)list/i },
+    { category: 'ownership', severity: 'info', flagUnprotected: true, pattern: /^(transferOwnership|renounceOwnership|setOwner|changeOwner|changeAdmin|grantRole|revokeRole)$/i }
+];
+
+// Used for modifiers whose definition is not in the verified source
+const ACCESS_MODIFIER_NAMES = /^(only(Owner|Admin|Role|Governance|Governor|Operator|Guardian|Authorized|Manager|Minter|Pauser)\w*|auth|requiresAuth|restricted|ownerOnly|adminOnly)$/;
+// Internal helpers of common access-control libraries
+const SENDER_CHECK_CALLS = /^(_checkOwner|_checkRole|hasRole|_isAuthorized|isAuthorized|_checkAdmin|_requireOwner|_onlyOwner|_authorizeCaller)$/;
+const REENTRANCY_GUARDS = /^(nonReentrant\w*|lock|noReentrancy|reentrancyGuard)$/i;
+const BLOCK_RANDOMNESS = ['timestamp', 'number', 'difficulty', 'prevrandao', 'coinbase'];
+
+const isSender = node => (node?.type === 'MemberAccess' && node.memberName === 'sender' && node.expression?.type === 'Identifier' && node.expression.name === 'msg')
+    || (node?.type === 'FunctionCall' && node.expression?.type === 'Identifier' && node.expression.name === '_msgSender');
+const calleeName = node => (node.expression?.type === 'Identifier' ? node.expression.name : null);
+
+// Depth-first walk over AST nodes; visit gets the node and its ancestors and may return false to skip children
+function walk(node, visit, ancestors = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => walk(child, visit, ancestors));
+        return;
+    }
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') return;
+    if (visit(node, ancestors) === false) return;
+
+    ancestors.push(node);
+    for (const [key, value] of Object.entries(node)) {
+        if (key !== 'loc' && key !== 'range' && value && typeof value === 'object') walk(value, visit, ancestors);
+    }
+    ancestors.pop();
+}
+
+function typeString(typeName) {
+    if (!typeName) return '';
+    switch (typeName.type) {
+        case 'ElementaryTypeName': return typeName.name;
+        case 'UserDefinedTypeName': return typeName.namePath;
+        case 'ArrayTypeName': return `${typeString(typeName.baseTypeName)}[${typeName.length?.number ?? ''}]`;
+        case 'Mapping': return `mapping(${typeString(typeName.keyType)} => ${typeString(typeName.valueType)})`;
+        default: return typeName.type;
+    }
+}
+
+// Parses verified source (a single file, Etherscan's multi-file JSON or standard-JSON input) and reports
+// the deployed contract's function inventory, access control, privileged functions and located findings
+class SourceAnalyzer {
+    analyze(explorerSource) {
+        const language = /^vyper/i.test(explorerSource.CompilerVersion || '') ? 'Vyper' : 'Solidity';
+        const analysis = {
+            parsed: false,
+            language,
+            contractName: explorerSource.ContractName || null,
+            files: [],
+            contracts: [],
+            functions: [],
+            modifiers: [],
+            privilegedFunctions: [],
+            findings: [],
+            issues: [],
+            riskScore: 0
+        };
+
+        if (language !== 'Solidity') {
+            analysis.reason = `${language} source is not analyzed`;
+            return analysis;
+        }
+
+        let sources;
+        try {
+            sources = this.extractSources(explorerSource);
+        } catch (error) {
+            analysis.reason = `Source JSON could not be read: ${error.message}`;
+            return analysis;
+        }
+
+        const units = [];
+        for (const [path, content] of Object.entries(sources)) {
+            try {
+                units.push({ path, ast: parser.parse(content, { loc: true, tolerant: true }) });
+                analysis.files.push({ path, parsed: true });
+            } catch (error) {
+                analysis.files.push({ path, parsed: false, error: error.message });
+            }
+        }
+        if (units.length === 0) {
+            analysis.reason = 'No source file could be parsed';
+            return analysis;
+        }
+        analysis.parsed = true;
+
+        const definitions = this.collectContracts(units);
+        const chain = this.linearize(definitions, analysis.contractName);
+        const scope = this.buildScope(chain);
+
+        analysis.contracts = chain.map(({ node, file }) => ({
+            name: node.name,
+            kind: node.kind,
+            file,
+            line: node.loc.start.line,
+            inherits: node.baseContracts.map(base => base.baseName.namePath)
+        }));
+        analysis.modifiers = scope.modifiers.map(({ node, contract, file }) => ({
+            contract,
+            name: node.name,
+            accessControl: this.checksSender(node.body, scope, 0),
+            file,
+            line: node.loc.start.line
+        }));
+        analysis.functions = scope.functions.map(entry => this.describeFunction(entry, scope));
+        analysis.privilegedFunctions = analysis.functions
+            .filter(fn => fn.privileged)
+            .map(({ contract, name, signature, category, accessControl, file, line }) => ({ contract, name, signature, category, accessControl, file, line }));
+
+        analysis.findings = [
+            ...this.privilegeFindings(analysis.functions),
+            ...this.codeFindings(scope)
+        ].sort((a, b) => (a.file === b.file ? (a.line ?? 0) - (b.line ?? 0) : a.file.localeCompare(b.file)));
+        analysis.issues = analysis.findings.filter(finding => finding.severity !== 'info').map(finding => finding.title);
+        analysis.riskScore = Math.min(MAX_SOURCE_RISK, analysis.findings.reduce((sum, finding) => sum + SEVERITY_SCORES[finding.severity], 0));
+        return analysis;
+    }
+
+    // Etherscan wraps standard-JSON input in an extra pair of braces; older multi-file
+    // verifications are a plain { path: { content } } object
+    extractSources({ SourceCode, ContractName }) {
+        const text = SourceCode.trim();
+        if (!text.startsWith('{')) {
+            return { [`${ContractName || 'Contract'}.sol`]: SourceCode };
+        }
+
+        const json = JSON.parse(text.startsWith('{{') ? text.slice(1, -1) : text);
+        const files = json.sources || json;
+        return Object.fromEntries(Object.entries(files).map(([path, file]) => [path, file.content ?? '']));
+    }
+
+    collectContracts(units) {
+        const definitions = new Map();
+        for (const { path, ast } of units) {
+            for (const node of ast.children) {
+                if (node.type === 'ContractDefinition' && !definitions.has(node.name)) {
+                    definitions.set(node.name, { node, file: path });
+                }
+            }
+        }
+        return definitions;
+    }
+
+    // The deployed contract and its bases, most derived first. Without a known contract name,
+    // every contract (not interface or library) is in scope.
+    linearize(definitions, contractName) {
+        const main = definitions.get(contractName);
+        if (!main) {
+            return Array.from(definitions.values()).filter(({ node }) => node.kind === 'contract' || node.kind === 'abstract');
+        }
+
+        const chain = [];
+        const seen = new Set();
+        const visit = definition => {
+            if (!definition || seen.has(definition.node.name)) return;
+            seen.add(definition.node.name);
+            chain.push(definition);
+            // Solidity resolves the rightmost base first
+            [...definition.node.baseContracts].reverse().forEach(base => visit(definitions.get(base.baseName.namePath)));
+        };
+        visit(main);
+        return chain.filter(({ node }) => node.kind !== 'interface');
+    }
+
+    // Functions with a body, overrides shadowing their bases, and modifiers by name
+    buildScope(chain) {
+        const functions = [];
+        const modifiers = [];
+        const signatures = new Set();
+        const byName = new Map();
+        const modifierByName = new Map();
+
+        for (const { node: contract, file } of chain) {
+            for (const node of contract.subNodes) {
+                if (node.type === 'FunctionDefinition' && node.body) {
+                    const signature = `${this.functionName(node)}(${node.parameters.map(param => typeString(param.typeName)).join(',')})`;
+                    if (signatures.has(signature)) continue;
+                    signatures.add(signature);
+
+                    const entry = { node, contract: contract.name, file, signature };
+                    functions.push(entry);
+                    if (!byName.has(node.name)) byName.set(node.name, []);
+                    byName.get(node.name).push(entry);
+                } else if (node.type === 'ModifierDefinition' && !modifierByName.has(node.name)) {
+                    const entry = { node, contract: contract.name, file };
+                    modifiers.push(entry);
+                    modifierByName.set(node.name, entry);
+                }
+            }
+        }
+        return { functions, modifiers, byName, modifierByName, senderChecks: new Map() };
+    }
+
+    functionName(node) {
+        if (node.isConstructor) return 'constructor';
+        if (node.isReceiveEther) return 'receive';
+        if (node.isFallback) return 'fallback';
+        return node.name;
+    }
+
+    describeFunction({ node, contract, file, signature }, scope) {
+        const name = this.functionName(node);
+        const visibility = node.visibility === 'default' ? 'public' : node.visibility;
+        const stateMutability = node.stateMutability || 'nonpayable';
+        const modifiers = node.modifiers.map(modifier => modifier.name);
+        const accessControl = this.accessControl(node, scope);
+
+        const callable = (visibility === 'external' || visibility === 'public')
+            && !['view', 'pure'].includes(stateMutability)
+            && !node.isConstructor;
+        const match = callable ? PRIVILEGED_FUNCTIONS.find(entry => entry.pattern.test(name)) : null;
+
+        return {
+            contract,
+            name,
+            signature,
+            visibility,
+            stateMutability,
+            modifiers,
+            accessControl,
+            privileged: callable && (Boolean(match) || accessControl.length > 0),
+            category: match?.category ?? (callable && accessControl.length > 0 ? 'admin' : null),
+            file,
+            line: node.loc.start.line
+        };
+    }
+
+    // Access-control modifiers, an inline msg.sender check ('inline') or a call to a checked internal function (its name)
+    accessControl(node, scope) {
+        const controls = node.modifiers
+            .filter(modifier => {
+                const definition = scope.modifierByName.get(modifier.name);
+                return definition ? this.checksSender(definition.node.body, scope, 0) : ACCESS_MODIFIER_NAMES.test(modifier.name);
+            })
+            .map(modifier => modifier.name);
+
+        if (node.body) {
+            if (this.hasSenderCheck(node.body)) controls.push('inline');
+            walk(node.body, child => {
+                const callee = child.type === 'FunctionCall' ? calleeName(child) : null;
+                const targets = callee ? scope.byName.get(callee) : null;
+                if (targets && !controls.includes(callee) && targets.some(target => target.node !== node && this.isChecked(target.node, scope, 1))) {
+                    controls.push(callee);
+                }
+            });
+        }
+        return controls;
+    }
+
+    isChecked(node, scope, depth) {
+        return node.modifiers.some(modifier => {
+            const definition = scope.modifierByName.get(modifier.name);
+            return definition ? this.checksSender(definition.node.body, scope, depth) : ACCESS_MODIFIER_NAMES.test(modifier.name);
+        }) || this.checksSender(node.body, scope, depth);
+    }
+
+    // A sender check in the body or in an internal function it calls, two calls deep
+    checksSender(body, scope, depth) {
+        if (!body) return false;
+        const key = `${depth}`;
+        const cached = scope.senderChecks.get(body);
+        if (cached?.[key] !== undefined) return cached[key];
+
+        const checked = this.findSenderCheck(body, scope, depth);
+        scope.senderChecks.set(body, { ...cached, [key]: checked });
+        return checked;
+    }
+
+    findSenderCheck(body, scope, depth) {
+        if (this.hasSenderCheck(body)) return true;
+        if (depth >= 2) return false;
+
+        let checked = false;
+        walk(body, node => {
+            if (checked) return false;
+            const callee = node.type === 'FunctionCall' ? calleeName(node) : null;
+            if (callee && (scope.byName.get(callee) || []).some(target => this.checksSender(target.node.body, scope, depth + 1))) {
+                checked = true;
+            }
+            return undefined;
+        });
+        return checked;
+    }
+
+    // msg.sender compared for (in)equality, used as a key in a require/if condition, or an access-control helper call
+    hasSenderCheck(body) {
+        let found = false;
+        walk(body, (node, ancestors) => {
+            if (found) return false;
+            if (node.type === 'BinaryOperation' && ['==', '!='].includes(node.operator) && (isSender(node.left) || isSender(node.right))) {
+                found = true;
+            } else if (node.type === 'FunctionCall' && SENDER_CHECK_CALLS.test(calleeName(node) || '')) {
+                found = true;
+            } else if (node.type === 'IndexAccess' && isSender(node.index) && this.inCondition(ancestors)) {
+                found = true;
+            }
+            return undefined;
+        });
+        return found;
+    }
+
+    inCondition(ancestors) {
+        return ancestors.some(node => node.type === 'IfStatement'
+            || (node.type === 'FunctionCall' && ['require', 'assert'].includes(calleeName(node))));
+    }
+
+    privilegeFindings(functions) {
+        const findings = [];
+        for (const fn of functions.filter(entry => entry.category && entry.category !== 'admin')) {
+            const entry = PRIVILEGED_FUNCTIONS.find(privileged => privileged.category === fn.category);
+            const location = { file: fn.file, line: fn.line, contract: fn.contract, function: fn.signature };
+            if (fn.accessControl.length === 0) {
+                if (!entry.flagUnprotected) continue;
+                findings.push({ id: `unprotected-${fn.category}`, severity: 'high', title: `Unprotected ${fn.category} function ${fn.name}() callable by anyone`, ...location });
+            } else {
+                findings.push({ id: `privileged-${fn.category}`, severity: entry.severity, title: `Privileged ${fn.category} function ${fn.name}() restricted by ${fn.accessControl.map(control => (control === 'inline' ? 'an inline msg.sender check' : control)).join(', ')}`, ...location });
+            }
+        }
+        return findings;
+    }
+
+    // Located findings in the bodies of in-scope functions and modifiers
+    codeFindings(scope) {
+        const findings = [];
+        const bodies = [
+            ...scope.functions.map(entry => ({ ...entry, kind: 'function' })),
+            ...scope.modifiers.map(entry => ({ ...entry, signature: entry.node.name, kind: 'modifier' }))
+        ];
+
+        for (const { node, contract, file, signature, kind } of bodies) {
+            const params = new Set((node.parameters || []).map(param => param.name).filter(Boolean));
+            const guarded = (node.modifiers || []).some(modifier => REENTRANCY_GUARDS.test(modifier.name));
+            const external = kind === 'function' && ['external', 'public', 'default'].includes(node.visibility);
+            const add = (id, severity, title, at) => findings.push({ id, severity, title, file, line: at.loc?.start.line ?? null, contract, function: signature });
+            let unchecked = false;
+
+            walk(node.body, (child, ancestors) => {
+                if (child.type === 'MemberAccess' && child.memberName === 'origin' && child.expression?.name === 'tx') {
+                    const comparison = ancestors.some(parent => parent.type === 'BinaryOperation' && ['==', '!='].includes(parent.operator));
+                    if (comparison) add('tx-origin-auth', 'high', 'tx.origin used for authorization', child);
+                    else add('tx-origin', 'low', 'tx.origin used', child);
+                } else if (child.type === 'FunctionCall' && ['selfdestruct', 'suicide'].includes(calleeName(child))) {
+                    add('selfdestruct', 'high', `${calleeName(child)} can destroy the contract`, child);
+                } else if (child.type === 'MemberAccess' && ['delegatecall', 'callcode'].includes(child.memberName)) {
+                    const target = child.expression?.type === 'Identifier' ? child.expression.name : null;
+                    if (target && params.has(target)) add('delegatecall-param', 'high', `${child.memberName} to caller-supplied address ${target}`, child);
+                    else add('delegatecall', 'medium', `${child.memberName} runs foreign code in this contract's storage`, child);
+                } else if (child.type === 'AssemblyCall' && ['delegatecall', 'callcode', 'selfdestruct'].includes(child.functionName)) {
+                    add(`assembly-${child.functionName}`, child.functionName === 'selfdestruct' ? 'high' : 'medium', `${child.functionName} in inline assembly`, child);
+                } else if (child.type === 'FunctionCall' && calleeName(child) === 'keccak256' && this.usesBlockValues(child)) {
+                    add('block-randomness', 'low', 'Block values hashed as a source of randomness', child);
+                } else if (child.type === 'FunctionCall' && external && !guarded && this.isValueCall(child)) {
+                    add('unguarded-value-call', 'low', 'External call with value in a function without a reentrancy guard', child);
+                } else if (child.type === 'UncheckedStatement' && !unchecked) {
+                    unchecked = true;
+                    add('unchecked-arithmetic', 'info', 'Unchecked arithmetic block', child);
+                }
+                return undefined;
+            });
+        }
+        return findings;
+    }
+
+    usesBlockValues(call) {
+        let found = false;
+        walk(call.arguments, node => {
+            if (node.type === 'MemberAccess' && node.expression?.name === 'block' && BLOCK_RANDOMNESS.includes(node.memberName)) found = true;
+            if (node.type === 'FunctionCall' && calleeName(node) === 'blockhash') found = true;
+            return !found;
+        });
+        return found;
+    }
+
+    // address.call{value: ...}(...)
+    isValueCall(call) {
+        const expression = call.expression;
+        return expression?.type === 'NameValueExpression'
+            && expression.expression?.type === 'MemberAccess'
+            && expression.expression.memberName === 'call'
+            && expression.arguments?.names?.includes('value');
+    }
+}
+
+const sourceAnalyzer = new SourceAnalyzer();
+module.exports = { analyzeSource: sourceAnalyzer.analyze.bind(sourceAnalyzer) };
@@ -0,0 +1,164 @@
+const { AbiCoder, Interface, formatUnits, getAddress } = require('ethers');
+const { getChain, NATIVE_TOKEN_ADDRESS, DEFAULT_CHAIN_ID } = require('../config/chains');
+const { rpcCall, resolveRpcUrl } = require('./rpcClient');
+const { getRequestContext } = require('./requestContext');
+const { withCache } = require('./cache');
+const { ValidationError } = require('./errors');
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+const erc20 = new Interface([
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)'
+]);
+
+class TokenMetadata {
+    async getTokenMetadata(address, chainId = DEFAULT_CHAIN_ID) {
+        const chain = getChain(chainId);
+        const checksummed = this.normalizeAddress(address);
+
+        if (checksummed.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()) {
+            return {
+                chainId: chain.chainId,
+                address: checksummed,
+                native: true,
+                name: chain.nativeToken.name,
+                symbol: chain.nativeToken.symbol,
+                decimals: chain.nativeToken.decimals,
+                totalSupply: null
+            };
+        }
+
+        // Name, symbol and decimals never change; the TTL only keeps totalSupply fresh
+        return withCache('tokenMetadata', `${chain.chainId}:${checksummed}`, () => this.fetchTokenMetadata(chain, checksummed));
+    }
+
+    async fetchTokenMetadata(chain, checksummed) {
+        console.log(`🔎 Resolving token metadata for: ${checksummed} (chain ${chain.chainId})`);
+        const rpcUrl = resolveRpcUrl(chain.chainId);
+        const blockNumber = await rpcCall(rpcUrl, 'eth_blockNumber', []);
+        const call = fn => rpcCall(rpcUrl, 'eth_call', [
+            { to: checksummed, data: erc20.encodeFunctionData(fn, []) },
+            blockNumber
+        ]);
+
+        const code = await rpcCall(rpcUrl, 'eth_getCode', [checksummed, blockNumber]);
+        if (!code || code === '0x') {
+            throw new ValidationError(`No contract deployed at ${checksummed}`, [
+                { field: 'address', code: 'NOT_A_CONTRACT', message: `No contract deployed at ${checksummed} on chain ${chain.chainId}` }
+            ]);
+        }
+
+        // decimals is the one field every ERC-20 consumer relies on, so it must resolve
+        const decimals = Number(erc20.decodeFunctionResult('decimals', await call('decimals'))[0]);
+        const [name, symbol, totalSupply] = await Promise.all([
+            call('name').then(result => this.decodeText(result)).catch(() => null),
+            call('symbol').then(result => this.decodeText(result)).catch(() => null),
+            call('totalSupply').then(result => BigInt(result).toString()).catch(() => null)
+        ]);
+
+        return {
+            chainId: chain.chainId,
+            address: checksummed,
+            native: false,
+            name,
+            symbol,
+            decimals,
+            totalSupply,
+            totalSupplyFormatted: totalSupply !== null ? formatUnits(totalSupply, decimals) : null
+        };
+    }
+
+    // Raw wei strings next to decimal-adjusted amounts for both sides of the route
+    async formatRouteAmounts(routeAnalysis) {
+        const chainId = routeAnalysis.chainId;
+        const fromAddress = routeAnalysis.fromToken?.address || routeAnalysis.decodedTx?.srcToken;
+        const toAddress = routeAnalysis.toToken?.address || routeAnalysis.decodedTx?.dstToken;
+
+        const [fromMeta, toMeta] = await Promise.all([
+            this.resolveForRoute(fromAddress, routeAnalysis.fromToken, chainId),
+            this.resolveForRoute(toAddress, routeAnalysis.toToken, chainId)
+        ]);
+
+        return {
+            dataSource: getRequestContext().dataSource === 'mock' ? 'mock' : 'live',
+            degraded: !fromMeta || !toMeta || fromMeta.source !== undefined || toMeta.source !== undefined,
+            fromToken: fromMeta,
+            toToken: toMeta,
+            amount: this.formatAmount(routeAnalysis.amount, fromMeta),
+            toAmount: this.formatAmount(routeAnalysis.toAmount, toMeta),
+            minReturn: this.formatAmount(routeAnalysis.decodedTx?.minReturn, toMeta)
+        };
+    }
+
+    async resolveForRoute(address, quotedToken, chainId) {
+        if (!address) return null;
+
+        // Mock routes carry their own sample token data; nothing is looked up on-chain
+        if (getRequestContext().dataSource === 'mock') {
+            return this.fromQuotedToken(quotedToken, chainId, 'mock');
+        }
+
+        try {
+            return await this.getTokenMetadata(address, chainId);
+        } catch (error) {
+            console.error('Token metadata lookup failed:', error.message);
+            // The 1inch response already carries decimals for both swap tokens
+            return this.fromQuotedToken(quotedToken, chainId, '1inch');
+        }
+    }
+
+    fromQuotedToken(quotedToken, chainId, source) {
+        if (!quotedToken || quotedToken.decimals === undefined) return null;
+
+        return {
+            chainId,
+            address: quotedToken.address,
+            name: quotedToken.name || null,
+            symbol: quotedToken.symbol || null,
+            decimals: Number(quotedToken.decimals),
+            source
+        };
+    }
+
+    formatAmount(raw, metadata) {
+        if (raw === undefined || raw === null) return null;
+
+        const value = raw.toString();
+        return {
+            raw: value,
+            formatted: metadata ? formatUnits(value, metadata.decimals) : null,
+            symbol: metadata?.symbol || null,
+            decimals: metadata ? metadata.decimals : null
+        };
+    }
+
+    // Mixed-case input must carry a valid EIP-55 checksum; lowercase input is checksummed here
+    normalizeAddress(address) {
+        try {
+            return getAddress(address);
+        } catch (error) {
+            throw new ValidationError(`Invalid token address: ${address}`, [
+                { field: 'address', code: 'INVALID_ADDRESS', message: 'address must be a 0x-prefixed 20-byte hex address with a valid EIP-55 checksum' }
+            ]);
+        }
+    }
+
+    // Most tokens return an ABI string; older ones such as MKR return bytes32
+    decodeText(result) {
+        if (!result || result === '0x') return null;
+
+        if (result.length === 66) {
+            const text = Buffer.from(result.slice(2), 'hex').toString('utf8').replace(/\0+$/, '');
+            return text || null;
+        }
+        return abiCoder.decode(['string'], result)[0];
+    }
+}
+
+const tokenMetadata = new TokenMetadata();
+module.exports = {
+    getTokenMetadata: tokenMetadata.getTokenMetadata.bind(tokenMetadata),
+    formatRouteAmounts: tokenMetadata.formatRouteAmounts.bind(tokenMetadata)
+};
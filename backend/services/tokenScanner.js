@@ -0,0 +1,371 @@
+const { Interface, id, toBeHex } = require('ethers');
+const { getChain, NATIVE_TOKEN_ADDRESS, DEFAULT_CHAIN_ID } = require('../config/chains');
+const { rpcCall, resolveRpcUrl } = require('./rpcClient');
+const { findBalanceSlot } = require('./rpcSimulator');
+const { analyzeBytecode } = require('./evmDisassembler');
+const {
+    getContractSourceCode,
+    getContractBytecode,
+    detectProxyPatterns,
+    getRiskLevel
+} = require('./securityScanner');
+const { getRequestContext } = require('./requestContext');
+const { shareInBatch } = require('./cache');
+
+const erc20 = new Interface([
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)'
+]);
+const uniswapV2Factory = new Interface(['function getPair(address tokenA, address tokenB) view returns (address)']);
+
+// Synthetic holders keep the round-trip clear of whitelists and existing balances
+const ROUND_TRIP_SENDER = '0x00000000000000000000000000000000000a11ce';
+const ROUND_TRIP_RECEIVER = '0x0000000000000000000000000000000000000b0b';
+const ROUND_TRIP_UNITS = 1000n;
+
+// Each trait is detected from verified source patterns and/or function selectors in the bytecode
+const TOKEN_TRAITS = {
+    feeOnTransfer: {
+        score: 25,
+        description: 'Charges a fee on transfer',
+        source: [/\b_?(tax|liquidity|marketing|dev|burn)Fee\b/i, /\b(buy|sell)(Tax|Fee)\b/, /\bfeeOnTransfer\b/i],
+        selectors: ['setTaxFeePercent(uint256)', 'setFees(uint256,uint256)', 'setBuyFee(uint256)', 'setSellFee(uint256)']
+    },
+    rebasing: {
+        score: 20,
+        description: 'Balances change without transfers (rebasing)',
+        source: [/\bfunction\s+rebase\s*\(/, /_gonsPerFragment/, /\bsharesOf\s*\(/],
+        selectors: ['rebase(uint256,int256)', 'rebase()', 'sharesOf(address)', 'getSharesByPooledEth(uint256)']
+    },
+    blacklist: {
+        score: 15,
+        description: 'Owner can blacklist addresses',
+        source: [/\b(add|remove)?_?black[lL]ist/, /\bisBlackListed\b/i, /\bblocklist\b/i],
+        selectors: ['blacklist(address)', 'isBlacklisted(address)', 'addBlackList(address)', 'isBlackListed(address)']
+    },
+    pausable: {
+        score: 10,
+        description: 'Transfers can be paused',
+        source: [/\bwhenNotPaused\b/, /\bfunction\s+pause\s*\(/],
+        selectors: ['pause()', 'paused()']
+    },
+    ownerMintable: {
+        score: 20,
+        description: 'Privileged accounts can mint new supply',
+        source: [/\bfunction\s+mint\s*\([^)]*\)[^{;]*\b(onlyOwner|onlyMinter|onlyRole|auth)\b/],
+        selectors: ['mint(address,uint256)', 'mint(uint256)', 'configureMinter(address,uint256)', 'issue(uint256)']
+    },
+    sellRestrictions: {
+        score: 30,
+        description: 'Trading limits or switches that can block sells',
+        source: [/\b_?maxTxAmount\b/i, /\btradingEnabled\b|\btradingOpen\b/i, /\bcooldown(Enabled)?\b/i, /\bmaxWallet/i],
+        selectors: ['setMaxTxAmount(uint256)', 'enableTrading()', 'openTrading()', 'setTradingEnabled(bool)']
+    }
+};
+
+const TRAIT_SELECTORS = Object.fromEntries(Object.entries(TOKEN_TRAITS).map(([trait, config]) => [
+    trait,
+    new Map(config.selectors.map(signature => [id(signature).slice(0, 10), signature]))
+]));
+
+class TokenScanner {
+    async scanSwapTokens(fromToken, toToken, chainId = DEFAULT_CHAIN_ID) {
+        const { dataSource } = getRequestContext();
+
+        if (dataSource === 'mock') {
+            return {
+                dataSource,
+                degraded: true,
+                skipped: true,
+                reason: 'Token risk scan is not run in mock mode',
+                fromToken: null,
+                toToken: null
+            };
+        }
+
+        const [from, to] = await Promise.all([
+            this.scanToken(fromToken, chainId),
+            this.scanToken(toToken, chainId)
+        ]);
+        return {
+            dataSource,
+            degraded: Boolean(from.error || to.error),
+            fromToken: from,
+            toToken: to
+        };
+    }
+
+    async scanToken(tokenAddress, chainId = DEFAULT_CHAIN_ID) {
+        const chain = getChain(chainId);
+
+        if (tokenAddress.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()) {
+            return {
+                address: tokenAddress,
+                native: true,
+                symbol: chain.nativeToken.symbol,
+                riskScore: 0,
+                riskLevel: getRiskLevel(0),
+                riskFactors: [],
+                traits: {}
+            };
+        }
+
+        // Pairs in a batch often share a token; it is scanned once per batch
+        return shareInBatch('tokenScan', `${chain.chainId}:${tokenAddress.toLowerCase()}`, () => this.inspectToken(chain, tokenAddress));
+    }
+
+    async inspectToken(chain, tokenAddress) {
+        try {
+            console.log(`🪙 Scanning token risk for: ${tokenAddress} (chain ${chain.chainId})`);
+
+            const sourceCode = await getContractSourceCode(tokenAddress, chain.chainId);
+            const bytecode = await getContractBytecode(tokenAddress, chain.chainId);
+            const proxy = await detectProxyPatterns(tokenAddress, bytecode, chain.chainId);
+
+            // Upgradeable tokens expose their behaviour through the implementation
+            let implementationCode = null;
+            let implementationBytecode = null;
+            if (proxy.implementation) {
+                implementationCode = await getContractSourceCode(proxy.implementation, chain.chainId);
+                implementationBytecode = await getContractBytecode(proxy.implementation, chain.chainId);
+            }
+
+            const source = [sourceCode?.SourceCode, implementationCode?.SourceCode].filter(Boolean).join('\n');
+            const selectors = this.collectSelectors([bytecode, implementationBytecode]);
+            const traits = this.detectTraits(source, selectors);
+            const roundTrip = await this.simulateRoundTrip(chain, tokenAddress);
+
+            return this.scoreToken(tokenAddress, {
+                verified: Boolean(sourceCode?.SourceCode),
+                proxy,
+                traits,
+                roundTrip
+            });
+        } catch (error) {
+            console.error('Token scan failed:', error);
+            return {
+                address: tokenAddress,
+                riskScore: 50,
+                riskLevel: getRiskLevel(50),
+                riskFactors: ['Unable to analyze token'],
+                traits: {},
+                error: error.message,
+                errorCode: error.code || null
+            };
+        }
+    }
+
+    collectSelectors(bytecodes) {
+        const selectors = new Set();
+
+        for (const bytecode of bytecodes) {
+            if (!bytecode || bytecode === '0x') continue;
+            try {
+                for (const entry of analyzeBytecode(bytecode).functionSelectors) {
+                    selectors.add(entry.selector);
+                }
+            } catch (error) {
+                // Undecodable bytecode leaves only the source checks
+            }
+        }
+
+        return selectors;
+    }
+
+    detectTraits(source, selectors) {
+        const traits = {};
+
+        for (const [trait, config] of Object.entries(TOKEN_TRAITS)) {
+            const sourceMatches = source
+                ? config.source.filter(pattern => pattern.test(source)).map(pattern => pattern.source)
+                : [];
+            const selectorMatches = [...TRAIT_SELECTORS[trait].entries()]
+                .filter(([selector]) => selectors.has(selector))
+                .map(([, signature]) => signature);
+
+            traits[trait] = {
+                detected: sourceMatches.length > 0 || selectorMatches.length > 0,
+                evidence: {
+                    source: sourceMatches,
+                    selectors: selectorMatches
+                }
+            };
+        }
+
+        return traits;
+    }
+
+    // Transfer sender -> receiver, then receiver -> the token's WETH pair (what a sell does), and compare amounts
+    async simulateRoundTrip(chain, token) {
+        const rpcUrl = resolveRpcUrl(chain.chainId);
+
+        try {
+            const blockNumber = await rpcCall(rpcUrl, 'eth_blockNumber', []);
+            const decimals = await this.callToken(rpcUrl, blockNumber, token, 'decimals', []);
+            const amount = ROUND_TRIP_UNITS * 10n ** BigInt(decimals);
+            const slot = await findBalanceSlot(rpcUrl, blockNumber, token, ROUND_TRIP_SENDER);
+            if (!slot) {
+                return { performed: false, reason: 'Balance storage slot not found' };
+            }
+
+            const pair = await this.findSellTarget(rpcUrl, blockNumber, chain, token);
+            const overrides = { [token]: { stateDiff: { [slot.key]: toBeHex(amount, 32) } } };
+            const transfer = (from, to, value) => ({
+                from,
+                to: token,
+                data: erc20.encodeFunctionData('transfer', [to, value])
+            });
+
+            try {
+                return await this.simulateTransfers(rpcUrl, blockNumber, token, overrides, amount, pair, transfer);
+            } catch (error) {
+                // Nodes without eth_simulateV1 can still tell whether a plain transfer reverts
+                const result = { performed: true, method: 'eth_call', sellTarget: pair, amount: amount.toString() };
+                try {
+                    await rpcCall(rpcUrl, 'eth_call', [transfer(ROUND_TRIP_SENDER, ROUND_TRIP_RECEIVER, amount), blockNumber, overrides]);
+                    result.transferReverted = false;
+                } catch (callError) {
+                    result.transferReverted = true;
+                }
+                return result;
+            }
+        } catch (error) {
+            return { performed: false, reason: `Round-trip simulation unavailable: ${error.message}` };
+        }
+    }
+
+    async simulateTransfers(rpcUrl, blockNumber, token, overrides, amount, pair, transfer) {
+        // Without a pair the received tokens are sent back, which still exercises the transfer path
+        const sellTarget = pair || ROUND_TRIP_SENDER;
+        const balanceOf = holder => ({ to: token, data: erc20.encodeFunctionData('balanceOf', [holder]) });
+
+        const [first] = await rpcCall(rpcUrl, 'eth_simulateV1', [{
+            blockStateCalls: [{
+                stateOverrides: overrides,
+                calls: [
+                    transfer(ROUND_TRIP_SENDER, ROUND_TRIP_RECEIVER, amount),
+                    balanceOf(ROUND_TRIP_RECEIVER)
+                ]
+            }],
+            validation: false
+        }, blockNumber]);
+
+        const result = {
+            performed: true,
+            method: 'eth_simulateV1',
+            sellTarget: pair,
+            amount: amount.toString(),
+            transferReverted: first.calls[0].status !== '0x1',
+            received: null,
+            transferFeeBps: null,
+            sellReverted: null,
+            sold: null,
+            sellFeeBps: null
+        };
+        if (result.transferReverted) return result;
+
+        const received = BigInt(first.calls[1].returnData);
+        result.received = received.toString();
+        result.transferFeeBps = Number((amount - received) * 10000n / amount);
+        if (received === 0n) return result;
+
+        const [second] = await rpcCall(rpcUrl, 'eth_simulateV1', [{
+            blockStateCalls: [{
+                stateOverrides: overrides,
+                calls: [
+                    transfer(ROUND_TRIP_SENDER, ROUND_TRIP_RECEIVER, amount),
+                    balanceOf(sellTarget),
+                    transfer(ROUND_TRIP_RECEIVER, sellTarget, received),
+                    balanceOf(sellTarget)
+                ]
+            }],
+            validation: false
+        }, blockNumber]);
+
+        result.sellReverted = second.calls[2].status !== '0x1';
+        if (!result.sellReverted) {
+            const sold = BigInt(second.calls[3].returnData) - BigInt(second.calls[1].returnData);
+            result.sold = sold.toString();
+            result.sellFeeBps = Number((received - sold) * 10000n / received);
+        }
+
+        return result;
+    }
+
+    scoreToken(address, { verified, proxy, traits, roundTrip }) {
+        const result = {
+            address,
+            native: false,
+            isVerified: verified,
+            riskScore: 0,
+            riskLevel: 'SAFE',
+            riskFactors: [],
+            traits,
+            proxy,
+            roundTrip
+        };
+
+        if (!verified) {
+            result.riskScore += 15;
+            result.riskFactors.push('Token contract not verified');
+        }
+
+        if (proxy.isProxy && proxy.upgradeable) {
+            result.riskScore += 20;
+            result.riskFactors.push(`Upgradeable token (${proxy.pattern}) - behaviour can change after the swap`);
+        }
+
+        // A measured fee confirms the trait even when neither source nor selectors revealed it
+        const measuredFee = Math.max(roundTrip.transferFeeBps || 0, roundTrip.sellFeeBps || 0);
+        if (measuredFee > 0) {
+            traits.feeOnTransfer.detected = true;
+            traits.feeOnTransfer.evidence.measuredFeeBps = measuredFee;
+        }
+
+        for (const [trait, config] of Object.entries(TOKEN_TRAITS)) {
+            if (traits[trait].detected) {
+                result.riskScore += config.score;
+                result.riskFactors.push(config.description);
+            }
+        }
+
+        if (roundTrip.transferReverted) {
+            result.riskScore += 40;
+            result.riskFactors.push('Simulated transfer reverted');
+        }
+        if (roundTrip.sellReverted) {
+            result.riskScore += 50;
+            result.riskFactors.push('Simulated sell reverted - possible honeypot');
+        }
+
+        result.riskScore = Math.min(result.riskScore, 100);
+        result.riskLevel = getRiskLevel(result.riskScore);
+        return result;
+    }
+
+    async findSellTarget(rpcUrl, blockNumber, chain, token) {
+        const factory = chain.dex?.uniswapV2Factory;
+        if (!factory || token.toLowerCase() === chain.wrappedNativeToken.toLowerCase()) return null;
+
+        try {
+            const data = uniswapV2Factory.encodeFunctionData('getPair', [token, chain.wrappedNativeToken]);
+            const result = await rpcCall(rpcUrl, 'eth_call', [{ to: factory, data }, blockNumber]);
+            const [pair] = uniswapV2Factory.decodeFunctionResult('getPair', result);
+            return BigInt(pair) === 0n ? null : pair;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async callToken(rpcUrl, blockNumber, token, fn, args) {
+        const result = await rpcCall(rpcUrl, 'eth_call', [{ to: token, data: erc20.encodeFunctionData(fn, args) }, blockNumber]);
+        return erc20.decodeFunctionResult(fn, result)[0];
+    }
+}
+
+const tokenScanner = new TokenScanner();
+module.exports = {
+    scanToken: tokenScanner.scanToken.bind(tokenScanner),
+    scanSwapTokens: tokenScanner.scanSwapTokens.bind(tokenScanner)
+};
@@ -0,0 +1,179 @@
+const { formatUnits } = require('ethers');
+const { getChain } = require('../config/chains');
+const { analyze1inchRoute } = require('./1inchAnalyzer');
+const { getTokenMetadata } = require('./tokenMetadata');
+const { getGasContext, computeGasCost } = require('./gasCost');
+const { getRequestContext } = require('./requestContext');
+const { mapLimit } = require('./concurrency');
+const { errorBody } = require('./errors');
+
+// Prices are fixed point with 18 decimals
+const PRICE_DECIMALS = 18;
+const PRICE_SCALE = 10n ** BigInt(PRICE_DECIMALS);
+// Precision of the geometric steps of a log-scale range
+const LOG_STEP_SCALE = 10n ** 9n;
+
+// Runs the 1inch route for a series of input amounts and shows how output, price impact,
+// route composition and gas change with trade size
+class TradeSweep {
+    constructor() {
+        this.concurrency = Number(process.env.SWEEP_CONCURRENCY) || 2;
+    }
+
+    async sweep({ fromToken, toToken, fromAddress, chainId, amounts, minAmount, maxAmount, steps = 10, scale = 'log', maxImpactBps = 100, ...swapOptions }) {
+        const chain = getChain(chainId);
+        const sizes = amounts || this.buildRange(BigInt(minAmount), BigInt(maxAmount), steps, scale);
+
+        console.log(`📈 Sweeping ${sizes.length} trade sizes on chain ${chain.chainId}...`);
+
+        const [fromMeta, toMeta, gasContext] = await Promise.all([
+            getTokenMetadata(fromToken, chain.chainId),
+            getTokenMetadata(toToken, chain.chainId),
+            getGasContext(chain.chainId, toToken)
+        ]);
+
+        const routes = await mapLimit(sizes, this.concurrency, amount => this.runSize(fromToken, toToken, amount, fromAddress, chain.chainId, swapOptions));
+        const points = this.describePoints(routes, { fromMeta, toMeta, gasContext });
+
+        const successful = points.filter(point => point.success);
+        return {
+            dataSource: getRequestContext().dataSource,
+            degraded: successful.length < points.length || successful.some(point => !point.gasCost.complete),
+            chainId: chain.chainId,
+            fromToken: this.describeToken(fromMeta),
+            toToken: this.describeToken(toMeta),
+            referenceAmount: successful[0]?.amount ?? null,
+            maxImpactBps,
+            gasFees: gasContext.fees,
+            prices: gasContext.prices,
+            gasErrors: gasContext.errors,
+            optimal: this.findOptimal(successful),
+            largestWithinImpact: [...successful].reverse().find(point => point.priceImpactBps <= maxImpactBps)?.amount ?? null,
+            points
+        };
+    }
+
+    // steps amounts from min to max, evenly spaced or geometric
+    buildRange(min, max, steps, scale) {
+        const sizes = [];
+        for (let i = 0; i < steps; i++) {
+            if (i === steps - 1) {
+                sizes.push(max);
+            } else if (scale === 'linear') {
+                sizes.push(min + (max - min) * BigInt(i) / BigInt(steps - 1));
+            } else {
+                const factor = (Number(max) / Number(min)) ** (i / (steps - 1));
+                sizes.push(min * BigInt(Math.round(factor * Number(LOG_STEP_SCALE))) / LOG_STEP_SCALE);
+            }
+        }
+        return Array.from(new Set(sizes.map(size => size.toString())));
+    }
+
+    // A failed size is reported in its point; only a cancellation stops the sweep
+    async runSize(fromToken, toToken, amount, fromAddress, chainId, swapOptions) {
+        try {
+            return { amount, routeAnalysis: await analyze1inchRoute(fromToken, toToken, amount, fromAddress, chainId, swapOptions) };
+        } catch (error) {
+            if (error.code === 'CANCELLED') throw error;
+            console.error(`Sweep size ${amount} failed:`, error.message);
+            return { amount, error };
+        }
+    }
+
+    // Sizes are sorted ascending; price impact is measured against the smallest size that succeeded
+    describePoints(routes, { fromMeta, toMeta, gasContext }) {
+        const sorted = [...routes].sort((a, b) => (BigInt(a.amount) > BigInt(b.amount) ? 1 : -1));
+        let reference = null;
+        let previous = null;
+
+        return sorted.map(({ amount, routeAnalysis, error }) => {
+            if (error) {
+                return { amount, success: false, error: errorBody(error) };
+            }
+
+            const toAmount = routeAnalysis.toAmount;
+            const price = this.effectivePrice(amount, toAmount, fromMeta.decimals, toMeta.decimals);
+            reference = reference ?? price;
+
+            const gasCost = computeGasCost(gasContext, { gasUnits: Number(routeAnalysis.estimatedGas) || null, toAmount });
+            const netPrice = gasCost.netOutput !== null
+                ? this.effectivePrice(amount, gasCost.netOutput, fromMeta.decimals, toMeta.decimals)
+                : null;
+            const composition = this.describeComposition(routeAnalysis.routeBreakdown);
+
+            const point = {
+                amount,
+                amountFormatted: formatUnits(amount, fromMeta.decimals),
+                success: true,
+                toAmount,
+                toAmountFormatted: formatUnits(toAmount, toMeta.decimals),
+                effectivePrice: formatUnits(price, PRICE_DECIMALS),
+                priceImpactBps: reference > 0n ? Number((reference - price) * 10000n / reference) : null,
+                estimatedGas: Number(routeAnalysis.estimatedGas) || null,
+                gasCost,
+                netOutput: gasCost.netOutput,
+                netEffectivePrice: netPrice !== null ? formatUnits(netPrice, PRICE_DECIMALS) : null,
+                ...composition,
+                compositionChange: previous ? this.compareComposition(previous, composition) : null
+            };
+            previous = composition;
+            return point;
+        });
+    }
+
+    // toToken received per whole fromToken
+    effectivePrice(amount, toAmount, fromDecimals, toDecimals) {
+        return BigInt(toAmount) * 10n ** BigInt(fromDecimals) * PRICE_SCALE / (BigInt(amount) * 10n ** BigInt(toDecimals));
+    }
+
+    describeComposition(routeBreakdown) {
+        const routes = (routeBreakdown?.routes || []).map(route => ({
+            path: route.path.join('→'),
+            dexes: Array.from(new Set(route.hops.flatMap(hop => hop.fills.map(fill => fill.dex))))
+        }));
+        return {
+            routeCount: routeBreakdown?.routeCount ?? routes.length,
+            hopCount: routeBreakdown?.hopCount ?? null,
+            dexes: Array.from(new Set(routes.flatMap(route => route.dexes))).sort(),
+            routes
+        };
+    }
+
+    compareComposition(previous, current) {
+        const added = (before, after) => after.filter(item => !before.includes(item));
+        const paths = composition => composition.routes.map(route => route.path);
+        const change = {
+            dexesAdded: added(previous.dexes, current.dexes),
+            dexesRemoved: added(current.dexes, previous.dexes),
+            pathsAdded: added(paths(previous), paths(current)),
+            pathsRemoved: added(paths(current), paths(previous))
+        };
+        change.changed = Object.values(change).some(list => list.length > 0)
+            || previous.routeCount !== current.routeCount
+            || previous.hopCount !== current.hopCount;
+        return change;
+    }
+
+    // The size that keeps the most output per input once gas is paid: small trades lose to gas,
+    // large ones to price impact
+    findOptimal(points) {
+        const priced = points.filter(point => point.netEffectivePrice !== null);
+        if (priced.length === 0) return null;
+
+        const value = point => Number(point.netEffectivePrice);
+        const best = priced.reduce((top, point) => (value(point) > value(top) ? point : top));
+        return {
+            amount: best.amount,
+            amountFormatted: best.amountFormatted,
+            netEffectivePrice: best.netEffectivePrice,
+            priceImpactBps: best.priceImpactBps
+        };
+    }
+
+    describeToken(meta) {
+        return { address: meta.address, symbol: meta.symbol, decimals: meta.decimals };
+    }
+}
+
+const tradeSweep = new TradeSweep();
+module.exports = { sweepTradeSizes: tradeSweep.sweep.bind(tradeSweep) };
@@ -0,0 +1,360 @@
+const { getAddress } = require('ethers');
+const { isSupportedChain, getSupportedChainIds, DEFAULT_CHAIN_ID } = require('../config/chains');
+const { DATA_SOURCES, DEFAULT_DATA_SOURCE } = require('../config/dataSource');
+const { DEFAULT_POLICY } = require('../config/policies');
+const { getProviderNames } = require('./providers');
+const { hasPolicy, getPolicyNames } = require('./policyEngine');
+const { ValidationError } = require('./errors');
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_SLIPPAGE = 50;
+const MAX_FEE = 3;
+const MAX_LIST_LIMIT = 500;
+const MAX_SWEEP_POINTS = 25;
+const MAX_BATCH_ITEMS = 50;
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+class FieldError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Each type checks one value and returns it normalized, or throws a FieldError
+const FIELD_TYPES = {
+    // Lowercase or uppercase hex is accepted as is; mixed case must carry a valid EIP-55 checksum.
+    // Normalized to the checksummed form.
+    address(value, field) {
+        if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+            throw new FieldError('INVALID_ADDRESS', `${field} must be a 0x-prefixed 20-byte hex address`);
+        }
+        try {
+            return getAddress(value);
+        } catch (error) {
+            throw new FieldError('INVALID_CHECKSUM', `${field} has an invalid EIP-55 checksum`);
+        }
+    },
+
+    // Token amounts in base units; strings only, since JSON numbers lose precision past 2^53
+    uint256(value, field, rule) {
+        if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+            throw new FieldError('INVALID_AMOUNT', `${field} must be a non-negative integer string in base units (no decimals, signs or exponents)`);
+        }
+        const amount = BigInt(value);
+        if (amount > MAX_UINT256) {
+            throw new FieldError('AMOUNT_OUT_OF_RANGE', `${field} exceeds uint256`);
+        }
+        if (rule.positive && amount === 0n) {
+            throw new FieldError('AMOUNT_OUT_OF_RANGE', `${field} must be greater than zero`);
+        }
+        return amount.toString();
+    },
+
+    uint256List(value, field, rule) {
+        const items = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+        if (!Array.isArray(items) || items.length === 0 || items.length > rule.max) {
+            throw new FieldError('INVALID_LIST', `${field} must be a list of 1 to ${rule.max} amounts`);
+        }
+        const amounts = items.map((item, index) => FIELD_TYPES.uint256(item, `${field}[${index}]`, rule));
+        return Array.from(new Set(amounts));
+    },
+
+    // Percent, e.g. 1 for 1%
+    slippage(value, field) {
+        const slippage = typeof value === 'string' && /^\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+        if (typeof slippage !== 'number' || !Number.isFinite(slippage) || slippage < 0 || slippage > MAX_SLIPPAGE) {
+            throw new FieldError('INVALID_SLIPPAGE', `${field} must be a percentage between 0 and ${MAX_SLIPPAGE}`);
+        }
+        return slippage;
+    },
+
+    // 1inch partner fee in percent
+    fee(value, field) {
+        const fee = typeof value === 'string' && /^\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+        if (typeof fee !== 'number' || !Number.isFinite(fee) || fee < 0 || fee > MAX_FEE) {
+            throw new FieldError('INVALID_FEE', `${field} must be a percentage between 0 and ${MAX_FEE}`);
+        }
+        return fee;
+    },
+
+    chainId(value, field) {
+        if (!/^\d+$/.test(String(value)) || !isSupportedChain(value)) {
+            throw new FieldError('UNSUPPORTED_CHAIN', `${field} must be one of ${getSupportedChainIds().join(', ')}`);
+        }
+        return Number(value);
+    },
+
+    integer(value, field, rule) {
+        const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isInteger(number) || number < (rule.min ?? 0) || number > (rule.max ?? Number.MAX_SAFE_INTEGER)) {
+            throw new FieldError('INVALID_INTEGER', `${field} must be an integer between ${rule.min ?? 0} and ${rule.max ?? Number.MAX_SAFE_INTEGER}`);
+        }
+        return number;
+    },
+
+    // Query strings carry booleans as 'true' / 'false'
+    boolean(value, field) {
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        throw new FieldError('INVALID_VALUE', `${field} must be true or false`);
+    },
+
+    // An array, or a comma-separated string as sent in query strings
+    list(value, field, rule) {
+        const items = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+        if (!Array.isArray(items) || items.length === 0 || items.some(item => typeof item !== 'string' || !rule.pattern.test(item))) {
+            throw new FieldError('INVALID_LIST', `${field} must be a non-empty list of ${rule.description}`);
+        }
+        return Array.from(new Set(rule.uppercase ? items.map(item => item.toUpperCase()) : items));
+    },
+
+    // Request bodies of a batch; each item is validated on its own when it runs
+    requestList(value, field, rule) {
+        if (!Array.isArray(value) || value.length === 0 || value.length > rule.max
+            || value.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new FieldError('INVALID_LIST', `${field} must be a list of 1 to ${rule.max} request objects`);
+        }
+        return value;
+    },
+
+    addressList(value, field) {
+        const items = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new FieldError('INVALID_LIST', `${field} must be a non-empty list of addresses`);
+        }
+        return Array.from(new Set(items.map((item, index) => FIELD_TYPES.address(item, `${field}[${index}]`))));
+    },
+
+    enum(value, field, rule) {
+        if (!rule.values.includes(value)) {
+            throw new FieldError('INVALID_VALUE', `${field} must be one of ${rule.values.join(', ')}`);
+        }
+        return value;
+    },
+
+    date(value, field) {
+        if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+            throw new FieldError('INVALID_DATE', `${field} must be an ISO 8601 date`);
+        }
+        return new Date(value).toISOString();
+    },
+
+    uuid(value, field) {
+        if (typeof value !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+            throw new FieldError('INVALID_ID', `${field} must be a UUID`);
+        }
+        return value.toLowerCase();
+    },
+
+    providers(value, field) {
+        if (!Array.isArray(value) || value.length === 0 || value.some(name => typeof name !== 'string')) {
+            throw new FieldError('INVALID_VALUE', `${field} must be a non-empty array of provider names`);
+        }
+        const names = value.map(name => name.toLowerCase());
+        const unknown = names.filter(name => !getProviderNames().includes(name));
+        if (unknown.length > 0) {
+            throw new FieldError('UNKNOWN_PROVIDER', `Unknown providers: ${unknown.join(', ')}; expected any of ${getProviderNames().join(', ')}`);
+        }
+        return Array.from(new Set(names));
+    },
+
+    // Name of a policy file in POLICY_DIR
+    policy(value, field) {
+        if (typeof value !== 'string' || !hasPolicy(value)) {
+            throw new FieldError('UNKNOWN_POLICY', `${field} must be one of ${getPolicyNames().join(', ')}`);
+        }
+        return value;
+    }
+};
+
+// Selling a token for itself is never a valid swap
+function distinctTokens({ fromToken, toToken }) {
+    if (fromToken && toToken && fromToken === toToken) {
+        return { field: 'toToken', code: 'SAME_TOKEN', message: 'fromToken and toToken must differ' };
+    }
+    return null;
+}
+
+// A partner fee is paid to the referrer, so one without the other is rejected
+function feeHasReferrer({ fee, referrer }) {
+    if (fee > 0 && !referrer) {
+        return { field: 'referrer', code: 'REQUIRED', message: 'referrer is required when fee is set' };
+    }
+    return null;
+}
+
+// Sweep sizes come either as a list or as a min/max range
+function sweepAmounts({ amounts, minAmount, maxAmount }) {
+    const hasRange = minAmount !== undefined || maxAmount !== undefined;
+    if (amounts && hasRange) {
+        return { field: 'amounts', code: 'INVALID_VALUE', message: 'Pass either amounts or minAmount/maxAmount, not both' };
+    }
+    if (!amounts && !hasRange) {
+        return { field: 'amounts', code: 'REQUIRED', message: 'amounts or minAmount/maxAmount is required' };
+    }
+    if (hasRange && (minAmount === undefined || maxAmount === undefined)) {
+        const field = minAmount === undefined ? 'minAmount' : 'maxAmount';
+        return { field, code: 'REQUIRED', message: `${field} is required with a range` };
+    }
+    if (hasRange && BigInt(minAmount) >= BigInt(maxAmount)) {
+        return { field: 'maxAmount', code: 'INVALID_RANGE', message: 'maxAmount must be greater than minAmount' };
+    }
+    return null;
+}
+
+// 1inch protocol ids, e.g. UNISWAP_V3 or CURVE_V2
+const protocolList = { type: 'list', pattern: /^[A-Za-z0-9_]+$/, uppercase: true, description: '1inch protocol ids' };
+
+const swapFields = {
+    fromToken: { type: 'address', required: true },
+    toToken: { type: 'address', required: true },
+    amount: { type: 'uint256', required: true, positive: true },
+    fromAddress: { type: 'address', required: true },
+    chainId: { type: 'chainId', default: DEFAULT_CHAIN_ID }
+};
+
+// Passed through to the 1inch quote and swap calls
+const swapOptionFields = {
+    slippage: { type: 'slippage' },
+    gasPrice: { type: 'uint256', positive: true },
+    protocols: protocolList,
+    excludedProtocols: protocolList,
+    connectorTokens: { type: 'addressList' },
+    complexityLevel: { type: 'integer', min: 0, max: 3 },
+    parts: { type: 'integer', min: 1, max: 100 },
+    mainRouteParts: { type: 'integer', min: 1, max: 50 },
+    fee: { type: 'fee' },
+    referrer: { type: 'address' },
+    disableEstimate: { type: 'boolean' }
+};
+
+// Request schemas by route. Fields not listed are dropped from the normalized input.
+const SCHEMAS = {
+    dataSource: {
+        fields: {
+            dataSource: { type: 'enum', values: DATA_SOURCES, default: DEFAULT_DATA_SOURCE }
+        }
+    },
+    analyzeRoute: {
+        fields: { ...swapFields, ...swapOptionFields, policy: { type: 'policy', default: DEFAULT_POLICY } },
+        rules: [distinctTokens, feeHasReferrer]
+    },
+    analyzeBatch: {
+        fields: {
+            items: { type: 'requestList', required: true, max: MAX_BATCH_ITEMS }
+        }
+    },
+    analysisId: {
+        fields: {
+            analysisId: { type: 'uuid', required: true }
+        }
+    },
+    listAnalyses: {
+        fields: {
+            fromToken: { type: 'address' },
+            toToken: { type: 'address' },
+            router: { type: 'address' },
+            chainId: { type: 'chainId' },
+            status: { type: 'enum', values: JOB_STATUSES },
+            verdict: { type: 'enum', values: ['pass', 'fail'] },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            limit: { type: 'integer', min: 1, max: MAX_LIST_LIMIT },
+            offset: { type: 'integer', min: 0 }
+        }
+    },
+    compareRoutes: {
+        fields: {
+            ...swapFields,
+            fromAddress: { type: 'address' },
+            ...swapOptionFields,
+            providers: { type: 'providers' }
+        },
+        rules: [distinctTokens, feeHasReferrer]
+    },
+    sweep: {
+        fields: {
+            fromToken: swapFields.fromToken,
+            toToken: swapFields.toToken,
+            fromAddress: swapFields.fromAddress,
+            chainId: swapFields.chainId,
+            amounts: { type: 'uint256List', max: MAX_SWEEP_POINTS, positive: true },
+            minAmount: { type: 'uint256', positive: true },
+            maxAmount: { type: 'uint256', positive: true },
+            steps: { type: 'integer', min: 2, max: MAX_SWEEP_POINTS, default: 10 },
+            scale: { type: 'enum', values: ['linear', 'log'], default: 'log' },
+            maxImpactBps: { type: 'integer', min: 0, max: 10000, default: 100 },
+            ...swapOptionFields
+        },
+        rules: [distinctTokens, sweepAmounts, feeHasReferrer]
+    },
+    tokenInfo: {
+        fields: {
+            address: { type: 'address', required: true },
+            chainId: { type: 'chainId', default: DEFAULT_CHAIN_ID }
+        }
+    },
+    knownContracts: {
+        fields: {
+            chainId: { type: 'chainId', default: DEFAULT_CHAIN_ID }
+        }
+    }
+};
+
+// Returns the normalized input or throws a ValidationError listing every invalid field
+function validateInput(schemaName, input = {}) {
+    const schema = SCHEMAS[schemaName];
+    const values = {};
+    const details = [];
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const value = input[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                details.push({ field, code: 'REQUIRED', message: `${field} is required` });
+            } else if (rule.default !== undefined) {
+                values[field] = rule.default;
+            }
+            continue;
+        }
+
+        try {
+            values[field] = FIELD_TYPES[rule.type](value, field, rule);
+        } catch (error) {
+            if (!(error instanceof FieldError)) throw error;
+            details.push({ field, code: error.code, message: error.message });
+        }
+    }
+
+    if (details.length === 0) {
+        for (const rule of schema.rules || []) {
+            const detail = rule(values);
+            if (detail) details.push(detail);
+        }
+    }
+
+    if (details.length > 0) {
+        throw new ValidationError(`Invalid request: ${details.map(detail => detail.message).join('; ')}`, details);
+    }
+    return values;
+}
+
+// Route middleware: validates path parameters plus the query string (GET) or JSON body (others)
+// and puts the normalized values on req.valid
+function validate(schemaName) {
+    return (req, res, next) => {
+        try {
+            const input = { ...(req.method === 'GET' ? req.query : req.body), ...req.params };
+            req.valid = validateInput(schemaName, input);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    validate,
+    validateInput
+};
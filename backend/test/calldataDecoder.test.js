@@ -0,0 +1,313 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decodeSwapTx, verifyMinReturn, verifyPools } = require('../services/calldataDecoder');
+const { NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+
+const ROUTER_V5 = '0x1111111254EEB25477B68fb85Ed929f73A960582';
+const ROUTER_V6 = '0x111111125421cA6dc452d289314280a0f8842A65';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const UNISWAP_V2_USDC_WETH = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+const UNISWAP_V3_USDC_WETH = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+const CURVE_STETH = '0xDC24316b9AE028F1497c275EB9192a3Ea0f67022';
+const CLIPPER = '0x655eDCE464CC797526600a462A8154650EEe4B77';
+const USER = '0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf';
+const MAKER = '0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF';
+
+// Router calldata for mainnet swaps, encoded with each router's entry point signatures. Orders sell
+// 1 WETH for 2999.999999 USDC, so a partial fill only comes out exact if it is scaled with the router's rounding.
+const CALLDATA = {
+    v5Swap: '0x12aa3caf000000000000000000000000e37e799d5077682fa0a244d46e5649f71457bd09000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000e37e799d5077682fa0a244d46e5649f71457bd090000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf00000000000000000000000000000000000000000000000000000000b2d05e00000000000000000000000000000000000000000000000000107bf6bbfe507e58000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000001400000000000000000000000000000000000000000000000000000000000000160000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000010000000000000000000000000000000000000000000000000000000000000000',
+    v5Unoswap: '0x0502b1c5000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb4800000000000000000000000000000000000000000000000000000000b2d05e00000000000000000000000000000000000000000000000000107bf6bbfe507e580000000000000000000000000000000000000000000000000000000000000080000000000000000000000000000000000000000000000000000000000000000140000000000000003b6d0340b4e16d0168e52d35cacd2c6185b44281ec28c9dc',
+    v5UnoswapTo: '0xf78dc2530000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000938580c000000000000000000000000000000000000000000000000000000000000000a0000000000000000000000000000000000000000000000000000000000000000180000000000000003b6d0340b4e16d0168e52d35cacd2c6185b44281ec28c9dc',
+    v5UniswapV3Swap: '0xe449022e00000000000000000000000000000000000000000000000000000000b2d05e00000000000000000000000000000000000000000000000000107bf6bbfe507e580000000000000000000000000000000000000000000000000000000000000060000000000000000000000000000000000000000000000000000000000000000120000000000000000000000088e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    v5UniswapV3SwapTo: '0xbc80f1a80000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf0000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000938580c00000000000000000000000000000000000000000000000000000000000000080000000000000000000000000000000000000000000000000000000000000000180000000000000000000000088e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    v5ClipperSwap: '0x84bd6d29000000000000000000000000655edce464cc797526600a462a8154650eee4b770000000000000000000000000000000000000000000000000000000000000000000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000000000000000000000000000000de0b6b3a76400000000000000000000000000000000000000000000000000000000000094dcd3600000000000000000000000000000000000000000000000000000000068f4d2c011111111111111111111111111111111111111111111111111111111111111112222222222222222222222222222222222222222222222222222222222222222',
+    v5RfqFull: '0x3eca9c0a000000000000000000000000000000000000000000000000000000000000007b000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff000000000000000000000000000000000000000000000000000000000000012000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+    v5RfqTaking: '0x3eca9c0a000000000000000000000000000000000000000000000000000000000000007b000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff00000000000000000000000000000000000000000000000000000000000001200000000000000000000000000000000000000000000000000000000011e1a3000000000000000000000000000000000000000000000000000000000000000000',
+    v5RfqMakingTo: '0x5a099843000000000000000000000000000000000000000000000000000000000000007b000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff0000000000000000000000000000000000000000000000000000000000000140800000000000000000000000000000000000000000000000016345785d8a00000000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf0000000000000000000000000000000000000000000000000000000000000000',
+    v5FillOrderTaking: '0x62e238bb00000000000000000000000000000000000000000000000000000000000000c00000000000000000000000000000000000000000000000000000000000000220000000000000000000000000000000000000000000000000000000000000024000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000059682f0080000000000000000000000000000000000000000000000006ccd46763f10000000000000000000000000000000000000000000000000000000000000000002a000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000140000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+    v5FillOrderToMaking: '0xe5d7bde600000000000000000000000000000000000000000000000000000000000000e000000000000000000000000000000000000000000000000000000000000002400000000000000000000000000000000000000000000000000000000000000260000000000000000000000000000000000000000000000000016345785d8a000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000011e1a3000000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf000000000000000000000000000000000000000000000000000000000000002a000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000140000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+    v6Swap: '0x07ed23790000000000000000000000005141b82f5ffda4c6fe1e372978f1c5427640a190000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc20000000000000000000000005141b82f5ffda4c6fe1e372978f1c5427640a1900000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf00000000000000000000000000000000000000000000000000000000b2d05e00000000000000000000000000000000000000000000000000107bf6bbfe507e580000000000000000000000000000000000000000000000000000000000000001000000000000000000000000000000000000000000000000000000000000012000000000000000000000000000000000000000000000000000000000000000010000000000000000000000000000000000000000000000000000000000000000',
+    v6Unoswap: '0x83800a8e000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb4800000000000000000000000000000000000000000000000000000000b2d05e00000000000000000000000000000000000000000000000000107bf6bbfe507e5830800000000000000000000088e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    v6Unoswap2: '0x8770ba91000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb4800000000000000000000000000000000000000000000000000000000b2d05e00000000000000000000000000000000000000000000000000107bf6bbfe507e5804800000000000003b6d0340b4e16d0168e52d35cacd2c6185b44281ec28c9dc500000000000000000000000dc24316b9ae028f1497c275eb9192a3ea0f67022',
+    v6UnoswapTo: '0xe2c95c820000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb4800000000000000000000000000000000000000000000000000000000b2d05e00000000000000000000000000000000000000000000000000107bf6bbfe507e5830800000000000000000000088e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    v6EthUnoswap: '0xa76dfc3b00000000000000000000000000000000000000000000000000000000938580c020000000000000000000000088e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    v6ClipperSwap: '0xd2d374e5000000000000000000000000655edce464cc797526600a462a8154650eee4b77000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000009502f9000000000000000000000000000000000000000000000000000dd7d4f70b73c0000000000000000000000000000000000000000000000000000000000068f4d2c011111111111111111111111111111111111111111111111111111111111111112222222222222222222222222222222222222222222222222222222222222222',
+    v6FillOrderThreshold: '0x9fda64bd00000000000000000000000000000000000000000000000000000000000000070000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff0000000000000000000000000000000000000000000000000000000000000000111111111111111111111111111111111111111111111111111111111111111122222222222222222222222222222222222222222222222222222222222222220000000000000000000000000000000000000000000000000000000011e1a300400000000000000000000000000000000000000000000000015fb7f9b8c38000',
+    v6FillOrderMaking: '0x9fda64bd00000000000000000000000000000000000000000000000000000000000000070000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff000000000000000000000000000000000000000000000000000000000000000011111111111111111111111111111111111111111111111111111111111111112222222222222222222222222222222222222222222222222222222222222222000000000000000000000000000000000000000000000000016345785d8a00009000000000000000000000000000000000000000000000000000000011e1a300',
+    v6FillOrderArgs: '0xf497df7500000000000000000000000000000000000000000000000000000000000000070000000000000000000000002b5ad5c4795c026514f8317c7a215e218dccd6cf0000000000000000000000007e5f4552091a69125d5dfcb7b8c2659029395bdf000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb480000000000000000000000000000000000000000000000000de0b6b3a764000000000000000000000000000000000000000000000000000000000000b2d05dff0000000000000000000000000000000000000000000000000000000000000000111111111111111111111111111111111111111111111111111111111111111122222222222222222222222222222222222222222222222222222222222222220000000000000000000000000000000000000000000000000000000011e1a300000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000001a00000000000000000000000000000000000000000000000000000000000000000'
+};
+
+function decode(router, data, value = '0') {
+    return decodeSwapTx({ to: router, data, value }, 1);
+}
+
+test('decodes the generic V5 swap description and leaves its pools to the executor', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5Swap);
+
+    assert.equal(decoded.decoded, true);
+    assert.equal(decoded.routerVersion, 'V5');
+    assert.equal(decoded.selector, '0x12aa3caf');
+    assert.equal(decoded.executor, '0xE37e799D5077682FA0a244D46E5649F71457BD09');
+    assert.equal(decoded.srcToken, USDC);
+    assert.equal(decoded.dstToken, WETH);
+    assert.equal(decoded.recipient, USER);
+    assert.equal(decoded.amount, '3000000000');
+    assert.equal(decoded.minReturn, '1187814214028263000');
+    assert.deepEqual(decoded.flags, { raw: '0', partialFill: false, requiresExtraEth: false });
+    assert.equal(verifyPools(decoded, ['UNISWAP_V3']).checked, false);
+});
+
+test('decodes V5 unoswap pool words', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5Unoswap);
+
+    assert.equal(decoded.selector, '0x0502b1c5');
+    assert.equal(decoded.srcToken, USDC);
+    assert.equal(decoded.recipient, null);
+    assert.equal(decoded.amount, '3000000000');
+    assert.equal(decoded.minReturn, '1187814214028263000');
+    assert.equal(decoded.pools.length, 1);
+    assert.equal(decoded.pools[0].address, UNISWAP_V2_USDC_WETH);
+    assert.equal(decoded.pools[0].protocol, 'UniswapV2');
+    assert.equal(decoded.pools[0].zeroForOne, true);
+    assert.equal(decoded.pools[0].weth, true);
+    assert.equal(decoded.pools[0].feeNumerator, '997000000');
+});
+
+test('decodes a reversed V5 unoswapTo from ETH', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5UnoswapTo, '1000000000000000000');
+
+    assert.equal(decoded.function, 'unoswapTo');
+    assert.equal(decoded.srcToken, NATIVE_TOKEN_ADDRESS);
+    assert.equal(decoded.recipient, USER);
+    assert.equal(decoded.value, '1000000000000000000');
+    assert.equal(decoded.pools[0].zeroForOne, false);
+    assert.equal(decoded.pools[0].weth, false);
+});
+
+test('decodes V5 uniswapV3Swap direction and unwrap flags', () => {
+    const toEth = decode(ROUTER_V5, CALLDATA.v5UniswapV3Swap);
+    assert.equal(toEth.selector, '0xe449022e');
+    assert.equal(toEth.srcToken, null);
+    assert.equal(toEth.amount, '3000000000');
+    assert.deepEqual(
+        { address: toEth.pools[0].address, protocol: toEth.pools[0].protocol, zeroForOne: toEth.pools[0].zeroForOne, unwrapWeth: toEth.pools[0].unwrapWeth },
+        { address: UNISWAP_V3_USDC_WETH, protocol: 'UniswapV3', zeroForOne: true, unwrapWeth: true }
+    );
+
+    const fromEth = decode(ROUTER_V5, CALLDATA.v5UniswapV3SwapTo, '1000000000000000000');
+    assert.equal(fromEth.recipient, USER);
+    assert.equal(fromEth.minReturn, '2475000000');
+    assert.equal(fromEth.pools[0].zeroForOne, false);
+    assert.equal(fromEth.pools[0].unwrapWeth, false);
+});
+
+test('decodes V5 clipperSwap', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5ClipperSwap, '1000000000000000000');
+
+    assert.equal(decoded.selector, '0x84bd6d29');
+    assert.equal(decoded.executor, CLIPPER);
+    assert.equal(decoded.srcToken, NATIVE_TOKEN_ADDRESS);
+    assert.equal(decoded.dstToken, USDC);
+    assert.equal(decoded.amount, '1000000000000000000');
+    assert.equal(decoded.minReturn, '2497500000');
+    assert.equal(decoded.goodUntil, '1760875200');
+    assert.deepEqual(decoded.pools, [{ address: CLIPPER, protocol: 'Clipper' }]);
+});
+
+test('decodes a V5 RFQ order filled in full', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5RfqFull);
+
+    assert.equal(decoded.selector, '0x3eca9c0a');
+    assert.equal(decoded.executor, MAKER);
+    assert.equal(decoded.srcToken, USDC);
+    assert.equal(decoded.dstToken, WETH);
+    assert.equal(decoded.amount, '2999999999');
+    assert.equal(decoded.minReturn, '1000000000000000000');
+    assert.deepEqual(decoded.pools, [{ address: MAKER, protocol: 'RFQ' }]);
+});
+
+test('scales a partial V5 RFQ fill to the taking amount', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5RfqTaking);
+
+    assert.equal(decoded.flags.makerAmount, false);
+    assert.equal(decoded.amount, '300000000');
+    // Rounded down, as the router computes the making amount
+    assert.equal(decoded.minReturn, '100000000033333333');
+});
+
+test('scales a partial V5 RFQ fill to the making amount', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5RfqMakingTo);
+
+    assert.equal(decoded.function, 'fillOrderRFQTo');
+    assert.equal(decoded.flags.makerAmount, true);
+    assert.equal(decoded.recipient, USER);
+    assert.equal(decoded.minReturn, '100000000000000000');
+    // Rounded up, as the router computes the taking amount
+    assert.equal(decoded.amount, '300000000');
+});
+
+test('decodes a V5 limit order filled by taking amount with a threshold', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5FillOrderTaking);
+
+    assert.equal(decoded.selector, '0x62e238bb');
+    assert.equal(decoded.amount, '1500000000');
+    assert.equal(decoded.minReturn, '490000000000000000');
+    assert.deepEqual(decoded.flags, { raw: ((1n << 255n) | 490000000000000000n).toString(), skipPermit: true, threshold: '490000000000000000' });
+    assert.deepEqual(decoded.pools, [{ address: MAKER, protocol: 'LimitOrder' }]);
+});
+
+test('decodes a partial V5 limit order filled by making amount', () => {
+    const decoded = decode(ROUTER_V5, CALLDATA.v5FillOrderToMaking);
+
+    assert.equal(decoded.function, 'fillOrderTo');
+    assert.equal(decoded.recipient, USER);
+    assert.equal(decoded.minReturn, '100000000000000000');
+    assert.equal(decoded.amount, '300000000');
+    assert.equal(decoded.flags.skipPermit, false);
+    assert.equal(decoded.order.makingAmount, '1000000000000000000');
+});
+
+test('decodes the generic V6 swap description with its partial fill flag', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6Swap);
+
+    assert.equal(decoded.routerVersion, 'V6');
+    assert.equal(decoded.selector, '0x07ed2379');
+    assert.equal(decoded.executor, '0x5141B82f5fFDa4c6fE1E372978F1C5427640a190');
+    assert.equal(decoded.srcReceiver, '0x5141B82f5fFDa4c6fE1E372978F1C5427640a190');
+    assert.equal(decoded.recipient, USER);
+    assert.equal(decoded.flags.partialFill, true);
+    assert.equal(decoded.poolsOpaque, true);
+});
+
+test('decodes V6 unoswap Address words and protocol flags', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6Unoswap);
+
+    assert.equal(decoded.selector, '0x83800a8e');
+    assert.equal(decoded.srcToken, USDC);
+    assert.equal(decoded.amount, '3000000000');
+    assert.equal(decoded.minReturn, '1187814214028263000');
+    assert.deepEqual({ ...decoded.pools[0], raw: undefined }, {
+        address: UNISWAP_V3_USDC_WETH,
+        protocol: 'UniswapV3',
+        unwrapWeth: true,
+        notWrapWeth: false,
+        usePermit2: false,
+        zeroForOne: true,
+        raw: undefined
+    });
+});
+
+test('decodes each pool of a V6 unoswap2', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6Unoswap2);
+    const [uniswapV2, curve] = decoded.pools;
+
+    assert.equal(decoded.selector, '0x8770ba91');
+    assert.equal(uniswapV2.address, UNISWAP_V2_USDC_WETH);
+    assert.equal(uniswapV2.protocol, 'UniswapV2');
+    assert.equal(uniswapV2.usePermit2, true);
+    assert.equal(uniswapV2.zeroForOne, true);
+    assert.equal(uniswapV2.feeRaw, '997000000');
+    assert.equal(curve.address, CURVE_STETH);
+    assert.equal(curve.protocol, 'Curve');
+    assert.equal(curve.unwrapWeth, true);
+    assert.equal(curve.zeroForOne, undefined);
+});
+
+test('decodes the recipient of a V6 unoswapTo and the input of ethUnoswap', () => {
+    const unoswapTo = decode(ROUTER_V6, CALLDATA.v6UnoswapTo);
+    assert.equal(unoswapTo.recipient, USER);
+    assert.equal(unoswapTo.srcToken, USDC);
+
+    const ethUnoswap = decode(ROUTER_V6, CALLDATA.v6EthUnoswap, '1000000000000000000');
+    assert.equal(ethUnoswap.selector, '0xa76dfc3b');
+    assert.equal(ethUnoswap.srcToken, NATIVE_TOKEN_ADDRESS);
+    assert.equal(ethUnoswap.amount, '1000000000000000000');
+    assert.equal(ethUnoswap.minReturn, '2475000000');
+    assert.equal(ethUnoswap.pools[0].zeroForOne, false);
+    assert.equal(ethUnoswap.pools[0].unwrapWeth, false);
+});
+
+test('decodes V6 clipperSwap', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6ClipperSwap);
+
+    assert.equal(decoded.selector, '0xd2d374e5');
+    assert.equal(decoded.srcToken, USDC);
+    assert.equal(decoded.dstToken, NATIVE_TOKEN_ADDRESS);
+    assert.equal(decoded.amount, '2500000000');
+    assert.equal(decoded.minReturn, '997500000000000000');
+});
+
+test('takes the TakerTraits threshold as the minimum return of a V6 fill by taking amount', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6FillOrderThreshold);
+
+    assert.equal(decoded.selector, '0x9fda64bd');
+    assert.equal(decoded.executor, MAKER);
+    assert.equal(decoded.recipient, null);
+    assert.equal(decoded.amount, '300000000');
+    assert.equal(decoded.minReturn, '99000000000000000');
+    assert.equal(decoded.flags.makerAmount, false);
+    assert.equal(decoded.flags.unwrapWeth, true);
+    assert.equal(decoded.flags.threshold, '99000000000000000');
+});
+
+test('scales a partial V6 fill by making amount', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6FillOrderMaking);
+
+    assert.equal(decoded.flags.makerAmount, true);
+    assert.equal(decoded.flags.usePermit2, true);
+    assert.equal(decoded.flags.threshold, '300000000');
+    assert.equal(decoded.minReturn, '100000000000000000');
+    assert.equal(decoded.amount, '300000000');
+});
+
+test('scales a partial V6 fillOrderArgs without a threshold to the taking amount', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6FillOrderArgs);
+
+    assert.equal(decoded.selector, '0xf497df75');
+    assert.equal(decoded.recipient, USER);
+    assert.equal(decoded.amount, '300000000');
+    assert.equal(decoded.minReturn, '100000000033333333');
+    assert.equal(decoded.order.takingAmount, '2999999999');
+});
+
+test('reports unknown selectors and V5 calldata sent to the V6 router as undecoded', () => {
+    assert.deepEqual(decode(ROUTER_V6, '0xdeadbeef' + '00'.repeat(32)), {
+        decoded: false,
+        selector: '0xdeadbeef',
+        error: 'Unknown router function selector'
+    });
+    assert.equal(decode(ROUTER_V6, CALLDATA.v5Unoswap).decoded, false);
+    assert.equal(decodeSwapTx({ to: ROUTER_V6, data: '0x' }, 1).error, 'Transaction has no calldata');
+});
+
+test('matches minReturn to the quoted slippage within one basis point', () => {
+    const decoded = minReturn => ({ decoded: true, minReturn });
+
+    assert.deepEqual(verifyMinReturn(decoded('990000'), '1000000', 1), {
+        checked: true,
+        minReturn: '990000',
+        expectedMinReturn: '990000',
+        requestedSlippageBps: 100,
+        impliedSlippageBps: 100,
+        matches: true
+    });
+    assert.equal(verifyMinReturn(decoded('989900'), '1000000', 1).matches, true);
+    assert.equal(verifyMinReturn(decoded('990100'), '1000000', 1).matches, true);
+    assert.equal(verifyMinReturn(decoded('989800'), '1000000', 1).matches, false);
+    assert.equal(verifyMinReturn(decoded('990200'), '1000000', 1).matches, false);
+    assert.equal(verifyMinReturn(decoded(null), '1000000', 1).checked, false);
+});
+
+test('matches calldata pools against the quoted DEX names', () => {
+    const decoded = decode(ROUTER_V6, CALLDATA.v6Unoswap2);
+
+    assert.equal(verifyPools(decoded, ['UNISWAP_V2', 'CURVE_V2']).matches, true);
+
+    const partial = verifyPools(decoded, ['uniswap_v3']);
+    assert.equal(partial.matches, false);
+    assert.deepEqual(partial.unmatched, [UNISWAP_V2_USDC_WETH, CURVE_STETH]);
+});
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Plain ERC-20 storage layout: balances in slot 0, allowances in slot 1, as the simulator probes them
+contract TestToken {
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        require(balanceOf[msg.sender] >= amount, "Insufficient balance");
+        balanceOf[msg.sender] -= amount;
+        balanceOf[to] += amount;
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        require(allowance[from][msg.sender] >= amount, "Insufficient allowance");
+        require(balanceOf[from] >= amount, "Insufficient balance");
+        allowance[from][msg.sender] -= amount;
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        return true;
+    }
+}
+
+// Pays out twice the input from its own balance and returns (returnAmount, spentAmount) like the 1inch routers
+contract TestRouter {
+    function swap(TestToken srcToken, TestToken dstToken, uint256 amount, uint256 minReturn)
+        external
+        returns (uint256 returnAmount, uint256 spentAmount)
+    {
+        srcToken.transferFrom(msg.sender, address(this), amount);
+        returnAmount = amount * 2;
+        require(returnAmount >= minReturn, "Min return not reached");
+        dstToken.transfer(msg.sender, returnAmount);
+        spentAmount = amount;
+    }
+}
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.HTTP_MAX_RETRIES = '0';
+
+const { OpenOceanProvider } = require('../services/providers/openOceanProvider');
+const { runWithContext } = require('../services/requestContext');
+const { NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+
+const PARAMS = {
+    chainId: 1,
+    fromToken: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    toToken: NATIVE_TOKEN_ADDRESS,
+    amount: '3000000000',
+    fromAddress: null,
+    slippage: 1
+};
+
+// A node whose answer to eth_gasPrice is set per test
+let gasPriceResponse;
+let server;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { id } = JSON.parse(body);
+            if (gasPriceResponse.status) {
+                res.writeHead(gasPriceResponse.status);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, ...gasPriceResponse }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.MAINNET_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// The OpenOcean API itself is stubbed; the test is about the gas price sent to it
+function quote() {
+    const provider = new OpenOceanProvider();
+    const sent = [];
+    provider.request = async (operation, params, config) => {
+        sent.push(config.params.gasPriceDecimals);
+        return { code: 200, data: { outAmount: '1199420873551062212', estimatedGas: '230000' } };
+    };
+    return runWithContext({ dataSource: 'live' }, () => provider.getQuote(PARAMS)).then(result => ({ result, sent }));
+}
+
+test('quotes at the node gas price', async () => {
+    gasPriceResponse = { result: '0x4e3b29200' };
+    const { result, sent } = await quote();
+
+    assert.deepEqual(sent, ['21000000000']);
+    assert.equal(result.degraded, false);
+});
+
+test('marks the quote degraded when the node has no gas price', async () => {
+    gasPriceResponse = { error: { code: -32601, message: 'Method eth_gasPrice not supported' } };
+    const { result, sent } = await quote();
+
+    assert.deepEqual(sent, ['1000000000']);
+    assert.equal(result.degraded, true);
+    assert.match(result.degradedReason, /fallback gas price/);
+});
+
+test('fails the quote instead of using a fallback price when the node is unavailable', async () => {
+    gasPriceResponse = { status: 503 };
+    await assert.rejects(quote(), error => error.category === 'upstream');
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluatePolicy } = require('../services/policyEngine');
+
+function simulationRule(simulationResults) {
+    const verdict = evaluatePolicy('default', { dataSource: 'live', simulationResults });
+    return { verdict: verdict.verdict, rule: verdict.rules.find(rule => rule.id === 'simulation-succeeded') };
+}
+
+test('passes simulationSucceeded when the route calldata executed without reverting', () => {
+    const { rule } = simulationRule({ engine: 'rpc', success: true, execution: { reverted: false } });
+
+    assert.equal(rule.status, 'passed');
+});
+
+test('fails simulationSucceeded when the route calldata reverted', () => {
+    const { rule } = simulationRule({ engine: 'rpc', success: false, execution: { reverted: true, revertReason: 'Min return not reached' } });
+
+    assert.equal(rule.status, 'failed');
+    assert.match(rule.reason, /Min return not reached/);
+});
+
+// The forge engine runs a fixed test, so it says nothing about this route
+test('treats a simulation without an execution as missing and blocks the verdict', () => {
+    const { verdict, rule } = simulationRule({ engine: 'foundry', success: null, degraded: true });
+
+    assert.equal(rule.status, 'unknown');
+    assert.equal(rule.blocking, true);
+    assert.equal(verdict, 'fail');
+});
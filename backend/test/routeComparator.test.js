@@ -0,0 +1,98 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Configured fees, so only the provider responses and the 1inch ETH price come from fixtures
+process.env.GAS_BASE_FEE_GWEI = '20';
+process.env.GAS_PRIORITY_FEE_GWEI = '1';
+delete process.env.NATIVE_USD_PRICES;
+delete process.env.FIXTURE_DIR;
+
+// The per-provider progress lines can corrupt the test runner's child output on Node 20
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const { compareRoutes } = require('../services/routeComparator');
+const { runWithContext } = require('../services/requestContext');
+const { NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+
+// 3000 USDC to ETH on mainnet, the swap the sample fixtures in backend/fixtures were written for.
+// Selling for the native token keeps the token metadata lookup off the RPC node.
+const SWAP = {
+    chainId: 1,
+    fromToken: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    toToken: NATIVE_TOKEN_ADDRESS,
+    amount: '3000000000',
+    fromAddress: '0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf',
+    slippage: 1
+};
+
+function compareFromFixtures(swap) {
+    return runWithContext({ dataSource: 'fixture' }, () => compareRoutes(swap));
+}
+
+test('replays every provider from fixtures and ranks the routes by output after gas', async () => {
+    const comparison = await compareFromFixtures(SWAP);
+
+    assert.equal(comparison.dataSource, 'fixture');
+    assert.equal(comparison.rankedBy, 'netOutput');
+    assert.equal(comparison.degraded, false);
+    assert.deepEqual(comparison.gasErrors, []);
+    assert.equal(comparison.gasFees.gasPrice, '21000000000');
+    assert.equal(comparison.prices.native, '2500');
+    assert.deepEqual(comparison.unsupported, []);
+
+    assert.ok(comparison.results.every(result => result.success), JSON.stringify(comparison.results.filter(result => !result.success)));
+    // 1inch quotes the most ETH, but CoW Swap pays no gas and Uniswap's route is the cheapest to execute
+    assert.deepEqual(comparison.results.map(result => result.provider), ['cowswap', 'uniswap', '1inch', '0x', 'paraswap', 'openocean']);
+    assert.equal(comparison.best, 'cowswap');
+
+    const byProvider = Object.fromEntries(comparison.results.map(result => [result.provider, result]));
+    assert.equal(byProvider.cowswap.tx, null);
+    assert.equal(byProvider.cowswap.gasCostInToToken, '0');
+    assert.equal(byProvider.uniswap.gasCostInToToken, '3150000000000000');
+    assert.equal(byProvider['1inch'].netOutput, (1199812337402261528n - 180000n * 21000000000n).toString());
+    for (const result of comparison.results) {
+        assert.equal(result.gasCost.complete, true, result.provider);
+        assert.ok(result.routeBreakdown.dexes.length > 0, result.provider);
+    }
+});
+
+test('reads each adapter response in its provider format', async () => {
+    const comparison = await compareFromFixtures(SWAP);
+    const byProvider = Object.fromEntries(comparison.results.map(result => [result.provider, result]));
+
+    // 1inch minReturn is decoded from the swap calldata
+    assert.equal(byProvider['1inch'].minReturn, (1199812337402261528n * 99n / 100n).toString());
+    assert.equal(byProvider['1inch'].tx.to, '0x111111125421ca6dc452d289314280a0f8842a65');
+    assert.deepEqual(byProvider['1inch'].routeBreakdown.dexes, ['UNISWAP_V3', 'CURVE_V2', 'WETH']);
+    assert.deepEqual(byProvider['0x'].routeBreakdown.routes[0].hops[0].fills, [
+        { dex: 'Uniswap_V3', part: 70 },
+        { dex: 'Maverick_V2', part: 30 }
+    ]);
+    assert.equal(byProvider.paraswap.estimatedGas, 210000);
+    assert.equal(byProvider.openocean.minReturn, (1199420873551062212n * 99n / 100n).toString());
+    assert.deepEqual(byProvider.uniswap.routeBreakdown.routes.map(route => route.part), [80, 20]);
+    assert.equal(byProvider.cowswap.routeBreakdown.dexes[0], 'COW_SOLVER_AUCTION');
+});
+
+test('fails each provider with FIXTURE_MISSING when the swap was never recorded', async () => {
+    const comparison = await compareFromFixtures({ ...SWAP, amount: '1000000000' });
+
+    assert.equal(comparison.best, null);
+    assert.equal(comparison.results.length, 6);
+    for (const result of comparison.results) {
+        assert.equal(result.success, false);
+        assert.equal(result.errorCode, 'FIXTURE_MISSING', result.provider);
+    }
+});
+
+test('sends the analyze-route swap options to 1inch only', async () => {
+    const comparison = await compareFromFixtures({ ...SWAP, protocols: ['UNISWAP_V3'] });
+    const oneInch = comparison.results.find(result => result.provider === '1inch');
+
+    // The sample 1inch fixtures were written without a protocols filter
+    assert.equal(oneInch.success, false);
+    assert.equal(oneInch.errorCode, 'FIXTURE_MISSING');
+    assert.match(oneInch.error, /1inch quote/);
+    assert.equal(comparison.results.filter(result => result.success).length, 5);
+});
@@ -0,0 +1,115 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { ContractFactory, JsonRpcProvider, Wallet } = require('ethers');
+const { simulateTx } = require('../services/rpcSimulator');
+
+// Runs against a local anvil with no external network: the token and router are deployed by the test.
+// ANVIL_RPC_URL points the test at a node that is already running instead of starting anvil.
+const ANVIL_PORT = 18545;
+const ANVIL_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const FROM = '0x00000000000000000000000000000000000a11ce';
+const AMOUNT = 10n ** 18n;
+
+const external = process.env.ANVIL_RPC_URL;
+const anvilInstalled = !spawnSync('anvil', ['--version']).error;
+const skip = !external && !anvilInstalled && 'anvil is not installed (or set ANVIL_RPC_URL)';
+
+function compile() {
+    const solc = require('solc');
+    const file = 'SimulationTargets.sol';
+    const output = JSON.parse(solc.compile(JSON.stringify({
+        language: 'Solidity',
+        sources: { [file]: { content: fs.readFileSync(path.join(__dirname, 'contracts', file), 'utf8') } },
+        settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+    })));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+    return output.contracts[file];
+}
+
+async function waitForNode(provider) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        try {
+            return await provider.getBlockNumber();
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error('anvil did not start');
+}
+
+describe('rpcSimulator against anvil', { skip }, () => {
+    let anvil = null;
+    let rpcUrl;
+    let srcToken;
+    let dstToken;
+    let router;
+
+    before(async () => {
+        rpcUrl = external || `http://127.0.0.1:${ANVIL_PORT}`;
+        if (!external) {
+            anvil = spawn('anvil', ['--port', String(ANVIL_PORT), '--silent'], { stdio: 'ignore' });
+        }
+        const provider = new JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+        await waitForNode(provider);
+
+        const contracts = compile();
+        const deployer = external ? await provider.getSigner(0) : new Wallet(ANVIL_KEY, provider);
+        const deploy = async name => {
+            const { abi, evm } = contracts[name];
+            const contract = await new ContractFactory(abi, evm.bytecode.object, deployer).deploy();
+            await contract.waitForDeployment();
+            return contract;
+        };
+
+        srcToken = await deploy('TestToken');
+        dstToken = await deploy('TestToken');
+        router = await deploy('TestRouter');
+        // The router pays out of its own balance; the sender is funded by the simulator's overrides
+        await (await dstToken.mint(await router.getAddress(), 10n * AMOUNT)).wait();
+    });
+
+    after(() => {
+        if (anvil) anvil.kill();
+    });
+
+    async function simulate(minReturn) {
+        const [src, dst, to] = await Promise.all([srcToken.getAddress(), dstToken.getAddress(), router.getAddress()]);
+        const data = router.interface.encodeFunctionData('swap', [src, dst, AMOUNT, minReturn]);
+        return simulateTx({
+            chainId: 1,
+            fromAddress: FROM,
+            amount: AMOUNT.toString(),
+            tx: { to, data, value: '0' },
+            decodedTx: { srcToken: src, dstToken: dst, amount: AMOUNT.toString(), recipient: FROM, function: 'swap' }
+        }, { rpcUrl });
+    }
+
+    test('simulates the swap from an unfunded sender with output, gas and balance deltas', async () => {
+        const result = await simulate(AMOUNT);
+        const [src, dst] = await Promise.all([srcToken.getAddress(), dstToken.getAddress()]);
+
+        assert.equal(result.reverted, false);
+        assert.deepEqual(result.overrides.balanceSlot, { slot: 0, layout: 'solidity' });
+        assert.deepEqual(result.overrides.allowanceSlot, { slot: 1, layout: 'solidity' });
+        assert.equal(result.outputAmount, (2n * AMOUNT).toString());
+        assert.equal(result.spentAmount, AMOUNT.toString());
+        // Two token transfers with cold storage, well below a real router's swap
+        assert.ok(result.gasUsed > 50000 && result.gasUsed < 150000, `gasUsed ${result.gasUsed}`);
+        assert.deepEqual(result.balanceDeltas.map(({ token, holder, delta }) => [token, holder, delta]), [
+            [src, FROM, (-AMOUNT).toString()],
+            [dst, FROM, (2n * AMOUNT).toString()]
+        ]);
+    });
+
+    test('reports a revert with its decoded reason', async () => {
+        const result = await simulate(3n * AMOUNT);
+
+        assert.equal(result.reverted, true);
+        assert.equal(result.revertReason, 'Min return not reached');
+        assert.equal(result.outputAmount, null);
+    });
+});
@@ -0,0 +1,153 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { AbiCoder, Interface, keccak256 } = require('ethers');
+
+// Upstream failures surface on the first attempt instead of after the backoff
+process.env.HTTP_MAX_RETRIES = '0';
+
+const { simulateTx } = require('../services/rpcSimulator');
+const { NATIVE_TOKEN_ADDRESS } = require('../config/chains');
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+const errorString = new Interface(['function Error(string)']);
+const ROUTER = '0x111111125421cA6dc452d289314280a0f8842A65';
+const TOKEN = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const FROM = '0x00000000000000000000000000000000000a11ce';
+
+// The token keeps balances at Solidity slot 9 and allowances at slot 10
+const erc20 = new Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)'
+]);
+const mappingKey = (key, slot) => keccak256(abiCoder.encode(['address', 'uint256'], [key, slot]));
+const BALANCE_KEY = mappingKey(FROM, 9n);
+const ALLOWANCE_KEY = keccak256(abiCoder.encode(['address', 'bytes32'], [ROUTER, mappingKey(FROM, 10n)]));
+
+// A JSON-RPC node whose answers to the swap's and the token's eth_calls are set per test
+let swapResponse;
+let tokenResponse = null;
+let tokenCalls = 0;
+let server;
+let rpcUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { id, method, params } = JSON.parse(body);
+            const reply = payload => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ jsonrpc: '2.0', id, ...payload }));
+            };
+
+            if (method === 'eth_blockNumber') return reply({ result: '0x10' });
+            if (method === 'eth_estimateGas') return reply({ result: '0x1d4c0' });
+            if (method === 'eth_call' && params[0].to === TOKEN) {
+                tokenCalls++;
+                if (tokenResponse?.status) {
+                    res.writeHead(tokenResponse.status);
+                    return res.end();
+                }
+                const stateDiff = params[2]?.[TOKEN]?.stateDiff || {};
+                const key = params[0].data.startsWith(erc20.getFunction('balanceOf').selector) ? BALANCE_KEY : ALLOWANCE_KEY;
+                return reply({ result: stateDiff[key] || '0x' + '0'.repeat(64) });
+            }
+            if (method === 'eth_call' && params[0].to === ROUTER) {
+                if (swapResponse.status) {
+                    res.writeHead(swapResponse.status);
+                    return res.end();
+                }
+                return reply(swapResponse);
+            }
+            reply({ error: { code: -32601, message: `Method ${method} not supported` } });
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    rpcUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// 1 ETH in; the native side needs no balance or allowance slots
+function simulate() {
+    return simulateTx({
+        chainId: 1,
+        fromAddress: FROM,
+        amount: '1000000000000000000',
+        tx: { to: ROUTER, data: '0x12345678', value: '1000000000000000000' },
+        decodedTx: { srcToken: NATIVE_TOKEN_ADDRESS, dstToken: TOKEN, amount: '1000000000000000000', function: 'swap' }
+    }, { rpcUrl });
+}
+
+// 3000 USDC in; the sender's balance and allowance come from the probed slots
+function simulateTokenSale() {
+    return simulateTx({
+        chainId: 1,
+        fromAddress: FROM,
+        amount: '3000000000',
+        tx: { to: ROUTER, data: '0x12345678', value: '0' },
+        decodedTx: { srcToken: TOKEN, dstToken: NATIVE_TOKEN_ADDRESS, amount: '3000000000', function: 'swap' }
+    }, { rpcUrl });
+}
+
+test('returns the output, gas and derived balance deltas of a successful call', async () => {
+    swapResponse = { result: abiCoder.encode(['uint256', 'uint256'], [3000000000n, 10n ** 18n]) };
+    const result = await simulate();
+
+    assert.equal(result.reverted, false);
+    assert.equal(result.outputAmount, '3000000000');
+    assert.equal(result.gasUsed, 120000);
+    assert.deepEqual(result.balanceDeltas.map(({ token, delta }) => [token, delta]), [
+        [NATIVE_TOKEN_ADDRESS, '-1000000000000000000'],
+        [TOKEN, '3000000000']
+    ]);
+});
+
+test('reports an execution error with revert data as a revert with its decoded reason', async () => {
+    swapResponse = {
+        error: {
+            code: 3,
+            message: 'execution reverted: Min return not reached',
+            data: errorString.encodeFunctionData('Error', ['Min return not reached'])
+        }
+    };
+    const result = await simulate();
+
+    assert.equal(result.reverted, true);
+    assert.equal(result.revertReason, 'Min return not reached');
+});
+
+test('fails instead of reporting a revert when the node is unavailable', async () => {
+    swapResponse = { status: 503 };
+    await assert.rejects(simulate(), error => error.category === 'upstream');
+});
+
+test('fails instead of reporting a revert on a node error without revert data', async () => {
+    swapResponse = { error: { code: -32000, message: 'header not found' } };
+    await assert.rejects(simulate(), /header not found/);
+});
+
+test('finds the balance and allowance slots with one probe call each', async () => {
+    swapResponse = { result: abiCoder.encode(['uint256', 'uint256'], [10n ** 18n, 3000000000n]) };
+    tokenCalls = 0;
+    const result = await simulateTokenSale();
+
+    assert.equal(result.reverted, false);
+    assert.deepEqual(result.overrides, {
+        balanceSlot: { slot: 9, layout: 'solidity' },
+        allowanceSlot: { slot: 10, layout: 'solidity' }
+    });
+    assert.equal(tokenCalls, 2);
+});
+
+test('fails instead of simulating without overrides when the node fails during slot probing', async () => {
+    swapResponse = { result: abiCoder.encode(['uint256', 'uint256'], [10n ** 18n, 3000000000n]) };
+    tokenResponse = { status: 503 };
+    try {
+        await assert.rejects(simulateTokenSale(), error => error.category === 'upstream');
+    } finally {
+        tokenResponse = null;
+    }
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.HTTP_MAX_RETRIES = '0';
+process.env.ETHERSCAN_API_KEY = 'test';
+
+const { detectProxyPatterns } = require('../services/securityScanner');
+const { chains } = require('../config/chains');
+
+// Deployed runtime of GnosisSafeProxy 1.3.0 and SafeProxy 1.4.1, from the published
+// @gnosis.pm/safe-contracts and @safe-global/safe-contracts build artifacts
+const SAFE_PROXY_RUNTIMES = {
+    '1.3.0': '0x608060405273ffffffffffffffffffffffffffffffffffffffff600054167fa619486e0000000000000000000000000000000000000000000000000000000060003514156050578060005260206000f35b3660008037600080366000845af43d6000803e60008114156070573d6000fd5b3d6000f3fea2646970667358221220d1429297349653a4918076d650332de1a1068c5f3e07c5c82360c277770b955264736f6c63430007060033',
+    '1.4.1': '0x608060405273ffffffffffffffffffffffffffffffffffffffff600054167fa619486e0000000000000000000000000000000000000000000000000000000060003514156050578060005260206000f35b3660008037600080366000845af43d6000803e60008114156070573d6000fd5b3d6000f3fea264697066735822122003d1488ee65e08fa41e58e888a9865554c535f2c77126a82cb4c0f917f31441364736f6c63430007060033'
+};
+const SAFE = '0x00000000000000000000000000000000005afe01';
+const SINGLETON = '0xd9Db270c1B5E3Bd161E8c8503c55cEABeE709552';
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+// An Etherscan-style explorer where only the Safe's slot 0 is set
+let server;
+let explorerUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        let result = '0x';
+        if (query.get('action') === 'eth_getStorageAt') {
+            result = query.get('address') === SAFE && BigInt(query.get('position')) === 0n
+                ? '0x' + SINGLETON.slice(2).toLowerCase().padStart(64, '0')
+                : ZERO_WORD;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    explorerUrl = chains[1].explorer.apiUrl;
+    chains[1].explorer.apiUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+    chains[1].explorer.apiUrl = explorerUrl;
+    return new Promise(resolve => server.close(resolve));
+});
+
+for (const [version, runtime] of Object.entries(SAFE_PROXY_RUNTIMES)) {
+    test(`reads the singleton of a Safe ${version} proxy from slot 0`, async () => {
+        const patterns = await detectProxyPatterns(SAFE, runtime, 1);
+
+        assert.equal(patterns.isProxy, true);
+        assert.equal(patterns.pattern, 'Gnosis Safe');
+        assert.equal(patterns.implementation, SINGLETON);
+        assert.equal(patterns.upgradeable, false);
+    });
+}
+
+test('does not treat a PUSH4 masterCopy() selector as a Safe proxy', async () => {
+    const patterns = await detectProxyPatterns(SAFE, '0x6080604052600436106063a619486e14', 1);
+
+    assert.equal(patterns.isProxy, false);
+    assert.equal(patterns.implementation, null);
+});